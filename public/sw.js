@@ -0,0 +1,38 @@
+/* Service worker do Pyro Alert: exibe notificações de alerta e leva o usuário ao dispositivo no mapa. */
+
+self.addEventListener("install", () => self.skipWaiting());
+
+self.addEventListener("activate", (event) => event.waitUntil(self.clients.claim()));
+
+/** Push enviado pelo backend: `{ title, body, tag, deviceId, severity }` */
+self.addEventListener("push", (event) => {
+  const data = event.data ? event.data.json() : {};
+  event.waitUntil(
+    self.registration.showNotification(data.title || "Pyro Alert", {
+      body: data.body || "",
+      tag: data.tag,
+      icon: "/LogoPyro.svg",
+      badge: "/LogoPyro.svg",
+      renotify: Boolean(data.tag),
+      requireInteraction: data.severity === "critical",
+      data: { deviceId: data.deviceId },
+    })
+  );
+});
+
+self.addEventListener("notificationclick", (event) => {
+  event.notification.close();
+  const deviceId = event.notification.data?.deviceId;
+
+  event.waitUntil(
+    self.clients.matchAll({ type: "window", includeUncontrolled: true }).then((clients) => {
+      const client = clients.find((c) => new URL(c.url).origin === self.location.origin);
+      if (client) {
+        client.postMessage({ type: "focus-device", deviceId });
+        return client.focus();
+      }
+      const url = deviceId ? `/?device=${encodeURIComponent(deviceId)}` : "/";
+      return self.clients.openWindow(url);
+    })
+  );
+});
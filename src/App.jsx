@@ -4,8 +4,14 @@ import { fetchOAuthToken } from "./api/oauth.js";
 import { TokenStorage } from "./api/tokenStorage.js";
 import { API_BASE, DEFAULT_SIGNUP } from "./constants/config.js";
 import { maskCNPJ, maskCPF, maskPhone } from "./utils/masks.js";
+import { can } from "./utils/permissions.js";
 import { LoginPage } from "./components/auth/LoginPage.jsx";
 import { TwoFactorLoginPage } from "./components/auth/TwoFactorLoginPage.jsx";
+import { AlertRulesPage } from "./components/admin/AlertRulesPage.jsx";
+import { NotificationPoliciesPage } from "./components/admin/NotificationPoliciesPage.jsx";
+import { DeviceAdminPage } from "./components/admin/DeviceAdminPage.jsx";
+import { UserAdminPage } from "./components/admin/UserAdminPage.jsx";
+import { IncidentsPage } from "./components/incidents/IncidentsPage.jsx";
 import { Dashboard } from "./components/dashboard/Dashboard.jsx";
 import { ProfilePage } from "./components/profile/ProfilePage.jsx";
 
@@ -27,6 +33,7 @@ export default function App() {
 
   const [twoFAStatus, setTwoFAStatus] = useState(null);
   const [isLoadingProfile, setIsLoadingProfile] = useState(false);
+  const [adminDeviceId, setAdminDeviceId] = useState(null);
 
   const fetchUserData = useCallback(async () => {
     try {
@@ -235,6 +242,11 @@ export default function App() {
     setIsLoadingProfile(false);
   }
 
+  function openDeviceAdmin(deviceId = null) {
+    setAdminDeviceId(deviceId);
+    setRoute("devices");
+  }
+
   if (isInitializing) {
     return (
       <div className="min-h-screen bg-gradient-to-br from-slate-900 via-slate-800 to-slate-900 flex items-center justify-center">
@@ -282,8 +294,30 @@ export default function App() {
           twoFAStatus={twoFAStatus}
           setTwoFAStatus={setTwoFAStatus}
         />
+      ) : route === "devices" && can(user, "devices:manage") ? (
+        <DeviceAdminPage initialDeviceId={adminDeviceId} onBack={() => setRoute("dashboard")} />
+      ) : route === "incidents" ? (
+        <IncidentsPage user={user} onBack={() => setRoute("dashboard")} />
+      ) : route === "rules" && can(user, "thresholds:manage") ? (
+        <AlertRulesPage
+          onBack={() => setRoute("dashboard")}
+          onOpenNotificationPolicies={can(user, "notifications:manage") ? () => setRoute("channels") : null}
+        />
+      ) : route === "channels" && can(user, "notifications:manage") ? (
+        <NotificationPoliciesPage onBack={() => setRoute("rules")} />
+      ) : route === "users" && can(user, "users:manage") ? (
+        <UserAdminPage currentUser={user} onBack={() => setRoute("dashboard")} />
       ) : (
-        <Dashboard user={user} onLogout={logout} onOpenProfile={openProfile} isLoadingProfile={isLoadingProfile} />
+        <Dashboard
+          user={user}
+          onLogout={logout}
+          onOpenProfile={openProfile}
+          onOpenDeviceAdmin={openDeviceAdmin}
+          onOpenUserAdmin={() => setRoute("users")}
+          onOpenIncidents={() => setRoute("incidents")}
+          onOpenAlertRules={() => setRoute("rules")}
+          isLoadingProfile={isLoadingProfile}
+        />
       )}
     </div>
   );
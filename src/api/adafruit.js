@@ -1,42 +1,62 @@
 import { ADAFRUIT_API } from "../constants/config.js";
-import { convertSmokeToPercent, convertSoilHumidityToPercent, pluviRawToMm } from "../utils/sensors.js";
-
-export async function fetchAdafruitData() {
-  try {
-    const feeds = [
-      { key: "pyroalert.fumo", field: "smoke" },
-      { key: "pyroalert.umisolo", field: "soilHumidity" },
-      { key: "pyroalert.temp22", field: "airHumidity" },
-      { key: "pyroalert.umi22", field: "temperature" },
-      { key: "pyroalert.sense22", field: "heatIndex" },
-      { key: "pyroalert.countpluvi", field: "pluvi" },
-    ];
-
-    const results = await Promise.all(
-      feeds.map(async (feed) => {
-        const response = await fetch(`${ADAFRUIT_API}/${feed.key}`);
-        const data = await response.json();
-        return { field: feed.field, value: parseFloat(data.last_value) || 0 };
-      })
-    );
-
-    const sensorData = { rawValues: {} };
-    results.forEach(({ field, value }) => {
-      sensorData.rawValues[field] = value;
-      sensorData[field] = value;
-    });
-
-    sensorData.pluvi = pluviRawToMm(sensorData.rawValues.pluvi ?? 0);
-
-    const rawSoilHumidity = sensorData.soilHumidity;
-    sensorData.rawValues.soilHumidityRaw = rawSoilHumidity;
-
-    sensorData.smokePercent = convertSmokeToPercent(sensorData.smoke || 0);
-    sensorData.soilHumidity = parseFloat(convertSoilHumidityToPercent(rawSoilHumidity));
-
-    return sensorData;
-  } catch (error) {
-    console.error("Erro ao buscar dados do Adafruit:", error);
-    return null;
-  }
+import { applyCalibration, getDeviceCalibration } from "../utils/calibration.js";
+import { getDeviceFeeds } from "../utils/devices.js";
+import { getSensors } from "../utils/sensorRegistry.js";
+
+/**
+ * Último valor bruto de cada feed do dispositivo e o horário em que foi publicado:
+ * `{ values: { smoke, soilHumidity, ... }, readingTimes: { smoke: <ms>, ... } }`.
+ * Um feed indisponível não derruba os demais: fica sem valor (os opcionais sem aviso no console).
+ * Retorna null só quando nenhum feed respondeu.
+ */
+export async function fetchAdafruitRawValues(device) {
+  const feeds = getDeviceFeeds(device);
+  if (feeds.length === 0) return null;
+
+  const results = await Promise.allSettled(
+    feeds.map(async (feed) => {
+      const response = await fetch(`${ADAFRUIT_API}/${feed.key}`);
+      if (!response.ok) throw new Error(`Feed ${feed.key} indisponível (${response.status})`);
+      const data = await response.json();
+      return { field: feed.field, value: parseFloat(data.last_value), updatedAt: Date.parse(data.updated_at) };
+    })
+  );
+
+  const values = {};
+  const readingTimes = {};
+  results.forEach((result, index) => {
+    if (result.status === "rejected") {
+      if (!feeds[index].optional) {
+        console.error(`Erro ao buscar dados do Adafruit (dispositivo ${device?.id}):`, result.reason);
+      }
+      return;
+    }
+    const { field, value, updatedAt } = result.value;
+    if (Number.isNaN(value)) return;
+    values[field] = value;
+    if (!Number.isNaN(updatedAt)) readingTimes[field] = updatedAt;
+  });
+
+  return results.some((result) => result.status === "fulfilled") ? { values, readingTimes } : null;
+}
+
+/**
+ * Converte os valores brutos (completos ou parciais) nos campos de cada sensor do registro,
+ * usando os perfis de calibração do dispositivo (`getDeviceCalibration`).
+ * Os brutos ficam em `rawValues`, pelo `id` do sensor.
+ */
+export function buildSensorData(rawValues, readingTimes = {}, calibration = getDeviceCalibration(null)) {
+  const sensorData = { rawValues: { ...rawValues }, readingTimes };
+
+  getSensors().forEach((sensor) => {
+    if (rawValues[sensor.id] === undefined) return;
+    sensorData[sensor.field] = applyCalibration(calibration[sensor.id], rawValues[sensor.id]);
+  });
+
+  return sensorData;
+}
+
+export async function fetchAdafruitData(device) {
+  const raw = await fetchAdafruitRawValues(device);
+  return raw ? buildSensorData(raw.values, raw.readingTimes, getDeviceCalibration(device)) : null;
 }
@@ -0,0 +1,34 @@
+import { DEFAULT_ALERT_RULES } from "../constants/config.js";
+import { normalizeAlertRule } from "../utils/alertRules.js";
+import { apiRequest } from "./client.js";
+
+/** Regras configuradas na API; sem regras cadastradas, usa `DEFAULT_ALERT_RULES` */
+export async function fetchAlertRules() {
+  const data = await apiRequest("/api/v1/alert-rules");
+
+  let rules = [];
+  if (Array.isArray(data)) {
+    rules = data;
+  } else if (data.rules && Array.isArray(data.rules)) {
+    rules = data.rules;
+  } else if (data.data && Array.isArray(data.data)) {
+    rules = data.data;
+  }
+
+  const normalized = rules.map(normalizeAlertRule).filter(Boolean);
+  return normalized.length > 0 ? normalized : DEFAULT_ALERT_RULES;
+}
+
+export async function createAlertRule(rule) {
+  const data = await apiRequest("/api/v1/alert-rules", { method: "POST", body: JSON.stringify(rule) });
+  return normalizeAlertRule(data.data || data.rule || data);
+}
+
+export async function updateAlertRule(ruleId, rule) {
+  const data = await apiRequest(`/api/v1/alert-rules/${ruleId}`, { method: "PUT", body: JSON.stringify(rule) });
+  return normalizeAlertRule(data.data || data.rule || data);
+}
+
+export async function deleteAlertRule(ruleId) {
+  await apiRequest(`/api/v1/alert-rules/${ruleId}`, { method: "DELETE" });
+}
@@ -1,6 +1,8 @@
 import { API_BASE } from "../constants/config.js";
 import { TokenStorage } from "./tokenStorage.js";
 
+const FORBIDDEN_MESSAGE = "Você não tem permissão para realizar esta ação.";
+
 export async function apiRequest(endpoint, options = {}) {
   const { access_token } = TokenStorage.get();
   const headers = { "Content-Type": "application/json", ...options.headers };
@@ -10,7 +12,13 @@ export async function apiRequest(endpoint, options = {}) {
   const data = await response.json().catch(() => ({}));
 
   if (!response.ok) {
-    throw new Error(data.message || data.error || data.error_description || "Erro na requisição");
+    const message =
+      response.status === 403
+        ? FORBIDDEN_MESSAGE
+        : data.message || data.error || data.error_description || "Erro na requisição";
+    const error = new Error(message);
+    error.status = response.status;
+    throw error;
   }
   return data;
 }
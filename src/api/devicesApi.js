@@ -0,0 +1,27 @@
+import { normalizeDevice } from "../utils/devices.js";
+import { apiRequest } from "./client.js";
+
+export async function fetchDevices() {
+  const data = await apiRequest("/api/v1/devices");
+
+  let devices = [];
+  if (Array.isArray(data)) {
+    devices = data;
+  } else if (data.devices && Array.isArray(data.devices)) {
+    devices = data.devices;
+  } else if (data.data && Array.isArray(data.data)) {
+    devices = data.data;
+  }
+
+  return devices.map(normalizeDevice).filter(Boolean);
+}
+
+export async function createDevice(payload) {
+  const data = await apiRequest("/api/v1/devices", { method: "POST", body: JSON.stringify(payload) });
+  return normalizeDevice(data.data || data.device || data);
+}
+
+export async function updateDevice(backendId, payload) {
+  const data = await apiRequest(`/api/v1/devices/${backendId}`, { method: "PUT", body: JSON.stringify(payload) });
+  return normalizeDevice(data.data || data.device || data);
+}
@@ -0,0 +1,36 @@
+import { normalizeIncident } from "../utils/incidents.js";
+import { apiRequest } from "./client.js";
+
+function unwrapIncident(data) {
+  return normalizeIncident(data.data || data.incident || data);
+}
+
+export async function fetchIncidents(filters = {}) {
+  const params = new URLSearchParams();
+  Object.entries(filters).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== "") params.set(key, value);
+  });
+  const query = params.toString();
+  const data = await apiRequest(`/api/v1/incidents${query ? `?${query}` : ""}`);
+
+  let incidents = [];
+  if (Array.isArray(data)) {
+    incidents = data;
+  } else if (data.incidents && Array.isArray(data.incidents)) {
+    incidents = data.incidents;
+  } else if (data.data && Array.isArray(data.data)) {
+    incidents = data.data;
+  }
+
+  return incidents.map(normalizeIncident).filter(Boolean);
+}
+
+export async function createIncident(payload) {
+  return unwrapIncident(await apiRequest("/api/v1/incidents", { method: "POST", body: JSON.stringify(payload) }));
+}
+
+export async function updateIncident(incidentId, payload) {
+  return unwrapIncident(
+    await apiRequest(`/api/v1/incidents/${incidentId}`, { method: "PATCH", body: JSON.stringify(payload) })
+  );
+}
@@ -0,0 +1,34 @@
+import { normalizeNotificationPolicy } from "../utils/notificationPolicies.js";
+import { apiRequest } from "./client.js";
+
+export async function fetchNotificationPolicies() {
+  const data = await apiRequest("/api/v1/notification-policies");
+
+  let policies = [];
+  if (Array.isArray(data)) {
+    policies = data;
+  } else if (data.policies && Array.isArray(data.policies)) {
+    policies = data.policies;
+  } else if (data.data && Array.isArray(data.data)) {
+    policies = data.data;
+  }
+
+  return policies.map(normalizeNotificationPolicy).filter(Boolean);
+}
+
+export async function createNotificationPolicy(policy) {
+  const data = await apiRequest("/api/v1/notification-policies", { method: "POST", body: JSON.stringify(policy) });
+  return normalizeNotificationPolicy(data.data || data.policy || data);
+}
+
+export async function updateNotificationPolicy(policyId, policy) {
+  const data = await apiRequest(`/api/v1/notification-policies/${policyId}`, {
+    method: "PUT",
+    body: JSON.stringify(policy),
+  });
+  return normalizeNotificationPolicy(data.data || data.policy || data);
+}
+
+export async function deleteNotificationPolicy(policyId) {
+  await apiRequest(`/api/v1/notification-policies/${policyId}`, { method: "DELETE" });
+}
@@ -0,0 +1,9 @@
+import { apiRequest } from "./client.js";
+
+/** Registra a inscrição de push do navegador para receber alertas mesmo com o dashboard fechado */
+export async function savePushSubscription(subscription) {
+  return apiRequest("/api/v1/push/subscriptions", {
+    method: "POST",
+    body: JSON.stringify(subscription.toJSON ? subscription.toJSON() : subscription),
+  });
+}
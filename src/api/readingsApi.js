@@ -1,25 +1,104 @@
-import { API_BASE, TEST_DEVICE_ID } from "../constants/config.js";
+import {
+  API_BASE,
+  READINGS_CACHE_MAX_ENTRIES,
+  READINGS_CACHE_TTL_MS,
+  READINGS_MAX_PAGES,
+  READINGS_PAGE_SIZE,
+} from "../constants/config.js";
+import { apiRequest } from "./client.js";
 
-export async function fetchReadingsHistory() {
-  try {
-    const response = await fetch(
-      `${API_BASE}/api/v1/readings/device/${TEST_DEVICE_ID}/history?limit=10000`
-    );
+/** `key → { promise, expiresAt }`; guarda também as consultas em andamento */
+const historyCache = new Map();
+
+function extractReadings(data) {
+  if (Array.isArray(data)) return data;
+  if (data.readings && Array.isArray(data.readings)) return data.readings;
+  if (data.data && Array.isArray(data.data)) return data.data;
+  return [];
+}
+
+function hasMorePages(data, pageReadings, page) {
+  if (page >= READINGS_MAX_PAGES) return false;
+  if (typeof data?.hasMore === "boolean") return data.hasMore;
+  if (Number.isFinite(data?.totalPages)) return page < data.totalPages;
+  return pageReadings.length === READINGS_PAGE_SIZE;
+}
+
+/** Chave da leitura para descartar repetições entre páginas: o id da API ou, sem ele, o próprio conteúdo */
+function getReadingKey(reading) {
+  const id = reading._id ?? reading.id;
+  return id !== undefined && id !== null ? `id:${id}` : JSON.stringify(reading);
+}
+
+/**
+ * Busca as páginas em sequência. Um backend que ignora `page` devolve sempre as mesmas leituras:
+ * a busca para na primeira página sem leituras novas, e as repetidas são descartadas.
+ */
+async function fetchHistoryPages(deviceId, from, to) {
+  const readings = [];
+  const seenKeys = new Set();
+
+  for (let page = 1; ; page += 1) {
+    const params = new URLSearchParams({ limit: String(READINGS_PAGE_SIZE), page: String(page) });
+    if (from) params.set("from", from.toISOString());
+    if (to) params.set("to", to.toISOString());
+
+    const response = await fetch(`${API_BASE}/api/v1/readings/device/${deviceId}/history?${params}`);
     if (!response.ok) throw new Error("Erro ao buscar histórico");
     const data = await response.json();
 
-    let readings = [];
-    if (Array.isArray(data)) {
-      readings = data;
-    } else if (data.readings && Array.isArray(data.readings)) {
-      readings = data.readings;
-    } else if (data.data && Array.isArray(data.data)) {
-      readings = data.data;
-    }
+    const pageReadings = extractReadings(data);
+    const newReadings = pageReadings.filter((reading) => {
+      const key = getReadingKey(reading);
+      if (seenKeys.has(key)) return false;
+      seenKeys.add(key);
+      return true;
+    });
+    readings.push(...newReadings);
+    if (newReadings.length === 0 || !hasMorePages(data, pageReadings, page)) return readings;
+  }
+}
+
+/**
+ * Histórico do dispositivo no intervalo `{ from, to }` (`Date` ou null), buscado página a página.
+ * O resultado fica em cache por intervalo. Intervalos que terminam "agora" (`to: null`) arredondam
+ * o início para a hora cheia, para que a mesma seleção reaproveite o cache, e expiram após
+ * `READINGS_CACHE_TTL_MS`; quem exibe recorta o intervalo exato (`filterReadingsByRange`).
+ */
+export async function fetchReadingsHistory(deviceId, { from = null, to = null } = {}) {
+  if (!deviceId) return [];
 
-    return readings;
+  const isOpenEnded = !to || to.getTime() > Date.now();
+  const queryFrom = from && isOpenEnded ? new Date(Math.floor(from.getTime() / 3600000) * 3600000) : from;
+  const queryTo = isOpenEnded ? null : to;
+  const key = `${deviceId}|${queryFrom ? queryFrom.getTime() : ""}|${queryTo ? queryTo.getTime() : ""}`;
+
+  let entry = historyCache.get(key);
+  if (!entry || entry.expiresAt <= Date.now()) {
+    entry = {
+      promise: fetchHistoryPages(deviceId, queryFrom, queryTo),
+      expiresAt: isOpenEnded ? Date.now() + READINGS_CACHE_TTL_MS : Infinity,
+    };
+    historyCache.delete(key);
+    historyCache.set(key, entry);
+    if (historyCache.size > READINGS_CACHE_MAX_ENTRIES) historyCache.delete(historyCache.keys().next().value);
+  }
+
+  try {
+    return await entry.promise;
   } catch (error) {
+    if (historyCache.get(key) === entry) historyCache.delete(key);
     console.error("Erro ao buscar histórico de leituras:", error);
     return [];
   }
 }
+
+/**
+ * Ticket de uso único e curta duração para abrir o stream SSE: o `EventSource` não envia cabeçalhos,
+ * e o token de acesso na URL acabaria em logs de proxy e no histórico do navegador.
+ */
+export async function fetchStreamTicket() {
+  const data = await apiRequest("/api/v1/readings/stream-ticket", { method: "POST" });
+  if (!data.ticket) throw new Error("Ticket do stream de leituras não recebido");
+  return data.ticket;
+}
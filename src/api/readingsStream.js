@@ -0,0 +1,199 @@
+import {
+  POLLING_INTERVAL_MS,
+  READINGS_STREAM_URL,
+  STREAM_RECONNECT_BASE_DELAY_MS,
+  STREAM_RECONNECT_MAX_DELAY_MS,
+} from "../constants/config.js";
+import { fetchAdafruitRawValues } from "./adafruit.js";
+import { fetchStreamTicket } from "./readingsApi.js";
+import { TokenStorage } from "./tokenStorage.js";
+
+/*
+ * Transportes de leituras. Todos expõem `connect({ devices, onReading, onOpen, onError })`,
+ * que devolve a função de desconexão.
+ * `onReading({ deviceId, values, readingTimes })` recebe valores brutos por campo, completos
+ * ou parciais, e o horário de cada leitura; `deviceId` é o `id` do dispositivo no dashboard.
+ */
+
+function findDevice(devices, deviceId) {
+  return devices.find((device) => device.backendId === deviceId || device.id === deviceId);
+}
+
+/**
+ * Converte uma mensagem do stream (`{ deviceId, values }` ou `{ deviceId, field, value }`).
+ * `createdAt` é o horário da leitura; sem ele, vale o horário de chegada.
+ */
+export function parseStreamMessage(data, devices) {
+  const device = findDevice(devices, data?.deviceId);
+  if (!device) return null;
+
+  const entries = Object.entries(data.values || (data.field ? { [data.field]: data.value } : {}))
+    .map(([field, value]) => [field, parseFloat(value)])
+    .filter(([, value]) => !Number.isNaN(value));
+  if (entries.length === 0) return null;
+
+  const readAt = Date.parse(data.createdAt) || Date.now();
+  return {
+    deviceId: device.id,
+    values: Object.fromEntries(entries),
+    readingTimes: Object.fromEntries(entries.map(([field]) => [field, readAt])),
+  };
+}
+
+/**
+ * Stream SSE do backend; `EventSourceImpl` e `fetchTicket` permitem trocar as implementações em testes.
+ * Com usuário logado, cada conexão pede um ticket novo (`fetchStreamTicket`), que vai na URL no lugar do token.
+ */
+export function createSseTransport({
+  url = READINGS_STREAM_URL,
+  EventSourceImpl = globalThis.EventSource,
+  fetchTicket = fetchStreamTicket,
+} = {}) {
+  return {
+    connect({ devices, onReading, onOpen, onError }) {
+      if (!EventSourceImpl) {
+        onError(new Error("EventSource não suportado neste navegador"));
+        return () => {};
+      }
+
+      let source = null;
+      let isClosed = false;
+
+      async function open() {
+        const params = new URLSearchParams();
+        if (TokenStorage.get().access_token) params.set("ticket", await fetchTicket());
+        devices.forEach((device) => params.append("deviceId", device.backendId));
+        if (isClosed) return;
+
+        source = new EventSourceImpl(`${url}?${params}`);
+        source.onopen = () => onOpen();
+        source.onmessage = (event) => {
+          try {
+            const reading = parseStreamMessage(JSON.parse(event.data), devices);
+            if (reading) onReading(reading);
+          } catch (error) {
+            console.warn("Mensagem inválida no stream de leituras:", error);
+          }
+        };
+        // A reconexão fica a cargo de `createReadingsTransport`, com backoff (e um ticket novo)
+        source.onerror = () => {
+          source.close();
+          onError(new Error("Conexão com o stream de leituras perdida"));
+        };
+      }
+
+      open().catch((error) => {
+        if (!isClosed) onError(error);
+      });
+
+      return () => {
+        isClosed = true;
+        source?.close();
+      };
+    },
+  };
+}
+
+/** Polling dos feeds do Adafruit; a próxima rodada é agendada quando a anterior termina, mesmo com erro */
+export function createPollingTransport({ intervalMs = POLLING_INTERVAL_MS, fetchRawValues = fetchAdafruitRawValues } = {}) {
+  return {
+    connect({ devices, onReading, onOpen }) {
+      let timeoutId = null;
+      let isClosed = false;
+
+      // Uma falha (busca ou processamento da leitura) só perde aquele dispositivo nesta rodada
+      async function poll() {
+        try {
+          const results = await Promise.allSettled(
+            devices.map(async (device) => {
+              const raw = await fetchRawValues(device);
+              if (raw && !isClosed) onReading({ deviceId: device.id, ...raw });
+            })
+          );
+          results
+            .filter((result) => result.status === "rejected")
+            .forEach((result) => console.error("Erro no polling de leituras:", result.reason));
+        } finally {
+          if (!isClosed) timeoutId = setTimeout(poll, intervalMs);
+        }
+      }
+
+      onOpen();
+      poll();
+
+      return () => {
+        isClosed = true;
+        clearTimeout(timeoutId);
+      };
+    },
+  };
+}
+
+/** Backoff exponencial com jitter: ~1s, 2s, 4s... até o máximo configurado */
+export function getReconnectDelay(attempt) {
+  const delay = Math.min(STREAM_RECONNECT_MAX_DELAY_MS, STREAM_RECONNECT_BASE_DELAY_MS * 2 ** attempt);
+  return delay / 2 + Math.random() * (delay / 2);
+}
+
+/**
+ * Usa o transporte principal (stream) e, enquanto ele estiver fora, o polling.
+ * `onStatus` recebe "connecting", "live" ou "polling".
+ */
+export function createReadingsTransport({ primary = createSseTransport(), fallback = createPollingTransport() } = {}) {
+  return {
+    connect({ devices, onReading, onStatus = () => {} }) {
+      let attempt = 0;
+      let retryId = null;
+      let isClosed = false;
+      let closePrimary = null;
+      let closeFallback = null;
+
+      function startFallback() {
+        if (closeFallback) return;
+        closeFallback = fallback.connect({
+          devices,
+          onReading,
+          onOpen: () => onStatus("polling"),
+          onError: (error) => console.error("Erro no polling de leituras:", error),
+        });
+      }
+
+      function stopFallback() {
+        closeFallback?.();
+        closeFallback = null;
+      }
+
+      function connectPrimary() {
+        if (!closeFallback) onStatus("connecting");
+        closePrimary = primary.connect({
+          devices,
+          onReading,
+          onOpen: () => {
+            attempt = 0;
+            stopFallback();
+            onStatus("live");
+          },
+          onError: (error) => {
+            console.warn(error.message);
+            closePrimary?.();
+            closePrimary = null;
+            if (isClosed) return;
+            startFallback();
+            clearTimeout(retryId);
+            retryId = setTimeout(connectPrimary, getReconnectDelay(attempt));
+            attempt += 1;
+          },
+        });
+      }
+
+      connectPrimary();
+
+      return () => {
+        isClosed = true;
+        clearTimeout(retryId);
+        closePrimary?.();
+        stopFallback();
+      };
+    },
+  };
+}
@@ -0,0 +1,15 @@
+import { apiRequest } from "./client.js";
+
+export async function fetchUsers() {
+  const data = await apiRequest("/api/v1/users");
+
+  if (Array.isArray(data)) return data;
+  if (data.users && Array.isArray(data.users)) return data.users;
+  if (data.data && Array.isArray(data.data)) return data.data;
+  return [];
+}
+
+export async function updateUserRole(userId, role) {
+  const data = await apiRequest(`/api/v1/users/${userId}`, { method: "PUT", body: JSON.stringify({ role }) });
+  return data.data || data.user || data;
+}
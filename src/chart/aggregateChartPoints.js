@@ -0,0 +1,74 @@
+import { CHART_BUCKET_SIZES, CHART_GAP_FACTOR, CHART_MAX_POINTS } from "./sensorChartConstants.js";
+import { processReadingsForChart } from "../utils/readings.js";
+
+/** Menor agrupamento que deixa a série com até `CHART_MAX_POINTS` pontos (null = pontos brutos) */
+export function chooseBucketSize(pointCount, spanMs) {
+  if (pointCount <= CHART_MAX_POINTS) return null;
+  return CHART_BUCKET_SIZES.find((size) => spanMs / size.ms <= CHART_MAX_POINTS) || CHART_BUCKET_SIZES.at(-1);
+}
+
+/**
+ * Agrupa os pontos `{ x, y }` (ordenados) em janelas de `bucketMs` alinhadas ao fuso local:
+ * `y` é a média da janela, `min`/`max` os extremos, e `x` o meio da janela.
+ */
+export function aggregatePoints(points, bucketMs) {
+  const buckets = new Map();
+
+  points.forEach(({ x, y }) => {
+    const offset = new Date(x).getTimezoneOffset() * 60000;
+    const start = Math.floor((x - offset) / bucketMs) * bucketMs + offset;
+    const bucket = buckets.get(start);
+    if (!bucket) {
+      buckets.set(start, { sum: y, count: 1, min: y, max: y });
+      return;
+    }
+    bucket.sum += y;
+    bucket.count += 1;
+    bucket.min = Math.min(bucket.min, y);
+    bucket.max = Math.max(bucket.max, y);
+  });
+
+  return [...buckets.entries()].map(([start, bucket]) => ({
+    x: start + bucketMs / 2,
+    y: parseFloat((bucket.sum / bucket.count).toFixed(2)),
+    min: bucket.min,
+    max: bucket.max,
+  }));
+}
+
+function getMedianInterval(points) {
+  const intervals = points
+    .slice(1)
+    .map((point, index) => point.x - points[index].x)
+    .sort((a, b) => a - b);
+  return intervals.length > 0 ? intervals[Math.floor(intervals.length / 2)] : 0;
+}
+
+/** Insere `{ x, y: null }` entre pontos mais distantes que `gapMs`, para a linha não atravessar períodos sem leitura */
+export function insertGaps(points, gapMs) {
+  if (!gapMs) return points;
+  return points.flatMap((point, index) => {
+    const previous = points[index - 1];
+    return previous && point.x - previous.x > gapMs ? [{ x: (previous.x + point.x) / 2, y: null }, point] : [point];
+  });
+}
+
+/**
+ * Pontos de cada série (`[{ readings, calibration }]`) prontos para o eixo de tempo.
+ * Séries longas são agrupadas (todas no mesmo intervalo, para comparar) e períodos sem leitura viram lacunas.
+ * `rawPointsBySeries` traz os pontos sem agrupamento (estatísticas e marcadores).
+ */
+export function buildSensorChartData(series, sensorType) {
+  const rawPointsBySeries = series.map((item) => processReadingsForChart(item.readings, sensorType, item.calibration));
+  const allTimes = rawPointsBySeries.flatMap((points) => (points.length > 0 ? [points[0].x, points.at(-1).x] : []));
+  const spanMs = allTimes.length > 0 ? Math.max(...allTimes) - Math.min(...allTimes) : 0;
+  const bucket = chooseBucketSize(Math.max(0, ...rawPointsBySeries.map((points) => points.length)), spanMs);
+
+  const pointsBySeries = rawPointsBySeries.map((points) =>
+    bucket
+      ? insertGaps(aggregatePoints(points, bucket.ms), bucket.ms * 1.5)
+      : insertGaps(points, getMedianInterval(points) * CHART_GAP_FACTOR)
+  );
+
+  return { bucket, pointsBySeries, rawPointsBySeries };
+}
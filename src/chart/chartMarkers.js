@@ -0,0 +1,75 @@
+import {
+  ANOMALY_MAX_MARKERS,
+  ANOMALY_MIN_POINTS,
+  ANOMALY_SPIKE_FACTOR,
+  ANOMALY_Z_SCORE,
+} from "./sensorChartConstants.js";
+
+/** Mínimo, máximo, média e último valor dos pontos `{ x, y }` (ordenados), ou null sem pontos */
+export function getPointStats(points) {
+  if (points.length === 0) return null;
+  let min = Infinity;
+  let max = -Infinity;
+  let sum = 0;
+  points.forEach(({ y }) => {
+    min = Math.min(min, y);
+    max = Math.max(max, y);
+    sum += y;
+  });
+  return { min, max, avg: sum / points.length, last: points.at(-1).y };
+}
+
+function median(values) {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+/**
+ * Leituras que fogem do padrão da série: |z-score| ≥ `ANOMALY_Z_SCORE` ou salto em relação à leitura
+ * anterior maior que `ANOMALY_SPIKE_FACTOR` × a variação mediana, afastando-se da média (a volta ao normal
+ * depois de um pico não é marcada). Retorna `[{ x, y, reason, score }]`,
+ * limitado aos `ANOMALY_MAX_MARKERS` mais extremos.
+ */
+export function findAnomalousPoints(points, unit = "") {
+  if (points.length < ANOMALY_MIN_POINTS) return [];
+
+  const stats = getPointStats(points);
+  const variance = points.reduce((sum, { y }) => sum + (y - stats.avg) ** 2, 0) / points.length;
+  const std = Math.sqrt(variance);
+  const deltas = points.slice(1).map((point, index) => point.y - points[index].y);
+  const typicalDelta = median(deltas.map(Math.abs));
+
+  const anomalies = [];
+  points.forEach((point, index) => {
+    const z = std > 0 ? (point.y - stats.avg) / std : 0;
+    const delta = index > 0 ? deltas[index - 1] : 0;
+    const spike = typicalDelta > 0 ? Math.abs(delta) / typicalDelta : 0;
+
+    if (Math.abs(z) >= ANOMALY_Z_SCORE) {
+      anomalies.push({ ...point, reason: `z-score ${z.toFixed(1)}`, score: Math.abs(z) / ANOMALY_Z_SCORE });
+    } else if (spike >= ANOMALY_SPIKE_FACTOR && Math.abs(point.y - stats.avg) > Math.abs(points[index - 1].y - stats.avg)) {
+      const sign = delta > 0 ? "+" : "";
+      anomalies.push({ ...point, reason: `salto de ${sign}${delta.toFixed(1)}${unit}`, score: spike / ANOMALY_SPIKE_FACTOR });
+    }
+  });
+
+  return anomalies
+    .sort((a, b) => b.score - a.score)
+    .slice(0, ANOMALY_MAX_MARKERS)
+    .sort((a, b) => a.x - b.x);
+}
+
+/** Ponto da série (ordenada) no horário `x` ou o mais próximo dele, para posicionar o marcador sobre a linha */
+export function findPointAt(points, x) {
+  if (points.length === 0) return null;
+  let low = 0;
+  let high = points.length - 1;
+  while (low < high) {
+    const middle = Math.floor((low + high) / 2);
+    if (points[middle].x < x) low = middle + 1;
+    else high = middle;
+  }
+  const previous = points[low - 1];
+  return previous && x - previous.x < points[low].x - x ? previous : points[low];
+}
@@ -0,0 +1,65 @@
+/**
+ * Linha vertical sincronizada entre os gráficos do mesmo grupo (`plugins.crosshair.group`):
+ * ao passar o mouse em um gráfico, todos mostram a linha no mesmo horário.
+ */
+
+/** `group → { x, charts }`, com o horário (ms) sob o mouse em qualquer gráfico do grupo */
+const groups = new Map();
+
+function getGroup(chart) {
+  const name = chart.options.plugins.crosshair?.group;
+  if (!name) return null;
+  if (!groups.has(name)) groups.set(name, { x: null, charts: new Set() });
+  return groups.get(name);
+}
+
+function setGroupX(group, x, source) {
+  if (group.x === x) return;
+  group.x = x;
+  group.charts.forEach((chart) => {
+    if (chart !== source) chart.draw();
+  });
+}
+
+export const crosshairPlugin = {
+  id: "crosshair",
+  defaults: { group: null, color: "rgba(148, 163, 184, 0.6)" },
+
+  afterInit(chart) {
+    getGroup(chart)?.charts.add(chart);
+  },
+
+  afterEvent(chart, args) {
+    const group = getGroup(chart);
+    if (!group) return;
+    group.charts.add(chart);
+
+    const { event } = args;
+    const x = event.type === "mouseout" || !args.inChartArea ? null : chart.scales.x.getValueForPixel(event.x);
+    setGroupX(group, x, chart);
+    args.changed = true;
+  },
+
+  afterDatasetsDraw(chart, args, options) {
+    const group = getGroup(chart);
+    if (!group || group.x === null) return;
+
+    const { ctx, chartArea, scales } = chart;
+    const pixel = scales.x.getPixelForValue(group.x);
+    if (pixel < chartArea.left || pixel > chartArea.right) return;
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.moveTo(pixel, chartArea.top);
+    ctx.lineTo(pixel, chartArea.bottom);
+    ctx.lineWidth = 1;
+    ctx.strokeStyle = options.color;
+    ctx.setLineDash([3, 3]);
+    ctx.stroke();
+    ctx.restore();
+  },
+
+  afterDestroy(chart) {
+    groups.forEach((group) => group.charts.delete(chart));
+  },
+};
@@ -2,21 +2,35 @@ import {
   Chart as ChartJS,
   CategoryScale,
   LinearScale,
+  TimeScale,
   PointElement,
   LineElement,
+  BarElement,
   Title,
   Tooltip,
   Legend,
   Filler,
 } from "chart.js";
+// Faixas e linhas de limite dos gráficos (`plugins.annotation`)
+import annotationPlugin from "chartjs-plugin-annotation";
+// Seleção de janela (arrastar) e deslocamento (Shift + arrastar) no eixo de tempo (`plugins.zoom`)
+import zoomPlugin from "chartjs-plugin-zoom";
+import { crosshairPlugin } from "./crosshairPlugin.js";
+// Adaptador de datas do eixo de tempo (formatos em pt-BR via `adapters.date.locale`)
+import "chartjs-adapter-date-fns";
 
 ChartJS.register(
   CategoryScale,
   LinearScale,
+  TimeScale,
   PointElement,
   LineElement,
+  BarElement,
   Title,
   Tooltip,
   Legend,
-  Filler
+  Filler,
+  annotationPlugin,
+  zoomPlugin,
+  crosshairPlugin
 );
@@ -1,53 +1,69 @@
-export const SENSOR_CHART_CONFIGS = {
-  temp: {
-    label: "Temperatura (°C)",
-    color: "rgb(249, 115, 22)",
-    bgColor: "rgba(249, 115, 22, 0.1)",
-    unit: "°C",
-    badgeClass: "chart-sensor-badge--temp",
-  },
-  humid: {
-    label: "Umidade do Ar (%)",
-    color: "rgb(59, 130, 246)",
-    bgColor: "rgba(59, 130, 246, 0.1)",
-    unit: "%",
-    badgeClass: "chart-sensor-badge--humid",
-  },
-  moist: {
-    label: "Umidade do Solo (%)",
-    color: "rgb(245, 158, 11)",
-    bgColor: "rgba(245, 158, 11, 0.1)",
-    unit: "%",
-    badgeClass: "chart-sensor-badge--moist",
-  },
-  sense: {
-    label: "Sensação Térmica (°C)",
-    color: "rgb(236, 72, 153)",
-    bgColor: "rgba(236, 72, 153, 0.1)",
-    unit: "°C",
-    badgeClass: "chart-sensor-badge--sense",
-  },
-  smoke: {
-    label: "Fumaça (%)",
-    color: "rgb(34, 197, 94)",
-    bgColor: "rgba(34, 197, 94, 0.1)",
-    unit: "%",
-    badgeClass: "chart-sensor-badge--smoke",
-  },
-  pluvi: {
-    label: "Chuva (mm)",
-    color: "rgb(14, 165, 233)",
-    bgColor: "rgba(14, 165, 233, 0.1)",
-    unit: " mm",
-    badgeClass: "chart-sensor-badge--pluvi",
-  },
-};
-
-export const CHART_SECTION_SENSORS = [
-  { key: "temp", title: "Temperatura", icon: "🌡️" },
-  { key: "humid", title: "Umidade do Ar", icon: "💧" },
-  { key: "moist", title: "Umidade do Solo", icon: "🌱" },
-  { key: "sense", title: "Sensação Térmica", icon: "☀️" },
-  { key: "smoke", title: "Fumaça", icon: "💨" },
-  { key: "pluvi", title: "Pluviômetro", icon: "🌧️" },
+import { getSensors } from "../utils/sensorRegistry.js";
+
+/** Configuração de cada gráfico, pela chave do sensor no histórico da API (`backendKey`) */
+export const SENSOR_CHART_CONFIGS = Object.fromEntries(
+  getSensors().map((sensor) => [
+    sensor.backendKey,
+    {
+      sensorId: sensor.id,
+      label: `${sensor.label} (${sensor.unit.trim()})`,
+      color: sensor.color,
+      bgColor: sensor.bgColor,
+      unit: sensor.unit,
+      digits: sensor.digits,
+      circular: Boolean(sensor.circular),
+    },
+  ])
+);
+
+export const CHART_SECTION_SENSORS = getSensors().map((sensor) => ({
+  key: sensor.backendKey,
+  title: sensor.label,
+  icon: sensor.icon.emoji,
+}));
+
+/** Cores de cada dispositivo quando o gráfico compara mais de um */
+export const COMPARISON_COLORS = [
+  "rgb(99, 102, 241)",
+  "rgb(249, 115, 22)",
+  "rgb(34, 197, 94)",
+  "rgb(236, 72, 153)",
+  "rgb(234, 179, 8)",
+];
+
+/** Acima deste número de pontos por série o gráfico passa a mostrar médias por intervalo */
+export const CHART_MAX_POINTS = 500;
+
+/** Intervalos de agrupamento, do menor para o maior */
+export const CHART_BUCKET_SIZES = [
+  { ms: 5 * 60 * 1000, label: "5 min" },
+  { ms: 15 * 60 * 1000, label: "15 min" },
+  { ms: 60 * 60 * 1000, label: "hora" },
+  { ms: 6 * 60 * 60 * 1000, label: "6 horas" },
+  { ms: 24 * 60 * 60 * 1000, label: "dia" },
+  { ms: 7 * 24 * 60 * 60 * 1000, label: "semana" },
 ];
+
+/** Sem agrupamento, um intervalo maior que este múltiplo do intervalo típico entre leituras vira lacuna */
+export const CHART_GAP_FACTOR = 5;
+
+/** Fundo das faixas de risco nos gráficos, pelos pontos da faixa (0 a 3) */
+export const RISK_BAND_COLORS = [
+  "rgba(34, 197, 94, 0.06)",
+  "rgba(234, 179, 8, 0.08)",
+  "rgba(249, 115, 22, 0.1)",
+  "rgba(239, 68, 68, 0.12)",
+];
+
+/** Marcadores de disparo de alerta e de leitura anômala */
+export const ALERT_MARKER_COLOR = "rgb(220, 38, 38)";
+export const ANOMALY_MARKER_COLOR = "rgb(234, 179, 8)";
+
+/** Leitura anômala: |z-score| a partir deste valor... */
+export const ANOMALY_Z_SCORE = 3;
+/** ...ou variação em relação à leitura anterior maior que este múltiplo da variação típica (mediana) */
+export const ANOMALY_SPIKE_FACTOR = 8;
+/** Séries mais curtas não são analisadas */
+export const ANOMALY_MIN_POINTS = 10;
+/** Máximo de marcadores de anomalia por série (os mais extremos) */
+export const ANOMALY_MAX_MARKERS = 30;
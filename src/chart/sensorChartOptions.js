@@ -1,10 +1,105 @@
-export function createSensorLineChartOptions(config) {
+import { ptBR } from "date-fns/locale";
+import { RISK_BAND_COLORS } from "./sensorChartConstants.js";
+
+function formatPointValue(context, unit) {
+  const { y, min, max, reason } = context.raw;
+  const value = `${y}${unit}`;
+  if (reason) return `${value} · ${reason}`;
+  return min === undefined ? value : `${value} (mín. ${min.toFixed(1)} – máx. ${max.toFixed(1)})`;
+}
+
+/**
+ * Faixas de risco (`getRiskFactorBands`) como anotações: fundo por faixa e uma linha em cada limite.
+ * As anotações não ampliam o eixo: só aparecem as faixas dentro dos valores do gráfico.
+ */
+function createRiskBandAnnotations(bands, unit, forPrint) {
+  const annotations = {};
+  bands.forEach((band, index) => {
+    annotations[`band${index}`] = {
+      type: "box",
+      drawTime: "beforeDatasetsDraw",
+      adjustScaleRange: false,
+      yMin: band.yMin ?? undefined,
+      yMax: band.yMax ?? undefined,
+      backgroundColor: RISK_BAND_COLORS[Math.min(band.points, RISK_BAND_COLORS.length - 1)],
+      borderWidth: 0,
+    };
+  });
+
+  const limits = [...new Set(bands.flatMap((band) => [band.yMin, band.yMax]).filter((value) => value !== null))];
+  limits.forEach((value) => {
+    annotations[`limit${value}`] = {
+      type: "line",
+      drawTime: "beforeDatasetsDraw",
+      adjustScaleRange: false,
+      yMin: value,
+      yMax: value,
+      borderColor: forPrint ? "rgba(15, 23, 42, 0.25)" : "rgba(255, 255, 255, 0.2)",
+      borderWidth: 1,
+      borderDash: [4, 4],
+      label: {
+        display: true,
+        content: `${value}${unit}`,
+        position: "end",
+        backgroundColor: "transparent",
+        color: forPrint ? "#475569" : "#94a3b8",
+        font: { size: 9 },
+        padding: 2,
+        yAdjust: -7,
+      },
+    };
+  });
+  return annotations;
+}
+
+/**
+ * `showLegend` é usado na comparação entre dispositivos (uma série por dispositivo).
+ * As faixas de mínimo/máximo (`isBand`) ficam fora da legenda e do tooltip.
+ * `forPrint` usa cores para fundo claro e desenha sem animação (relatório impresso).
+ * `bands` desenha as faixas de risco do sensor; marcadores (`isMarker`) mostram o motivo no tooltip.
+ * `xRange` (`{ from, to }`) fixa o eixo de tempo; com `onZoom`, arrastar seleciona uma janela e
+ * Shift + arrastar desloca o eixo, e `onZoom({ from, to })` recebe a nova janela.
+ * `syncGroup` sincroniza a linha vertical do mouse entre os gráficos do mesmo grupo.
+ */
+export function createSensorLineChartOptions(
+  config,
+  { showLegend = false, forPrint = false, bands = [], xRange = null, onZoom = null, syncGroup = null } = {}
+) {
+  const gridColor = forPrint ? "rgba(15, 23, 42, 0.08)" : "rgba(255, 255, 255, 0.05)";
+  const emitWindow = ({ chart }) => onZoom({ from: new Date(chart.scales.x.min), to: new Date(chart.scales.x.max) });
+
   return {
     responsive: true,
+    animation: !forPrint,
     maintainAspectRatio: false,
+    parsing: false,
+    normalized: true,
     plugins: {
+      annotation: { annotations: createRiskBandAnnotations(bands, config.unit, forPrint) },
+      crosshair: { group: syncGroup },
+      ...(onZoom && {
+        zoom: {
+          zoom: {
+            mode: "x",
+            drag: {
+              enabled: true,
+              backgroundColor: "rgba(99, 102, 241, 0.15)",
+              borderColor: "rgba(99, 102, 241, 0.6)",
+              borderWidth: 1,
+            },
+            onZoomComplete: emitWindow,
+          },
+          pan: { enabled: true, mode: "x", modifierKey: "shift", onPanComplete: emitWindow },
+        },
+      }),
       legend: {
-        display: false,
+        display: showLegend,
+        labels: {
+          color: forPrint ? "#334155" : "#cbd5e1",
+          boxWidth: 12,
+          font: { size: 11 },
+          filter: (item, data) => !data.datasets[item.datasetIndex].isBand,
+        },
       },
       tooltip: {
         backgroundColor: "rgba(15, 23, 42, 0.95)",
@@ -13,16 +108,28 @@ export function createSensorLineChartOptions(config) {
         borderColor: "rgba(255, 255, 255, 0.1)",
         borderWidth: 1,
         padding: 12,
-        displayColors: false,
+        displayColors: showLegend,
+        filter: (item) => !item.dataset.isBand,
         callbacks: {
-          label: (context) => `${context.parsed.y}${config.unit}`,
+          label: (context) =>
+            showLegend || context.dataset.isMarker
+              ? `${context.dataset.label}: ${formatPointValue(context, config.unit)}`
+              : formatPointValue(context, config.unit),
         },
       },
     },
     scales: {
       x: {
+        type: "time",
+        min: xRange?.from ? xRange.from.getTime() : undefined,
+        max: xRange?.to ? xRange.to.getTime() : undefined,
+        adapters: { date: { locale: ptBR } },
+        time: {
+          tooltipFormat: "dd/MM/yyyy HH:mm",
+          displayFormats: { minute: "HH:mm", hour: "dd/MM HH'h'", day: "dd/MM", week: "dd/MM", month: "MMM yyyy" },
+        },
         grid: {
-          color: "rgba(255, 255, 255, 0.05)",
+          color: gridColor,
         },
         ticks: {
           color: "#64748b",
@@ -34,7 +141,7 @@ export function createSensorLineChartOptions(config) {
       },
       y: {
         grid: {
-          color: "rgba(255, 255, 255, 0.05)",
+          color: gridColor,
         },
         ticks: {
           color: "#64748b",
@@ -43,9 +150,7 @@ export function createSensorLineChartOptions(config) {
         },
       },
     },
-    interaction: {
-      intersect: false,
-      mode: "index",
-    },
+    // Cada série (e os marcadores) tem seus próprios horários: o tooltip mostra o ponto mais próximo
+    interaction: { intersect: false, mode: "nearest", axis: "x" },
   };
 }
@@ -1,13 +1,28 @@
+import {
+  deviceStatusToCssSuffix,
+  formatLastSeen,
+  getDeviceConnectivity,
+  getDeviceConnectivityLabel,
+  getDeviceStatusLabel,
+} from "../utils/devices.js";
+import { formatDrySpell, formatRainMm } from "../utils/rainfall.js";
 import { getRiskLabel, riskLevelToCssSuffix } from "../utils/risk.js";
+import { formatSensorValue, getSensors, readSensorValue } from "../utils/sensorRegistry.js";
+import { RiskBreakdown } from "./RiskBreakdown.jsx";
 import { SensorCard } from "./SensorCard.jsx";
+import { SensorIcon } from "./SensorIcon.jsx";
 
-export function DeviceInfoModal({ device, onClose }) {
+export function DeviceInfoModal({ device, onClose, onEdit, onShowHistory }) {
   if (!device) return null;
 
   const riskSuffix = riskLevelToCssSuffix(device.riskLevel);
   const riskLabel = getRiskLabel(device.riskLevel);
+  const connectivity = device.connectivity || getDeviceConnectivity(device);
+  // Para dispositivos ativos, a falta de leituras recentes tem prioridade sobre o status cadastrado
+  const isSilent = device.status === "active" && (connectivity === "stale" || connectivity === "offline");
+  const statusSuffix = isSilent ? connectivity : deviceStatusToCssSuffix(device.status);
+  const statusLabel = isSilent ? getDeviceConnectivityLabel(connectivity) : getDeviceStatusLabel(device.status);
   const raw = device.rawValues || {};
-  const smokePercent = parseFloat(device.smokePercent) || 0;
 
   return (
     <div
@@ -15,14 +30,19 @@ export function DeviceInfoModal({ device, onClose }) {
       onClick={onClose}
     >
       <div
-        className="bg-slate-900 rounded-2xl w-full max-w-sm overflow-hidden shadow-2xl border border-white/10 animate-scale-in"
+        className="bg-slate-900 rounded-2xl w-full max-w-sm max-h-[90vh] overflow-y-auto shadow-2xl border border-white/10 animate-scale-in"
         onClick={(e) => e.stopPropagation()}
       >
-        <div className="px-4 pt-4">
-          <span className="inline-flex items-center gap-2 px-3 py-1 rounded-full text-sm font-medium bg-emerald-500/20 text-emerald-400 border border-emerald-500/30">
-            <span className="w-2 h-2 rounded-full bg-emerald-400 animate-pulse" />
-            Ativo
+        <div className="px-4 pt-4 flex items-center justify-between gap-2">
+          <span
+            className={`inline-flex items-center gap-2 px-3 py-1 rounded-full text-sm font-medium border device-status-badge--${statusSuffix}`}
+          >
+            <span
+              className={`w-2 h-2 rounded-full device-status-dot--${statusSuffix}${statusSuffix === "active" ? " animate-pulse" : ""}`}
+            />
+            {statusLabel}
           </span>
+          <span className="text-sm font-medium text-slate-300 truncate">{device.name}</span>
         </div>
 
         <div className="p-6">
@@ -60,96 +80,44 @@ export function DeviceInfoModal({ device, onClose }) {
             />
           </div>
           <p className="text-center text-sm text-slate-400">Probabilidade: {device.riskPercent}%</p>
+
+          <RiskBreakdown device={device} />
         </div>
 
         <div className="px-6 pb-4 grid grid-cols-2 gap-3">
-          <SensorCard
-            label="Temperatura"
-            value={device.temperature}
-            unit="°C"
-            rawValue={device.isRealData ? raw.temperature : undefined}
-            rawLabel="API (umi22)"
-            icon={
-              <svg xmlns="http://www.w3.org/2000/svg" className="w-3 h-3" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth="2">
-                <path strokeLinecap="round" strokeLinejoin="round" d="M9 19v-6a2 2 0 00-2-2H5a2 2 0 00-2 2v6a2 2 0 002 2h2a2 2 0 002-2zm0 0V9a2 2 0 012-2h2a2 2 0 012 2v10m-6 0a2 2 0 002 2h2a2 2 0 002-2m0 0V5a2 2 0 012-2h2a2 2 0 012 2v14a2 2 0 01-2 2h-2a2 2 0 01-2-2z" />
-              </svg>
-            }
-          />
-
-          <SensorCard
-            label="Sens. Térmica"
-            value={device.heatIndex}
-            unit="°C"
-            rawValue={device.isRealData ? raw.heatIndex : undefined}
-            rawLabel="API (sense22)"
-            icon={
-              <svg xmlns="http://www.w3.org/2000/svg" className="w-3 h-3" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth="2">
-                <path strokeLinecap="round" strokeLinejoin="round" d="M12 3v1m0 16v1m9-9h-1M4 12H3m15.364 6.364l-.707-.707M6.343 6.343l-.707-.707m12.728 0l-.707.707M6.343 17.657l-.707.707M16 12a4 4 0 11-8 0 4 4 0 018 0z" />
-              </svg>
-            }
-          />
-
-          <SensorCard
-            label="Umidade Ar"
-            value={device.airHumidity}
-            unit="%"
-            rawValue={device.isRealData ? raw.airHumidity : undefined}
-            rawLabel="API (temp22)"
-            icon={
-              <svg xmlns="http://www.w3.org/2000/svg" className="w-3 h-3" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth="2">
-                <path strokeLinecap="round" strokeLinejoin="round" d="M3 15a4 4 0 004 4h9a5 5 0 10-.1-9.999 5.002 5.002 0 10-9.78 2.096A4.001 4.001 0 003 15z" />
-              </svg>
-            }
-          />
-
-          <SensorCard
-            label="Umidade Solo"
-            value={typeof device.soilHumidity === "number" ? device.soilHumidity.toFixed(1) : device.soilHumidity}
-            unit="%"
-            rawValue={device.isRealData ? raw.soilHumidityRaw : undefined}
-            rawLabel="API (umisolo)"
-            icon={
-              <svg xmlns="http://www.w3.org/2000/svg" className="w-3 h-3" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth="2">
-                <path strokeLinecap="round" strokeLinejoin="round" d="M19 11H5m14 0a2 2 0 012 2v6a2 2 0 01-2 2H5a2 2 0 01-2-2v-6a2 2 0 012-2m14 0V9a2 2 0 00-2-2M5 11V9a2 2 0 012-2m0 0V5a2 2 0 012-2h6a2 2 0 012 2v2M7 7h10" />
-              </svg>
-            }
-          />
-
-          <SensorCard
-            className="col-span-2"
-            label="Pluviômetro"
-            value={typeof device.pluvi === "number" ? device.pluvi.toFixed(1) : device.pluvi ?? "—"}
-            unit=" mm"
-            rawValue={device.isRealData && raw.pluvi !== undefined ? raw.pluvi : undefined}
-            rawLabel="API (countpluvi)"
-            icon={<span className="text-sm leading-none">🌧️</span>}
-          />
-
-          <div className="col-span-2 bg-slate-800/50 rounded-xl p-3 border border-white/5 relative cursor-pointer transition-all hover:bg-slate-700/50 group">
-            <div className="flex items-center gap-2 text-slate-400 text-xs mb-1">
-              <svg xmlns="http://www.w3.org/2000/svg" className="w-3 h-3" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth="2">
-                <path strokeLinecap="round" strokeLinejoin="round" d="M19.428 15.428a2 2 0 00-1.022-.547l-2.387-.477a6 6 0 00-3.86.517l-.318.158a6 6 0 01-3.86.517L6.05 15.21a2 2 0 00-1.806.547M8 4h8l-1 1v5.172a2 2 0 00.586 1.414l5 5c1.26 1.26.367 3.414-1.415 3.414H4.828c-1.782 0-2.674-2.154-1.414-3.414l5-5A2 2 0 009 10.172V5L8 4z" />
-              </svg>
-              Fumaça
-            </div>
-            <p
-              className={`text-xl font-bold ${smokePercent > 10 ? "text-red-500" : smokePercent > 6 ? "text-orange-500" : smokePercent > 3 ? "text-yellow-500" : "text-emerald-400"}`}
-            >
-              {smokePercent.toFixed(1)}% {smokePercent > 10 ? "🔥" : smokePercent > 6 ? "⚠️" : "✓"}
-            </p>
-
-            {device.isRealData && raw.smoke !== undefined && (
-              <div className="absolute bottom-full left-1/2 -translate-x-1/2 mb-2 px-3 py-2 bg-slate-950 border border-white/20 rounded-lg shadow-xl z-10 whitespace-nowrap opacity-0 group-hover:opacity-100 transition-opacity">
-                <p className="text-xs text-slate-300">
-                  <span className="text-slate-500">API (fumo):</span> {raw.smoke}
-                </p>
-                <div className="absolute top-full left-1/2 -translate-x-1/2 border-4 border-transparent border-t-slate-950" />
-              </div>
-            )}
-          </div>
+          {getSensors().map((sensor) => {
+            const value = readSensorValue(device, sensor);
+            const tone = value === null ? null : sensor.tone?.(value);
+            return (
+              <SensorCard
+                key={sensor.id}
+                label={sensor.label}
+                value={value === null ? null : formatSensorValue(sensor, value)}
+                unit={sensor.unit}
+                valueClassName={tone?.className}
+                mark={tone?.mark}
+                rawValue={device.isRealData ? raw[sensor.id] : undefined}
+                rawLabel={`API (${sensor.feedKey})`}
+                icon={<SensorIcon sensor={sensor} />}
+              />
+            );
+          })}
         </div>
 
         <div className="px-6 pb-4 space-y-2">
+          <p className="text-sm text-slate-400">
+            <span className="font-medium text-slate-300">Última leitura:</span>{" "}
+            {device.lastSeenAt
+              ? `${new Date(device.lastSeenAt).toLocaleString("pt-BR")} (${formatLastSeen(device.lastSeenAt)})`
+              : "sem leituras"}
+          </p>
+          {device.rainfall && (
+            <p className="text-sm text-slate-400">
+              <span className="font-medium text-slate-300">Chuva:</span> {formatRainMm(device.rainfall.last24hMm)} em 24h ·{" "}
+              {formatRainMm(device.rainfall.last7dMm)} em 7 dias · {formatRainMm(device.rainfall.last30dMm)} em 30 dias ·{" "}
+              {formatDrySpell(device.rainfall)} sem chuva
+            </p>
+          )}
           <p className="text-sm text-slate-400">
             <span className="font-medium text-slate-300">Localização:</span> {device.lat.toFixed(6)},{" "}
             {device.lng.toFixed(6)}
@@ -168,6 +136,26 @@ export function DeviceInfoModal({ device, onClose }) {
           </p>
         </div>
 
+        {onShowHistory && device.backendId && (
+          <button
+            type="button"
+            onClick={() => onShowHistory(device)}
+            className="w-full py-3 bg-slate-800/60 text-indigo-300 hover:text-white hover:bg-slate-700 transition-colors font-medium border-t border-white/10"
+          >
+            Ver histórico de leituras
+          </button>
+        )}
+
+        {onEdit && (
+          <button
+            type="button"
+            onClick={() => onEdit(device)}
+            className="w-full py-3 bg-slate-800/60 text-indigo-300 hover:text-white hover:bg-slate-700 transition-colors font-medium border-t border-white/10"
+          >
+            Editar dispositivo
+          </button>
+        )}
+
         <button
           type="button"
           onClick={onClose}
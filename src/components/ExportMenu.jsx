@@ -0,0 +1,23 @@
+import { EXPORT_FORMATS } from "../utils/exportData.js";
+
+/** Seleção de formato que dispara a exportação (`onExport(format)`) */
+export function ExportMenu({ onExport, disabled = false }) {
+  return (
+    <select
+      value=""
+      onChange={(e) => onExport(e.target.value)}
+      disabled={disabled}
+      aria-label="Exportar dados"
+      className="px-3 py-1.5 rounded-lg border border-white/10 bg-white/5 text-xs text-slate-200 disabled:opacity-40"
+    >
+      <option value="" disabled className="bg-slate-800">
+        Exportar...
+      </option>
+      {EXPORT_FORMATS.map((format) => (
+        <option key={format.key} value={format.key} className="bg-slate-800">
+          {format.label}
+        </option>
+      ))}
+    </select>
+  );
+}
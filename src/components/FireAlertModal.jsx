@@ -1,10 +1,22 @@
-export function FireAlertModal({ device, onAcknowledge }) {
+import { useState } from "react";
+import { ALERT_SNOOZE_MINUTES } from "../constants/config.js";
+import { getAlertSeverityLabel } from "../utils/alertRules.js";
+import { DRILL_LABEL } from "../utils/drills.js";
+
+export function FireAlertModal({ device, rule, isDrill = false, canAcknowledge = true, onAcknowledge, onSnooze, onDismiss }) {
+  const [notes, setNotes] = useState("");
+
   if (!device) return null;
 
   return (
     <div className="fixed inset-0 z-[2000] flex items-center justify-center bg-black/70 p-4 backdrop-blur-sm">
       <div className="w-full max-w-lg rounded-2xl border border-red-400/60 bg-slate-950/95 shadow-2xl shadow-red-900/50 animate-fire-alert-modal">
         <div className="border-b border-red-500/30 px-6 py-4">
+          {isDrill && (
+            <span className="mb-2 inline-block rounded-full border border-amber-400/40 bg-amber-500/20 px-3 py-0.5 text-xs font-bold tracking-widest text-amber-300">
+              {DRILL_LABEL}
+            </span>
+          )}
           <h2 className="text-2xl font-black uppercase tracking-wide text-red-400 animate-fire-alert-text">
             Alerta de Incêndio!
           </h2>
@@ -12,8 +24,14 @@ export function FireAlertModal({ device, onAcknowledge }) {
 
         <div className="px-6 py-5">
           <p className="text-lg text-slate-100">
-            Fumaça detectada pelo dispositivo <span className="font-bold text-red-400">{device.id}</span>.
+            {rule?.name || "Fumaça detectada"} no dispositivo{" "}
+            <span className="font-bold text-red-400">{device.name || device.id}</span>.
           </p>
+          {rule?.severity && (
+            <p className="mt-2 text-sm text-slate-400">
+              Severidade: <span className="font-semibold text-red-300">{getAlertSeverityLabel(rule.severity)}</span>
+            </p>
+          )}
           <p className="mt-2 text-sm text-slate-400">
             Nível atual de fumaça:{" "}
             <span className="font-semibold text-red-300">
@@ -23,13 +41,46 @@ export function FireAlertModal({ device, onAcknowledge }) {
         </div>
 
         <div className="px-6 pb-6">
-          <button
-            type="button"
-            onClick={onAcknowledge}
-            className="w-full rounded-xl bg-red-600 py-3 text-lg font-bold uppercase text-white transition hover:bg-red-700"
-          >
-            ok
-          </button>
+          {canAcknowledge ? (
+            <>
+              <textarea
+                value={notes}
+                onChange={(e) => setNotes(e.target.value)}
+                rows={2}
+                placeholder="Observações (opcional): equipe acionada, situação no local..."
+                className="mb-3 w-full rounded-xl border border-white/10 bg-white/5 px-4 py-3 text-sm text-white placeholder-slate-500 focus:border-red-400 focus:outline-none"
+              />
+              <button
+                type="button"
+                onClick={() => onAcknowledge(notes.trim())}
+                className="w-full rounded-xl bg-red-600 py-3 text-lg font-bold uppercase text-white transition hover:bg-red-700"
+              >
+                Confirmar alerta
+              </button>
+            </>
+          ) : (
+            <>
+              <p className="mb-3 text-center text-sm text-slate-400">
+                Somente operadores e administradores podem confirmar o alerta.
+              </p>
+              <button
+                type="button"
+                onClick={onDismiss}
+                className="w-full rounded-xl bg-white/10 py-3 text-lg font-bold uppercase text-white transition hover:bg-white/20"
+              >
+                Fechar
+              </button>
+            </>
+          )}
+          {onSnooze && (
+            <button
+              type="button"
+              onClick={() => onSnooze(ALERT_SNOOZE_MINUTES[0])}
+              className="mt-3 w-full text-center text-sm text-slate-400 hover:text-white"
+            >
+              Adiar por {ALERT_SNOOZE_MINUTES[0]} min
+            </button>
+          )}
         </div>
       </div>
     </div>
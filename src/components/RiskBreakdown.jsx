@@ -0,0 +1,60 @@
+import { formatRiskPoints, formatRiskThreshold, getRiskModelLabel } from "../utils/riskModels.js";
+
+function formatFactorValue(factor) {
+  if (factor.value === null) return "sem leitura";
+  return `${Number(factor.value.toFixed(1))}${factor.unit}`;
+}
+
+function formatScore(points) {
+  return Number.isInteger(points) ? points : points.toFixed(1);
+}
+
+export function RiskBreakdown({ device }) {
+  const factors = device.riskFactors || [];
+  if (factors.length === 0) return null;
+
+  return (
+    <div className="mt-4 bg-slate-800/50 rounded-xl p-3 border border-white/5">
+      <div className="flex items-center justify-between mb-2 text-xs text-slate-400">
+        <span>Por que este risco?</span>
+        <span>{getRiskModelLabel(device.riskModel)}</span>
+      </div>
+
+      <ul className="divide-y divide-white/5">
+        {factors.map((factor) => {
+          const nextThreshold = formatRiskThreshold(factor.nextThreshold, factor.unit);
+          return (
+            <li key={factor.key} className="py-2">
+              <div className="flex items-center justify-between gap-2 text-sm">
+                <span className="text-slate-300">{factor.label}</span>
+                <span className={`tabular-nums font-semibold ${factor.points > 0 ? "text-orange-400" : "text-slate-500"}`}>
+                  {formatRiskPoints(factor.points)}
+                  {factor.maxPoints != null && <span className="text-slate-500 font-normal"> / {formatScore(factor.maxPoints)}</span>}
+                </span>
+              </div>
+              <div className="flex flex-wrap items-center gap-x-2 gap-y-1 mt-1 text-xs">
+                <span className="text-white tabular-nums">{formatFactorValue(factor)}</span>
+                {factor.bucket && (
+                  <span className="px-2 py-0.5 rounded-full bg-white/5 border border-white/10 text-slate-400">
+                    {factor.bucket}
+                  </span>
+                )}
+                {nextThreshold && (
+                  <span className="text-slate-500">
+                    Próxima faixa: {nextThreshold} ({formatRiskPoints(factor.nextPoints)})
+                  </span>
+                )}
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+
+      {device.riskMaxScore != null && (
+        <p className="mt-2 pt-2 border-t border-white/5 text-xs text-slate-400 text-right tabular-nums">
+          Total: {formatScore(device.riskScore)} de {formatScore(device.riskMaxScore)} pontos
+        </p>
+      )}
+    </div>
+  );
+}
@@ -1,6 +1,6 @@
 import { useState } from "react";
 
-export function SensorCard({ label, value, unit, icon, rawValue, rawLabel, className = "" }) {
+export function SensorCard({ label, value, unit, icon, rawValue, rawLabel, valueClassName = "text-white", mark, className = "" }) {
   const [showTooltip, setShowTooltip] = useState(false);
 
   return (
@@ -13,9 +13,10 @@ export function SensorCard({ label, value, unit, icon, rawValue, rawLabel, class
         {icon}
         {label}
       </div>
-      <p className="text-xl font-bold text-white">
-        {value}
-        {unit}
+      <p className={`text-xl font-bold ${valueClassName}`}>
+        {value ?? "—"}
+        {value != null && unit}
+        {value != null && mark && ` ${mark}`}
       </p>
 
       {showTooltip && rawValue !== undefined && (
@@ -0,0 +1,16 @@
+/** Ícone do sensor do registro: o SVG (`icon.path`) ou, sem ele, o emoji */
+export function SensorIcon({ sensor, className = "w-3 h-3" }) {
+  if (!sensor.icon.path) {
+    return (
+      <span className="text-sm leading-none" aria-hidden>
+        {sensor.icon.emoji}
+      </span>
+    );
+  }
+
+  return (
+    <svg xmlns="http://www.w3.org/2000/svg" className={className} fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth="2">
+      <path strokeLinecap="round" strokeLinejoin="round" d={sensor.icon.path} />
+    </svg>
+  );
+}
@@ -0,0 +1,406 @@
+import { useCallback, useEffect, useState } from "react";
+import { createAlertRule, deleteAlertRule, fetchAlertRules, updateAlertRule } from "../../api/alertRulesApi.js";
+import { fetchDevices } from "../../api/devicesApi.js";
+import { DEFAULT_ALERT_RULES, DEVICE_OFFLINE_AFTER_MINUTES } from "../../constants/config.js";
+import {
+  ALERT_RULE_FIELDS,
+  ALERT_RULE_TYPES,
+  ALERT_SEVERITIES,
+  describeAlertCondition,
+  getAlertRuleTypeLabel,
+  getAlertSeverityLabel,
+} from "../../utils/alertRules.js";
+import {
+  alertRuleFormToPayload,
+  buildAlertRuleForm,
+  createEmptyComparison,
+  validateAlertRuleForm,
+} from "../../utils/alertRuleForm.js";
+import { getRiskLabel } from "../../utils/risk.js";
+import { DarkInput } from "../DarkInput.jsx";
+import { Spinner } from "../Spinner.jsx";
+
+const OPERATORS = [">", ">=", "<", "<="];
+const RISK_LEVELS = ["moderate", "high", "critical"];
+const selectClassName = "w-full px-4 py-3 rounded-xl border border-white/10 bg-white/5 text-white";
+
+function isPersistedRule(rule) {
+  return Boolean(rule) && !DEFAULT_ALERT_RULES.some((defaultRule) => defaultRule.id === rule.id);
+}
+
+function SelectField({ label, value, onChange, options, disabled }) {
+  return (
+    <div>
+      {label && <label className="block text-sm font-medium text-slate-300 mb-2">{label}</label>}
+      <select value={value} onChange={(e) => onChange(e.target.value)} className={selectClassName} disabled={disabled}>
+        {options.map(([optionValue, optionLabel]) => (
+          <option key={optionValue} value={optionValue} className="bg-slate-800">
+            {optionLabel}
+          </option>
+        ))}
+      </select>
+    </div>
+  );
+}
+
+function InlineNumberInput(props) {
+  return (
+    <input
+      type="number"
+      step="any"
+      {...props}
+      className="w-full px-4 py-3 rounded-xl border border-white/10 bg-white/5 text-white placeholder-slate-500"
+    />
+  );
+}
+
+const FIELD_OPTIONS = Object.entries(ALERT_RULE_FIELDS).map(([field, { label }]) => [field, label]);
+const OPERATOR_OPTIONS = OPERATORS.map((operator) => [operator, operator]);
+
+export function AlertRulesPage({ onBack, onOpenNotificationPolicies }) {
+  const [rules, setRules] = useState([]);
+  const [devices, setDevices] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState("");
+  const [success, setSuccess] = useState("");
+  const [editingRule, setEditingRule] = useState(null);
+  const [form, setForm] = useState(() => buildAlertRuleForm(null));
+
+  const loadRules = useCallback(async () => {
+    setIsLoading(true);
+    setError("");
+    try {
+      setRules(await fetchAlertRules());
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadRules();
+    fetchDevices()
+      .then(setDevices)
+      .catch((err) => console.error("Erro ao carregar dispositivos:", err));
+  }, [loadRules]);
+
+  function selectRule(rule) {
+    setEditingRule(rule);
+    setForm(buildAlertRuleForm(rule));
+    setError("");
+    setSuccess("");
+  }
+
+  function setField(name, value) {
+    setForm((f) => ({ ...f, [name]: value }));
+  }
+
+  function handleChange(e) {
+    setField(e.target.name, e.target.value);
+  }
+
+  function updateComparison(index, changes) {
+    setForm((f) => ({
+      ...f,
+      comparisons: f.comparisons.map((c, i) => (i === index ? { ...c, ...changes } : c)),
+    }));
+  }
+
+  function toggleDevice(backendId) {
+    setForm((f) => ({
+      ...f,
+      deviceIds: f.deviceIds.includes(backendId)
+        ? f.deviceIds.filter((id) => id !== backendId)
+        : [...f.deviceIds, backendId],
+    }));
+  }
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    const validationError = validateAlertRuleForm(form);
+    if (validationError) return setError(validationError);
+
+    setIsSaving(true);
+    setError("");
+    setSuccess("");
+    try {
+      const payload = alertRuleFormToPayload(form);
+      const saved = isPersistedRule(editingRule)
+        ? await updateAlertRule(editingRule.id, payload)
+        : await createAlertRule(payload);
+      await loadRules();
+      if (saved) selectRule(saved);
+      setSuccess("Regra salva!");
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  }
+
+  async function handleDelete() {
+    if (!isPersistedRule(editingRule)) return;
+    if (!window.confirm(`Excluir a regra "${editingRule.name}"?`)) return;
+    setIsSaving(true);
+    setError("");
+    try {
+      await deleteAlertRule(editingRule.id);
+      await loadRules();
+      selectRule(null);
+      setSuccess("Regra excluída.");
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  }
+
+  return (
+    <div className="w-full max-w-6xl">
+      <div className="flex items-center justify-between mb-8">
+        <button type="button" onClick={onBack} className="flex items-center gap-2 text-slate-400 hover:text-white transition-colors">
+          <svg xmlns="http://www.w3.org/2000/svg" className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth="2">
+            <path strokeLinecap="round" strokeLinejoin="round" d="M10 19l-7-7m0 0l7-7m-7 7h18" />
+          </svg>
+          Voltar
+        </button>
+        <div className="flex items-center gap-4">
+          {onOpenNotificationPolicies && (
+            <button
+              type="button"
+              onClick={onOpenNotificationPolicies}
+              className="px-3 py-1.5 text-xs font-medium rounded-lg bg-white/10 hover:bg-white/20 text-slate-200 border border-white/10 transition-all"
+            >
+              Canais de envio
+            </button>
+          )}
+          <h1 className="text-xl md:text-2xl font-bold text-white">Regras de alerta</h1>
+        </div>
+      </div>
+
+      {error && <div className="mb-6 p-3 bg-red-500/10 border border-red-500/20 rounded-xl text-red-400 text-sm">{error}</div>}
+      {success && <div className="mb-6 p-3 bg-green-500/10 border border-green-500/20 rounded-xl text-green-400 text-sm">{success}</div>}
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        <div className="bg-white/5 backdrop-blur-xl rounded-2xl border border-white/10 p-4">
+          <div className="flex items-center justify-between mb-4">
+            <h3 className="text-lg font-semibold text-white">Regras</h3>
+            <button
+              type="button"
+              onClick={() => selectRule(null)}
+              className="px-3 py-1.5 text-xs font-medium rounded-lg bg-indigo-500 hover:bg-indigo-400 text-white transition-all"
+            >
+              Nova
+            </button>
+          </div>
+
+          {isLoading ? (
+            <div className="flex justify-center py-8">
+              <Spinner className="w-6 h-6 text-indigo-400" />
+            </div>
+          ) : (
+            <ul className="space-y-2">
+              {rules.map((rule) => (
+                <li key={rule.id}>
+                  <button
+                    type="button"
+                    onClick={() => selectRule(rule)}
+                    className={`w-full px-3 py-2 rounded-xl text-left transition-all border ${
+                      editingRule?.id === rule.id
+                        ? "bg-indigo-500/20 border-indigo-500/40"
+                        : "bg-white/5 border-white/10 hover:bg-white/10"
+                    } ${rule.enabled ? "" : "opacity-60"}`}
+                  >
+                    <div className="flex items-center justify-between gap-2">
+                      <span className="text-sm text-white truncate">{rule.name}</span>
+                      <span className="text-xs text-slate-400">{getAlertSeverityLabel(rule.severity)}</span>
+                    </div>
+                    <p className="text-xs text-slate-500 truncate">{describeAlertCondition(rule.condition)}</p>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+          {!isLoading && !rules.some(isPersistedRule) && (
+            <p className="mt-4 text-xs text-slate-500">Nenhuma regra cadastrada na API: usando a regra padrão de fumaça.</p>
+          )}
+        </div>
+
+        <form onSubmit={handleSubmit} className="lg:col-span-2 bg-white/5 backdrop-blur-xl rounded-2xl border border-white/10 p-6 space-y-4">
+          <h3 className="text-lg font-semibold text-white">{editingRule ? `Editar ${editingRule.name}` : "Nova regra"}</h3>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <DarkInput label="Nome" name="name" value={form.name} onChange={handleChange} required disabled={isSaving} />
+            <SelectField
+              label="Severidade"
+              value={form.severity}
+              onChange={(value) => setField("severity", value)}
+              options={ALERT_SEVERITIES.map((severity) => [severity, getAlertSeverityLabel(severity)])}
+              disabled={isSaving}
+            />
+            <SelectField
+              label="Tipo"
+              value={form.type}
+              onChange={(value) => setField("type", value)}
+              options={ALERT_RULE_TYPES.map((type) => [type, getAlertRuleTypeLabel(type)])}
+              disabled={isSaving}
+            />
+            <DarkInput
+              label="Intervalo mínimo entre alertas (min)"
+              name="cooldownMinutes"
+              type="number"
+              min="0"
+              value={form.cooldownMinutes}
+              onChange={handleChange}
+              disabled={isSaving}
+            />
+          </div>
+
+          <div className="pt-4 border-t border-white/10 space-y-4">
+            <p className="text-sm text-slate-400">Condição de disparo</p>
+            {form.type === "threshold" && (
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+                <SelectField value={form.field} onChange={(value) => setField("field", value)} options={FIELD_OPTIONS} disabled={isSaving} />
+                <SelectField value={form.operator} onChange={(value) => setField("operator", value)} options={OPERATOR_OPTIONS} disabled={isSaving} />
+                <InlineNumberInput name="value" placeholder="Valor" value={form.value} onChange={handleChange} disabled={isSaving} />
+                <InlineNumberInput name="consecutive" min="1" placeholder="Leituras seguidas" value={form.consecutive} onChange={handleChange} disabled={isSaving} />
+              </div>
+            )}
+
+            {form.type === "combined" && (
+              <div className="space-y-3">
+                {form.comparisons.map((comparison, index) => (
+                  <div key={index} className="grid grid-cols-[1fr_auto_1fr_auto] gap-3 items-center">
+                    <SelectField value={comparison.field} onChange={(value) => updateComparison(index, { field: value })} options={FIELD_OPTIONS} disabled={isSaving} />
+                    <SelectField value={comparison.operator} onChange={(value) => updateComparison(index, { operator: value })} options={OPERATOR_OPTIONS} disabled={isSaving} />
+                    <InlineNumberInput
+                      value={comparison.value}
+                      onChange={(e) => updateComparison(index, { value: e.target.value })}
+                      placeholder="Valor"
+                      disabled={isSaving}
+                    />
+                    <button
+                      type="button"
+                      onClick={() => setField("comparisons", form.comparisons.filter((_, i) => i !== index))}
+                      disabled={isSaving || form.comparisons.length <= 1}
+                      className="px-3 py-2 text-slate-400 hover:text-red-400 disabled:opacity-30"
+                      aria-label="Remover condição"
+                    >
+                      ✕
+                    </button>
+                  </div>
+                ))}
+                <button
+                  type="button"
+                  onClick={() => setField("comparisons", [...form.comparisons, createEmptyComparison()])}
+                  className="text-sm text-indigo-300 hover:text-white"
+                  disabled={isSaving}
+                >
+                  + Adicionar condição
+                </button>
+              </div>
+            )}
+
+            {form.type === "rateOfRise" && (
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+                <SelectField value={form.field} onChange={(value) => setField("field", value)} options={FIELD_OPTIONS} disabled={isSaving} />
+                <InlineNumberInput name="delta" placeholder="Subida mínima" value={form.delta} onChange={handleChange} disabled={isSaving} />
+                <InlineNumberInput name="windowMinutes" min="1" placeholder="Janela (min)" value={form.windowMinutes} onChange={handleChange} disabled={isSaving} />
+              </div>
+            )}
+
+            {form.type === "riskLevel" && (
+              <SelectField
+                label="Nível mínimo de risco"
+                value={form.level}
+                onChange={(value) => setField("level", value)}
+                options={RISK_LEVELS.map((level) => [level, getRiskLabel(level)])}
+                disabled={isSaving}
+              />
+            )}
+            {form.type === "offline" && (
+              <p className="text-xs text-slate-500">
+                Dispara quando o dispositivo passa do limite de silêncio definido no cadastro (padrão de{" "}
+                {DEVICE_OFFLINE_AFTER_MINUTES} min sem leituras).
+              </p>
+            )}
+          </div>
+
+          <div className="pt-4 border-t border-white/10 space-y-3">
+            <label className="flex items-center gap-2 text-sm text-slate-300">
+              <input
+                type="checkbox"
+                checked={form.hasClearCondition}
+                onChange={(e) => setField("hasClearCondition", e.target.checked)}
+                disabled={isSaving}
+              />
+              Encerrar somente quando (histerese)
+            </label>
+            {form.hasClearCondition && (
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+                <SelectField value={form.clearField} onChange={(value) => setField("clearField", value)} options={FIELD_OPTIONS} disabled={isSaving} />
+                <SelectField value={form.clearOperator} onChange={(value) => setField("clearOperator", value)} options={OPERATOR_OPTIONS} disabled={isSaving} />
+                <InlineNumberInput name="clearValue" placeholder="Valor" value={form.clearValue} onChange={handleChange} disabled={isSaving} />
+                <InlineNumberInput name="clearConsecutive" min="1" placeholder="Leituras seguidas" value={form.clearConsecutive} onChange={handleChange} disabled={isSaving} />
+              </div>
+            )}
+          </div>
+
+          <div className="pt-4 border-t border-white/10 space-y-3">
+            <p className="text-sm text-slate-400">Aplicar a (vazio = todos os dispositivos)</p>
+            <div className="flex flex-wrap gap-2">
+              {devices.map((device) => (
+                <label
+                  key={device.backendId}
+                  className="flex items-center gap-2 px-3 py-1.5 rounded-lg bg-white/5 border border-white/10 text-sm text-slate-300"
+                >
+                  <input
+                    type="checkbox"
+                    checked={form.deviceIds.includes(device.backendId)}
+                    onChange={() => toggleDevice(device.backendId)}
+                    disabled={isSaving}
+                  />
+                  {device.name}
+                </label>
+              ))}
+            </div>
+            <DarkInput label="Grupos (separados por vírgula)" name="groups" value={form.groups} onChange={handleChange} placeholder="Mata Norte, Reserva Sul" disabled={isSaving} />
+          </div>
+
+          <label className="flex items-center gap-2 text-sm text-slate-300">
+            <input type="checkbox" checked={form.enabled} onChange={(e) => setField("enabled", e.target.checked)} disabled={isSaving} />
+            Regra habilitada
+          </label>
+
+          <div className="flex gap-3 pt-2">
+            {isPersistedRule(editingRule) && (
+              <button
+                type="button"
+                onClick={handleDelete}
+                disabled={isSaving}
+                className="flex-1 py-3 bg-red-500/20 hover:bg-red-500/30 text-red-400 rounded-xl font-medium border border-red-500/30 disabled:opacity-50"
+              >
+                Excluir
+              </button>
+            )}
+            <button
+              type="submit"
+              disabled={isSaving}
+              className="flex-1 py-3 bg-gradient-to-r from-indigo-500 to-purple-600 text-white rounded-xl font-semibold disabled:opacity-50 flex items-center justify-center gap-2"
+            >
+              {isSaving ? (
+                <>
+                  <Spinner /> Salvando...
+                </>
+              ) : (
+                "Salvar"
+              )}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,194 @@
+import { useState } from "react";
+import { fetchAdafruitRawValues } from "../../api/adafruit.js";
+import {
+  CALIBRATED_FIELDS,
+  DEFAULT_SENSOR_CALIBRATION,
+  computeTwoPointCoefficients,
+  getCalibrationFieldLabel,
+  getCalibrationFieldUnit,
+  getTwoPointHints,
+} from "../../utils/calibration.js";
+import { buildCalibrationFieldForm } from "../../utils/deviceForm.js";
+
+const inputClassName = "w-full px-3 py-2 rounded-lg border border-white/10 bg-white/5 text-white text-sm placeholder-slate-500";
+
+function createTwoPointDraft(field) {
+  return getTwoPointHints(field).map((hint) => ({
+    label: hint.label,
+    raw: "",
+    value: hint.value === null ? "" : String(hint.value),
+  }));
+}
+
+/** Calibração em dois pontos: lê (ou digita) o bruto em cada referência e calcula a reta */
+function TwoPointCalibration({ field, device, disabled, onApply }) {
+  const [points, setPoints] = useState(() => createTwoPointDraft(field));
+  const [readingIndex, setReadingIndex] = useState(null);
+  const [error, setError] = useState("");
+
+  function updatePoint(index, changes) {
+    setPoints((prev) => prev.map((point, i) => (i === index ? { ...point, ...changes } : point)));
+  }
+
+  async function readCurrentValue(index) {
+    setReadingIndex(index);
+    setError("");
+    const raw = await fetchAdafruitRawValues(device);
+    setReadingIndex(null);
+    if (raw?.values[field] === undefined) return setError("Sem leitura atual deste sensor");
+    updatePoint(index, { raw: String(raw.values[field]) });
+  }
+
+  function apply() {
+    const parsed = points.map((point) => ({ raw: parseFloat(point.raw), value: parseFloat(point.value) }));
+    if (parsed.some((point) => Number.isNaN(point.raw) || Number.isNaN(point.value))) {
+      return setError("Preencha a leitura bruta e o valor real dos dois pontos");
+    }
+    const coefficients = computeTwoPointCoefficients(parsed[0], parsed[1]);
+    if (!coefficients) return setError("As leituras brutas dos dois pontos precisam ser diferentes");
+    setError("");
+    onApply(coefficients);
+  }
+
+  const unit = getCalibrationFieldUnit(field);
+
+  return (
+    <div className="space-y-2 pt-3 border-t border-white/5">
+      <p className="text-xs text-slate-400">Calibração em dois pontos</p>
+      {points.map((point, index) => (
+        <div key={index} className="grid grid-cols-[6rem_1fr_1fr_auto] gap-2 items-center">
+          <span className="text-xs text-slate-300">{point.label}</span>
+          <input
+            type="number"
+            step="any"
+            value={point.raw}
+            onChange={(e) => updatePoint(index, { raw: e.target.value })}
+            placeholder="Leitura bruta"
+            className={inputClassName}
+            disabled={disabled}
+          />
+          <input
+            type="number"
+            step="any"
+            value={point.value}
+            onChange={(e) => updatePoint(index, { value: e.target.value })}
+            placeholder={`Valor real${unit ? ` (${unit})` : ""}`}
+            className={inputClassName}
+            disabled={disabled}
+          />
+          <button
+            type="button"
+            onClick={() => readCurrentValue(index)}
+            disabled={disabled || !device || readingIndex !== null}
+            className="px-2 py-2 text-xs text-indigo-300 hover:text-white disabled:opacity-40 whitespace-nowrap"
+          >
+            {readingIndex === index ? "Lendo..." : "Ler atual"}
+          </button>
+        </div>
+      ))}
+      {error && <p className="text-xs text-red-400">{error}</p>}
+      <button type="button" onClick={apply} disabled={disabled} className="text-sm text-indigo-300 hover:text-white">
+        Calcular coeficientes
+      </button>
+    </div>
+  );
+}
+
+/**
+ * Perfis de calibração do formulário de dispositivo (`calibration: { [field]: { isCustom, coefficients, ... } }`).
+ * Campos sem calibração própria usam `DEFAULT_SENSOR_CALIBRATION`.
+ */
+export function CalibrationEditor({ calibration, device, disabled, onChange }) {
+  function toggleCustom(field, isCustom) {
+    onChange(field, isCustom ? { isCustom } : buildCalibrationFieldForm(DEFAULT_SENSOR_CALIBRATION[field], false));
+  }
+
+  return (
+    <div className="pt-4 border-t border-white/10 space-y-3">
+      <div>
+        <p className="text-sm text-slate-300">Calibração dos sensores</p>
+        <p className="text-xs text-slate-500">
+          Valor = c0 + c1·x + c2·x² + … + deslocamento, limitado entre mínimo e máximo (x = leitura bruta).
+        </p>
+      </div>
+
+      {CALIBRATED_FIELDS.map((field) => {
+        const profile = calibration[field];
+        return (
+          <details key={field} className="rounded-xl bg-white/5 border border-white/10 px-4 py-3" open={profile.isCustom}>
+            <summary className="cursor-pointer text-sm text-white">
+              {getCalibrationFieldLabel(field)}
+              <span className="ml-2 text-xs text-slate-500">{profile.isCustom ? "calibração própria" : "padrão"}</span>
+            </summary>
+
+            <div className="mt-3 space-y-3">
+              <label className="flex items-center gap-2 text-sm text-slate-300">
+                <input
+                  type="checkbox"
+                  checked={profile.isCustom}
+                  onChange={(e) => toggleCustom(field, e.target.checked)}
+                  disabled={disabled}
+                />
+                Usar calibração própria neste dispositivo
+              </label>
+
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-2">
+                <label className="col-span-2 text-xs text-slate-400">
+                  Coeficientes (c0, c1, …)
+                  <input
+                    value={profile.coefficients}
+                    onChange={(e) => onChange(field, { coefficients: e.target.value })}
+                    className={`${inputClassName} mt-1`}
+                    disabled={disabled || !profile.isCustom}
+                  />
+                </label>
+                <label className="text-xs text-slate-400">
+                  Deslocamento
+                  <input
+                    value={profile.offset}
+                    onChange={(e) => onChange(field, { offset: e.target.value })}
+                    className={`${inputClassName} mt-1`}
+                    disabled={disabled || !profile.isCustom}
+                  />
+                </label>
+                <div className="grid grid-cols-2 gap-2">
+                  <label className="text-xs text-slate-400">
+                    Mín.
+                    <input
+                      value={profile.min}
+                      onChange={(e) => onChange(field, { min: e.target.value })}
+                      placeholder="—"
+                      className={`${inputClassName} mt-1`}
+                      disabled={disabled || !profile.isCustom}
+                    />
+                  </label>
+                  <label className="text-xs text-slate-400">
+                    Máx.
+                    <input
+                      value={profile.max}
+                      onChange={(e) => onChange(field, { max: e.target.value })}
+                      placeholder="—"
+                      className={`${inputClassName} mt-1`}
+                      disabled={disabled || !profile.isCustom}
+                    />
+                  </label>
+                </div>
+              </div>
+
+              {profile.isCustom && (
+                <TwoPointCalibration
+                  field={field}
+                  device={device}
+                  disabled={disabled}
+                  onApply={(coefficients) =>
+                    onChange(field, { coefficients: coefficients.map((c) => String(parseFloat(c.toPrecision(6)))).join(", ") })
+                  }
+                />
+              )}
+            </div>
+          </details>
+        );
+      })}
+    </div>
+  );
+}
@@ -0,0 +1,306 @@
+import { useCallback, useEffect, useMemo, useState } from "react";
+import { createDevice, fetchDevices, updateDevice } from "../../api/devicesApi.js";
+import {
+  BIOME_RISK_WEIGHTS,
+  DEVICE_OFFLINE_AFTER_MINUTES,
+  DEVICE_STALE_AFTER_MINUTES,
+} from "../../constants/config.js";
+import { buildDeviceForm, deviceFormToPayload, validateDeviceForm } from "../../utils/deviceForm.js";
+import { DEVICE_STATUSES, deviceStatusToCssSuffix, getDeviceStatusLabel } from "../../utils/devices.js";
+import { getBiomeLabel, getRiskModels } from "../../utils/riskModels.js";
+import { DarkInput } from "../DarkInput.jsx";
+import { CalibrationEditor } from "./CalibrationEditor.jsx";
+import { Spinner } from "../Spinner.jsx";
+import { DeviceMap } from "../map/DeviceMap.jsx";
+
+export function DeviceAdminPage({ initialDeviceId, onBack }) {
+  const [devices, setDevices] = useState([]);
+  const [isLoadingList, setIsLoadingList] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState("");
+  const [success, setSuccess] = useState("");
+  const [editingDevice, setEditingDevice] = useState(null);
+  const [form, setForm] = useState(() => buildDeviceForm(null));
+
+  const loadDevices = useCallback(async () => {
+    setIsLoadingList(true);
+    setError("");
+    try {
+      const list = await fetchDevices();
+      setDevices(list);
+      return list;
+    } catch (err) {
+      setError(err.message);
+      return [];
+    } finally {
+      setIsLoadingList(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadDevices().then((list) => {
+      const initialDevice = list.find((device) => device.backendId === initialDeviceId);
+      if (initialDevice) {
+        setEditingDevice(initialDevice);
+        setForm(buildDeviceForm(initialDevice));
+      }
+    });
+  }, [loadDevices, initialDeviceId]);
+
+  const pickedLocation = useMemo(() => {
+    const lat = parseFloat(form.lat);
+    const lng = parseFloat(form.lng);
+    return Number.isNaN(lat) || Number.isNaN(lng) ? null : { lat, lng };
+  }, [form.lat, form.lng]);
+
+  function selectDevice(device) {
+    setEditingDevice(device);
+    setForm(buildDeviceForm(device));
+    setError("");
+    setSuccess("");
+  }
+
+  function startNewDevice() {
+    selectDevice(null);
+  }
+
+  function handleChange(e) {
+    const { name, value } = e.target;
+    setForm((f) => ({ ...f, [name]: value }));
+  }
+
+  function handleCalibrationChange(field, changes) {
+    setForm((f) => ({
+      ...f,
+      calibration: { ...f.calibration, [field]: { ...f.calibration[field], ...changes } },
+    }));
+  }
+
+  function handleMapClick({ lat, lng }) {
+    setForm((f) => ({ ...f, lat: lat.toFixed(6), lng: lng.toFixed(6) }));
+  }
+
+  async function saveDevice(payload, successMessage) {
+    setIsSaving(true);
+    setError("");
+    setSuccess("");
+    try {
+      const saved = editingDevice
+        ? await updateDevice(editingDevice.backendId, payload)
+        : await createDevice(payload);
+      await loadDevices();
+      if (saved) selectDevice(saved);
+      setSuccess(successMessage);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  }
+
+  function handleSubmit(e) {
+    e.preventDefault();
+    const validationError = validateDeviceForm(form);
+    if (validationError) return setError(validationError);
+    saveDevice(deviceFormToPayload(form), editingDevice ? "Dispositivo atualizado!" : "Dispositivo cadastrado!");
+  }
+
+  function decommissionDevice() {
+    if (!editingDevice) return;
+    if (!window.confirm(`Desativar definitivamente ${editingDevice.name}? Ele deixará de aparecer no dashboard.`)) return;
+    saveDevice({ status: "decommissioned" }, "Dispositivo desativado.");
+  }
+
+  return (
+    <div className="w-full max-w-6xl">
+      <div className="flex items-center justify-between mb-8">
+        <button type="button" onClick={onBack} className="flex items-center gap-2 text-slate-400 hover:text-white transition-colors">
+          <svg xmlns="http://www.w3.org/2000/svg" className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth="2">
+            <path strokeLinecap="round" strokeLinejoin="round" d="M10 19l-7-7m0 0l7-7m-7 7h18" />
+          </svg>
+          Voltar
+        </button>
+        <h1 className="text-xl md:text-2xl font-bold text-white">Gerenciar dispositivos</h1>
+      </div>
+
+      {error && <div className="mb-6 p-3 bg-red-500/10 border border-red-500/20 rounded-xl text-red-400 text-sm">{error}</div>}
+      {success && <div className="mb-6 p-3 bg-green-500/10 border border-green-500/20 rounded-xl text-green-400 text-sm">{success}</div>}
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6 mb-6">
+        <div className="bg-white/5 backdrop-blur-xl rounded-2xl border border-white/10 p-4">
+          <div className="flex items-center justify-between mb-4">
+            <h3 className="text-lg font-semibold text-white">Dispositivos</h3>
+            <button
+              type="button"
+              onClick={startNewDevice}
+              className="px-3 py-1.5 text-xs font-medium rounded-lg bg-indigo-500 hover:bg-indigo-400 text-white transition-all"
+            >
+              Novo
+            </button>
+          </div>
+
+          {isLoadingList ? (
+            <div className="flex justify-center py-8">
+              <Spinner className="w-6 h-6 text-indigo-400" />
+            </div>
+          ) : devices.length === 0 ? (
+            <p className="text-slate-400 text-sm py-4">Nenhum dispositivo cadastrado</p>
+          ) : (
+            <ul className="space-y-2">
+              {devices.map((device) => (
+                <li key={device.backendId}>
+                  <button
+                    type="button"
+                    onClick={() => selectDevice(device)}
+                    className={`w-full flex items-center justify-between gap-2 px-3 py-2 rounded-xl text-left transition-all border ${
+                      editingDevice?.backendId === device.backendId
+                        ? "bg-indigo-500/20 border-indigo-500/40"
+                        : "bg-white/5 border-white/10 hover:bg-white/10"
+                    }`}
+                  >
+                    <span className="text-sm text-white truncate">{device.name}</span>
+                    <span
+                      className={`px-2 py-0.5 rounded-full text-xs border device-status-badge--${deviceStatusToCssSuffix(device.status)}`}
+                    >
+                      {getDeviceStatusLabel(device.status)}
+                    </span>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        <form onSubmit={handleSubmit} className="lg:col-span-2 bg-white/5 backdrop-blur-xl rounded-2xl border border-white/10 p-6 space-y-4">
+          <h3 className="text-lg font-semibold text-white">
+            {editingDevice ? `Editar ${editingDevice.name}` : "Cadastrar dispositivo"}
+          </h3>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <DarkInput label="Nome" name="name" value={form.name} onChange={handleChange} required disabled={isSaving} />
+            <DarkInput label="Código" name="code" value={form.code} onChange={handleChange} placeholder="005" disabled={isSaving} />
+            <DarkInput
+              label="Grupo de feeds (Adafruit IO)"
+              name="feedGroup"
+              value={form.feedGroup}
+              onChange={handleChange}
+              placeholder="pyroalert-005"
+              required
+              disabled={isSaving}
+            />
+            <DarkInput label="Grupo / área" name="group" value={form.group} onChange={handleChange} placeholder="Mata Norte" disabled={isSaving} />
+            <DarkInput
+              label="Sem dados recentes após (min)"
+              name="staleAfterMinutes"
+              value={form.staleAfterMinutes}
+              onChange={handleChange}
+              placeholder={String(DEVICE_STALE_AFTER_MINUTES)}
+              disabled={isSaving}
+            />
+            <DarkInput
+              label="Offline após (min)"
+              name="offlineAfterMinutes"
+              value={form.offlineAfterMinutes}
+              onChange={handleChange}
+              placeholder={String(DEVICE_OFFLINE_AFTER_MINUTES)}
+              disabled={isSaving}
+            />
+            <DarkInput label="Latitude" name="lat" value={form.lat} onChange={handleChange} placeholder="-8.052503" required disabled={isSaving} />
+            <DarkInput label="Longitude" name="lng" value={form.lng} onChange={handleChange} placeholder="-34.885167" required disabled={isSaving} />
+            <div>
+              <label className="block text-sm font-medium text-slate-300 mb-2">Status</label>
+              <select
+                name="status"
+                value={form.status}
+                onChange={handleChange}
+                className="w-full px-4 py-3 rounded-xl border border-white/10 bg-white/5 text-white"
+                disabled={isSaving}
+              >
+                {DEVICE_STATUSES.map((status) => (
+                  <option key={status} value={status} className="bg-slate-800">
+                    {getDeviceStatusLabel(status)}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-slate-300 mb-2">Modelo de risco</label>
+              <select
+                name="riskModel"
+                value={form.riskModel}
+                onChange={handleChange}
+                className="w-full px-4 py-3 rounded-xl border border-white/10 bg-white/5 text-white"
+                disabled={isSaving}
+              >
+                {getRiskModels().map((model) => (
+                  <option key={model.id} value={model.id} className="bg-slate-800">
+                    {model.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-slate-300 mb-2">Bioma</label>
+              <select
+                name="biome"
+                value={form.biome}
+                onChange={handleChange}
+                className="w-full px-4 py-3 rounded-xl border border-white/10 bg-white/5 text-white"
+                disabled={isSaving}
+              >
+                {Object.keys(BIOME_RISK_WEIGHTS).map((biome) => (
+                  <option key={biome} value={biome} className="bg-slate-800">
+                    {getBiomeLabel(biome)}
+                  </option>
+                ))}
+              </select>
+            </div>
+          </div>
+          <p className="text-xs text-slate-500">
+            {getRiskModels().find((model) => model.id === form.riskModel)?.description}
+          </p>
+          <CalibrationEditor
+            key={editingDevice?.backendId || "new"}
+            calibration={form.calibration}
+            device={editingDevice && form.feedGroup === editingDevice.feedGroup ? editingDevice : null}
+            disabled={isSaving}
+            onChange={handleCalibrationChange}
+          />
+          <p className="text-xs text-slate-500">Clique no mapa abaixo para definir a localização do dispositivo.</p>
+          <div className="flex gap-3 pt-2">
+            {editingDevice && editingDevice.status !== "decommissioned" && (
+              <button
+                type="button"
+                onClick={decommissionDevice}
+                disabled={isSaving}
+                className="flex-1 py-3 bg-red-500/20 hover:bg-red-500/30 text-red-400 rounded-xl font-medium border border-red-500/30 disabled:opacity-50"
+              >
+                Desativar
+              </button>
+            )}
+            <button
+              type="submit"
+              disabled={isSaving}
+              className="flex-1 py-3 bg-gradient-to-r from-indigo-500 to-purple-600 text-white rounded-xl font-semibold disabled:opacity-50 flex items-center justify-center gap-2"
+            >
+              {isSaving ? (
+                <>
+                  <Spinner /> Salvando...
+                </>
+              ) : (
+                "Salvar"
+              )}
+            </button>
+          </div>
+        </form>
+      </div>
+
+      <DeviceMap
+        devices={devices}
+        onMapClick={handleMapClick}
+        pickedLocation={pickedLocation}
+        onDeviceClick={selectDevice}
+        hint="Clique no mapa para posicionar; clique em um marcador para editá-lo"
+      />
+    </div>
+  );
+}
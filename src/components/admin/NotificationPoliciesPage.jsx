@@ -0,0 +1,319 @@
+import { useCallback, useEffect, useState } from "react";
+import {
+  createNotificationPolicy,
+  deleteNotificationPolicy,
+  fetchNotificationPolicies,
+  updateNotificationPolicy,
+} from "../../api/notificationPoliciesApi.js";
+import { CHANNEL_TYPES, getChannelTargetPlaceholder, getChannelTypeLabel } from "../../utils/notificationPolicies.js";
+import {
+  buildNotificationPolicyForm,
+  createEmptyChannel,
+  createEmptyStep,
+  notificationPolicyFormToPayload,
+  validateNotificationPolicyForm,
+} from "../../utils/notificationPolicyForm.js";
+import { DarkInput } from "../DarkInput.jsx";
+import { Spinner } from "../Spinner.jsx";
+
+const selectClassName = "w-full px-4 py-3 rounded-xl border border-white/10 bg-white/5 text-white";
+const inputClassName = "w-full px-4 py-3 rounded-xl border border-white/10 bg-white/5 text-white placeholder-slate-500";
+const CHANNEL_OPTIONS = CHANNEL_TYPES.map((type) => [type, getChannelTypeLabel(type)]);
+
+function SelectField({ value, onChange, options, disabled }) {
+  return (
+    <select value={value} onChange={(e) => onChange(e.target.value)} className={selectClassName} disabled={disabled}>
+      {options.map(([optionValue, optionLabel]) => (
+        <option key={optionValue} value={optionValue} className="bg-slate-800">
+          {optionLabel}
+        </option>
+      ))}
+    </select>
+  );
+}
+
+function describeSteps(policy) {
+  return policy.steps
+    .map((step) => `${step.afterMinutes} min: ${step.channels.map((c) => getChannelTypeLabel(c.type)).join(", ")}`)
+    .join(" → ");
+}
+
+export function NotificationPoliciesPage({ onBack }) {
+  const [policies, setPolicies] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState("");
+  const [success, setSuccess] = useState("");
+  const [editingPolicy, setEditingPolicy] = useState(null);
+  const [form, setForm] = useState(() => buildNotificationPolicyForm(null));
+
+  const loadPolicies = useCallback(async () => {
+    setIsLoading(true);
+    setError("");
+    try {
+      setPolicies(await fetchNotificationPolicies());
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadPolicies();
+  }, [loadPolicies]);
+
+  function selectPolicy(policy) {
+    setEditingPolicy(policy);
+    setForm(buildNotificationPolicyForm(policy));
+    setError("");
+    setSuccess("");
+  }
+
+  function setField(name, value) {
+    setForm((f) => ({ ...f, [name]: value }));
+  }
+
+  function handleChange(e) {
+    setField(e.target.name, e.target.value);
+  }
+
+  function updateStep(stepIndex, updater) {
+    setForm((f) => ({ ...f, steps: f.steps.map((step, i) => (i === stepIndex ? updater(step) : step)) }));
+  }
+
+  function updateChannel(stepIndex, channelIndex, changes) {
+    updateStep(stepIndex, (step) => ({
+      ...step,
+      channels: step.channels.map((c, i) => (i === channelIndex ? { ...c, ...changes } : c)),
+    }));
+  }
+
+  function addStep() {
+    const lastMinutes = parseFloat(form.steps[form.steps.length - 1]?.afterMinutes) || 0;
+    setField("steps", [...form.steps, createEmptyStep(lastMinutes + 10)]);
+  }
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    const validationError = validateNotificationPolicyForm(form);
+    if (validationError) return setError(validationError);
+
+    setIsSaving(true);
+    setError("");
+    setSuccess("");
+    try {
+      const payload = notificationPolicyFormToPayload(form);
+      const saved = editingPolicy
+        ? await updateNotificationPolicy(editingPolicy.id, payload)
+        : await createNotificationPolicy(payload);
+      await loadPolicies();
+      if (saved) selectPolicy(saved);
+      setSuccess("Política salva!");
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  }
+
+  async function handleDelete() {
+    if (!editingPolicy) return;
+    if (!window.confirm(`Excluir a política "${editingPolicy.name}"?`)) return;
+    setIsSaving(true);
+    setError("");
+    try {
+      await deleteNotificationPolicy(editingPolicy.id);
+      await loadPolicies();
+      selectPolicy(null);
+      setSuccess("Política excluída.");
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  }
+
+  return (
+    <div className="w-full max-w-6xl">
+      <div className="flex items-center justify-between mb-8">
+        <button type="button" onClick={onBack} className="flex items-center gap-2 text-slate-400 hover:text-white transition-colors">
+          <svg xmlns="http://www.w3.org/2000/svg" className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth="2">
+            <path strokeLinecap="round" strokeLinejoin="round" d="M10 19l-7-7m0 0l7-7m-7 7h18" />
+          </svg>
+          Voltar
+        </button>
+        <h1 className="text-xl md:text-2xl font-bold text-white">Canais de envio</h1>
+      </div>
+
+      {error && <div className="mb-6 p-3 bg-red-500/10 border border-red-500/20 rounded-xl text-red-400 text-sm">{error}</div>}
+      {success && <div className="mb-6 p-3 bg-green-500/10 border border-green-500/20 rounded-xl text-green-400 text-sm">{success}</div>}
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        <div className="bg-white/5 backdrop-blur-xl rounded-2xl border border-white/10 p-4">
+          <div className="flex items-center justify-between mb-4">
+            <h3 className="text-lg font-semibold text-white">Políticas</h3>
+            <button
+              type="button"
+              onClick={() => selectPolicy(null)}
+              className="px-3 py-1.5 text-xs font-medium rounded-lg bg-indigo-500 hover:bg-indigo-400 text-white transition-all"
+            >
+              Nova
+            </button>
+          </div>
+
+          {isLoading ? (
+            <div className="flex justify-center py-8">
+              <Spinner className="w-6 h-6 text-indigo-400" />
+            </div>
+          ) : (
+            <ul className="space-y-2">
+              {policies.map((policy) => (
+                <li key={policy.id}>
+                  <button
+                    type="button"
+                    onClick={() => selectPolicy(policy)}
+                    className={`w-full px-3 py-2 rounded-xl text-left transition-all border ${
+                      editingPolicy?.id === policy.id
+                        ? "bg-indigo-500/20 border-indigo-500/40"
+                        : "bg-white/5 border-white/10 hover:bg-white/10"
+                    } ${policy.enabled ? "" : "opacity-60"}`}
+                  >
+                    <div className="flex items-center justify-between gap-2">
+                      <span className="text-sm text-white truncate">{policy.name}</span>
+                      <span className="text-xs text-slate-400 truncate">{policy.groups.join(", ") || "Todos os grupos"}</span>
+                    </div>
+                    <p className="text-xs text-slate-500 truncate">{describeSteps(policy)}</p>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+          {!isLoading && policies.length === 0 && (
+            <p className="mt-4 text-xs text-slate-500">Nenhuma política cadastrada: os alertas ficam apenas no painel.</p>
+          )}
+        </div>
+
+        <form onSubmit={handleSubmit} className="lg:col-span-2 bg-white/5 backdrop-blur-xl rounded-2xl border border-white/10 p-6 space-y-4">
+          <h3 className="text-lg font-semibold text-white">{editingPolicy ? `Editar ${editingPolicy.name}` : "Nova política"}</h3>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <DarkInput label="Nome" name="name" value={form.name} onChange={handleChange} required disabled={isSaving} />
+            <DarkInput
+              label="Grupos (vazio = todos)"
+              name="groups"
+              value={form.groups}
+              onChange={handleChange}
+              placeholder="Mata Norte, Reserva Sul"
+              disabled={isSaving}
+            />
+          </div>
+
+          <div className="pt-4 border-t border-white/10 space-y-4">
+            <p className="text-sm text-slate-400">
+              Etapas de envio. A etapa de 0 min sai quando o alerta abre; as demais só saem se ninguém confirmar o alerta
+              até lá.
+            </p>
+            {form.steps.map((step, stepIndex) => (
+              <div key={stepIndex} className="p-4 rounded-xl bg-white/5 border border-white/10 space-y-3">
+                <div className="flex items-center gap-3">
+                  <span className="text-sm text-slate-300 whitespace-nowrap">Após</span>
+                  <input
+                    type="number"
+                    min="0"
+                    step="any"
+                    value={step.afterMinutes}
+                    onChange={(e) => updateStep(stepIndex, (s) => ({ ...s, afterMinutes: e.target.value }))}
+                    className={`${inputClassName} max-w-[8rem]`}
+                    disabled={isSaving}
+                  />
+                  <span className="text-sm text-slate-300 flex-1">min sem confirmação</span>
+                  <button
+                    type="button"
+                    onClick={() => setField("steps", form.steps.filter((_, i) => i !== stepIndex))}
+                    disabled={isSaving || form.steps.length <= 1}
+                    className="px-3 py-2 text-slate-400 hover:text-red-400 disabled:opacity-30"
+                    aria-label="Remover etapa"
+                  >
+                    ✕
+                  </button>
+                </div>
+
+                {step.channels.map((channel, channelIndex) => (
+                  <div key={channelIndex} className="grid grid-cols-[10rem_1fr_auto] gap-3 items-center">
+                    <SelectField
+                      value={channel.type}
+                      onChange={(value) => updateChannel(stepIndex, channelIndex, { type: value })}
+                      options={CHANNEL_OPTIONS}
+                      disabled={isSaving}
+                    />
+                    <input
+                      value={channel.target}
+                      onChange={(e) => updateChannel(stepIndex, channelIndex, { target: e.target.value })}
+                      placeholder={getChannelTargetPlaceholder(channel.type)}
+                      className={inputClassName}
+                      disabled={isSaving}
+                    />
+                    <button
+                      type="button"
+                      onClick={() =>
+                        updateStep(stepIndex, (s) => ({ ...s, channels: s.channels.filter((_, i) => i !== channelIndex) }))
+                      }
+                      disabled={isSaving || step.channels.length <= 1}
+                      className="px-3 py-2 text-slate-400 hover:text-red-400 disabled:opacity-30"
+                      aria-label="Remover canal"
+                    >
+                      ✕
+                    </button>
+                  </div>
+                ))}
+                <button
+                  type="button"
+                  onClick={() => updateStep(stepIndex, (s) => ({ ...s, channels: [...s.channels, createEmptyChannel()] }))}
+                  className="text-sm text-indigo-300 hover:text-white"
+                  disabled={isSaving}
+                >
+                  + Adicionar canal
+                </button>
+              </div>
+            ))}
+            <button type="button" onClick={addStep} className="text-sm text-indigo-300 hover:text-white" disabled={isSaving}>
+              + Adicionar escalonamento
+            </button>
+          </div>
+
+          <label className="flex items-center gap-2 text-sm text-slate-300">
+            <input type="checkbox" checked={form.enabled} onChange={(e) => setField("enabled", e.target.checked)} disabled={isSaving} />
+            Política habilitada
+          </label>
+
+          <div className="flex gap-3 pt-2">
+            {editingPolicy && (
+              <button
+                type="button"
+                onClick={handleDelete}
+                disabled={isSaving}
+                className="flex-1 py-3 bg-red-500/20 hover:bg-red-500/30 text-red-400 rounded-xl font-medium border border-red-500/30 disabled:opacity-50"
+              >
+                Excluir
+              </button>
+            )}
+            <button
+              type="submit"
+              disabled={isSaving}
+              className="flex-1 py-3 bg-gradient-to-r from-indigo-500 to-purple-600 text-white rounded-xl font-semibold disabled:opacity-50 flex items-center justify-center gap-2"
+            >
+              {isSaving ? (
+                <>
+                  <Spinner /> Salvando...
+                </>
+              ) : (
+                "Salvar"
+              )}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
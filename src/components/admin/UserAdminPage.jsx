@@ -0,0 +1,103 @@
+import { useCallback, useEffect, useState } from "react";
+import { fetchUsers, updateUserRole } from "../../api/usersApi.js";
+import { getRoleName } from "../../utils/masks.js";
+import { USER_ROLES } from "../../utils/permissions.js";
+import { Spinner } from "../Spinner.jsx";
+
+export function UserAdminPage({ currentUser, onBack }) {
+  const [users, setUsers] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [savingUserId, setSavingUserId] = useState(null);
+  const [error, setError] = useState("");
+  const [success, setSuccess] = useState("");
+
+  const loadUsers = useCallback(async () => {
+    setIsLoading(true);
+    setError("");
+    try {
+      setUsers(await fetchUsers());
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadUsers();
+  }, [loadUsers]);
+
+  async function changeRole(user, role) {
+    const userId = user._id || user.id;
+    setSavingUserId(userId);
+    setError("");
+    setSuccess("");
+    try {
+      await updateUserRole(userId, role);
+      setUsers((prev) => prev.map((u) => ((u._id || u.id) === userId ? { ...u, role } : u)));
+      setSuccess(`Perfil de ${user.name || user.email} alterado para ${getRoleName(role)}.`);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSavingUserId(null);
+    }
+  }
+
+  return (
+    <div className="w-full max-w-3xl">
+      <div className="flex items-center justify-between mb-8">
+        <button type="button" onClick={onBack} className="flex items-center gap-2 text-slate-400 hover:text-white transition-colors">
+          <svg xmlns="http://www.w3.org/2000/svg" className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth="2">
+            <path strokeLinecap="round" strokeLinejoin="round" d="M10 19l-7-7m0 0l7-7m-7 7h18" />
+          </svg>
+          Voltar
+        </button>
+        <h1 className="text-xl md:text-2xl font-bold text-white">Gerenciar usuários</h1>
+      </div>
+
+      {error && <div className="mb-6 p-3 bg-red-500/10 border border-red-500/20 rounded-xl text-red-400 text-sm">{error}</div>}
+      {success && <div className="mb-6 p-3 bg-green-500/10 border border-green-500/20 rounded-xl text-green-400 text-sm">{success}</div>}
+
+      <div className="bg-white/5 backdrop-blur-xl rounded-2xl border border-white/10 p-6">
+        {isLoading ? (
+          <div className="flex justify-center py-8">
+            <Spinner className="w-6 h-6 text-indigo-400" />
+          </div>
+        ) : users.length === 0 ? (
+          <p className="text-slate-400 text-sm">Nenhum usuário encontrado</p>
+        ) : (
+          <ul className="divide-y divide-white/10">
+            {users.map((u) => {
+              const userId = u._id || u.id;
+              const isSelf = userId === (currentUser?._id || currentUser?.id);
+              return (
+                <li key={userId} className="flex items-center justify-between gap-4 py-3">
+                  <div className="min-w-0">
+                    <p className="text-white font-medium truncate">{u.name || "Usuário"}</p>
+                    <p className="text-xs text-slate-400 truncate">{u.email}</p>
+                  </div>
+                  <div className="flex items-center gap-2">
+                    {savingUserId === userId && <Spinner className="w-4 h-4 text-slate-400" />}
+                    <select
+                      value={u.role}
+                      onChange={(e) => changeRole(u, e.target.value)}
+                      disabled={isSelf || savingUserId !== null}
+                      title={isSelf ? "Você não pode alterar o próprio perfil" : undefined}
+                      className="px-3 py-2 rounded-xl border border-white/10 bg-white/5 text-white text-sm disabled:opacity-50"
+                    >
+                      {USER_ROLES.map((role) => (
+                        <option key={role} value={role} className="bg-slate-800">
+                          {getRoleName(role)}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                </li>
+              );
+            })}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
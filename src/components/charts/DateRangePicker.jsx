@@ -0,0 +1,96 @@
+import { useState } from "react";
+import { PERIOD_FILTERS } from "../../constants/config.js";
+import {
+  CUSTOM_RANGE_KEY,
+  getLocalTimeZone,
+  getPresetRange,
+  parseDateTimeLocalValue,
+  toDateTimeLocalValue,
+  validateDateRange,
+} from "../../utils/dateRange.js";
+
+const inputClassName = "px-3 py-1.5 rounded-lg border border-white/10 bg-white/5 text-xs text-white [color-scheme:dark]";
+
+function getButtonClassName(isActive) {
+  return `px-3 py-1.5 text-xs font-medium rounded-lg transition-all ${
+    isActive ? "bg-indigo-500 text-white" : "bg-white/5 text-slate-400 hover:bg-white/10 hover:text-white border border-white/10"
+  }`;
+}
+
+/**
+ * Períodos prontos (`PERIOD_FILTERS`) ou intervalo personalizado de/até, no fuso do navegador.
+ * `onChange(periodKey, { from, to })` recebe o intervalo já convertido em `Date`.
+ */
+export function DateRangePicker({ periodKey, range, onChange }) {
+  const [isCustomOpen, setIsCustomOpen] = useState(periodKey === CUSTOM_RANGE_KEY);
+  const [draft, setDraft] = useState(() => ({
+    from: toDateTimeLocalValue(range.from),
+    to: toDateTimeLocalValue(range.to),
+  }));
+  const [error, setError] = useState("");
+
+  function applyCustomRange(e) {
+    e.preventDefault();
+    const customRange = { from: parseDateTimeLocalValue(draft.from), to: parseDateTimeLocalValue(draft.to) };
+    if (!customRange.from && !customRange.to) return setError("Informe ao menos uma das datas");
+    const validationError = validateDateRange(customRange);
+    if (validationError) return setError(validationError);
+    setError("");
+    onChange(CUSTOM_RANGE_KEY, customRange);
+  }
+
+  return (
+    <div className="space-y-2">
+      <div className="flex flex-wrap gap-2 md:justify-end">
+        {PERIOD_FILTERS.map((filter) => (
+          <button
+            key={filter.key}
+            type="button"
+            onClick={() => {
+              setIsCustomOpen(false);
+              onChange(filter.key, getPresetRange(filter.key));
+            }}
+            className={getButtonClassName(periodKey === filter.key)}
+          >
+            {filter.label}
+          </button>
+        ))}
+        <button
+          type="button"
+          onClick={() => setIsCustomOpen((open) => !open)}
+          className={getButtonClassName(periodKey === CUSTOM_RANGE_KEY || isCustomOpen)}
+        >
+          Personalizado
+        </button>
+      </div>
+
+      {isCustomOpen && (
+        <form onSubmit={applyCustomRange} className="flex flex-wrap items-center gap-2 md:justify-end">
+          <label className="flex items-center gap-1 text-xs text-slate-400">
+            De
+            <input
+              type="datetime-local"
+              value={draft.from}
+              onChange={(e) => setDraft((prev) => ({ ...prev, from: e.target.value }))}
+              className={inputClassName}
+            />
+          </label>
+          <label className="flex items-center gap-1 text-xs text-slate-400">
+            Até
+            <input
+              type="datetime-local"
+              value={draft.to}
+              onChange={(e) => setDraft((prev) => ({ ...prev, to: e.target.value }))}
+              className={inputClassName}
+            />
+          </label>
+          <button type="submit" className="px-3 py-1.5 text-xs font-medium rounded-lg bg-indigo-500 hover:bg-indigo-400 text-white">
+            Aplicar
+          </button>
+          <span className="w-full text-right text-[11px] text-slate-500">Horários em {getLocalTimeZone()}</span>
+          {error && <span className="w-full text-right text-xs text-red-400">{error}</span>}
+        </form>
+      )}
+    </div>
+  );
+}
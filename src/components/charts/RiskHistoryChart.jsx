@@ -0,0 +1,75 @@
+import { useMemo } from "react";
+import { Line } from "react-chartjs-2";
+import { aggregatePoints, chooseBucketSize, insertGaps } from "../../chart/aggregateChartPoints.js";
+import { createSensorLineChartOptions } from "../../chart/sensorChartOptions.js";
+
+const RISK_CHART_CONFIG = { label: "Risco de incêndio (%)", color: "rgb(239, 68, 68)", bgColor: "rgba(239, 68, 68, 0.1)", unit: "%" };
+
+/**
+ * Probabilidade de incêndio ao longo do tempo, uma linha por dispositivo (`series: [{ id, name, color, points }]`,
+ * pontos de `buildRiskHistory`). Séries longas mostram o maior risco de cada intervalo.
+ */
+export function RiskHistoryChart({ series, forPrint = false }) {
+  const isComparing = series.length > 1;
+
+  const { bucket, pointsBySeries } = useMemo(() => {
+    const allTimes = series.flatMap(({ points }) => (points.length > 0 ? [points[0].x, points.at(-1).x] : []));
+    const spanMs = allTimes.length > 0 ? Math.max(...allTimes) - Math.min(...allTimes) : 0;
+    const size = chooseBucketSize(Math.max(0, ...series.map(({ points }) => points.length)), spanMs);
+    return {
+      bucket: size,
+      pointsBySeries: series.map(({ points }) =>
+        size
+          ? insertGaps(
+              aggregatePoints(points, size.ms).map(({ x, max }) => ({ x, y: max })),
+              size.ms * 1.5
+            )
+          : points
+      ),
+    };
+  }, [series]);
+
+  const pointCount = pointsBySeries.reduce((max, points) => Math.max(max, points.length), 0);
+
+  const data = useMemo(
+    () => ({
+      datasets: series.map((item, index) => {
+        const color = isComparing ? item.color : RISK_CHART_CONFIG.color;
+        return {
+          label: isComparing ? item.name : RISK_CHART_CONFIG.label,
+          data: pointsBySeries[index],
+          borderColor: color,
+          backgroundColor: isComparing ? color : RISK_CHART_CONFIG.bgColor,
+          fill: !isComparing,
+          spanGaps: false,
+          stepped: true,
+          pointRadius: pointCount > 50 ? 0 : 3,
+          pointBackgroundColor: color,
+        };
+      }),
+    }),
+    [series, pointsBySeries, isComparing, pointCount]
+  );
+
+  const options = useMemo(() => {
+    const base = createSensorLineChartOptions(RISK_CHART_CONFIG, { showLegend: isComparing, forPrint });
+    return { ...base, scales: { ...base.scales, y: { ...base.scales.y, min: 0, max: 100 } } };
+  }, [isComparing, forPrint]);
+
+  if (pointCount === 0) {
+    return (
+      <div className="h-[200px] flex items-center justify-center text-slate-500 text-sm">
+        Sem dados disponíveis para este período
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <div className="h-[200px]">
+        <Line data={data} options={options} />
+      </div>
+      {bucket && <p className="mt-2 text-[11px] text-slate-500">Maior risco por {bucket.label}</p>}
+    </div>
+  );
+}
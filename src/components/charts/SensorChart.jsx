@@ -1,49 +1,193 @@
 import { useMemo } from "react";
 import { Line } from "react-chartjs-2";
-import { SENSOR_CHART_CONFIGS } from "../../chart/sensorChartConstants.js";
+import { buildSensorChartData } from "../../chart/aggregateChartPoints.js";
+import { findAnomalousPoints, findPointAt, getPointStats } from "../../chart/chartMarkers.js";
+import {
+  ALERT_MARKER_COLOR,
+  ANOMALY_MARKER_COLOR,
+  SENSOR_CHART_CONFIGS,
+} from "../../chart/sensorChartConstants.js";
 import { createSensorLineChartOptions } from "../../chart/sensorChartOptions.js";
-import { processReadingsForChart } from "../../utils/readings.js";
+import { getRiskFactorBands } from "../../utils/riskModels.js";
 
-export function SensorChart({ readings, sensorType }) {
-  const config = SENSOR_CHART_CONFIGS[sensorType];
+/** Faixa de mínimo/máximo do agrupamento (o máximo preenche até o mínimo) */
+function createBandDatasets(points, color) {
+  const common = { isBand: true, borderWidth: 0, pointRadius: 0, pointHoverRadius: 0, tension: 0.4 };
+  return [
+    { ...common, data: points.map(({ x, max }) => ({ x, y: max ?? null })), fill: "+1", backgroundColor: color },
+    { ...common, data: points.map(({ x, min }) => ({ x, y: min ?? null })), fill: false },
+  ];
+}
+
+/** Série de marcadores (sem linha) desenhada por cima das leituras */
+function createMarkerDataset(label, points, color, pointStyle) {
+  return {
+    label,
+    isMarker: true,
+    data: points,
+    showLine: false,
+    order: -1,
+    pointStyle,
+    pointRadius: 6,
+    pointHoverRadius: 8,
+    pointBackgroundColor: color,
+    pointBorderColor: "#fff",
+    pointBorderWidth: 1,
+    borderColor: color,
+    backgroundColor: color,
+  };
+}
 
-  const chartData = useMemo(
-    () => processReadingsForChart(readings, sensorType),
-    [readings, sensorType]
+function SeriesStats({ stats, config }) {
+  const format = (value) => `${value.toFixed(config.digits)}${config.unit}`;
+  return (
+    <span className="tabular-nums">
+      mín. {format(stats.min)} · máx. {format(stats.max)} · média {format(stats.avg)} · última {format(stats.last)}
+    </span>
   );
+}
+
+/**
+ * Gráfico de um sensor com uma série por dispositivo (`series: [{ id, name, color, readings, calibration, alertTriggers }]`).
+ * Com um único dispositivo usa a cor do sensor; comparando vários, a cor de cada dispositivo e a legenda.
+ * Séries longas mostram a média por intervalo e, com um único dispositivo, a faixa de mínimo/máximo.
+ * Mostra as estatísticas do período, as faixas de risco do sensor e marca os disparos de alerta
+ * (`alertTriggers` de `findAlertTriggers`) e as leituras anômalas.
+ * `forPrint` ajusta as cores para o relatório impresso; `xRange`, `onZoom` e `syncGroup` ligam a seleção de
+ * janela e a linha do mouse entre os gráficos (ver `createSensorLineChartOptions`).
+ * Com `title`, mostra o cabeçalho com o ícone e o total de leituras do sensor no gráfico.
+ */
+export function SensorChart({
+  series,
+  sensorType,
+  title = null,
+  icon = null,
+  forPrint = false,
+  xRange = null,
+  onZoom = null,
+  syncGroup = null,
+}) {
+  const config = SENSOR_CHART_CONFIGS[sensorType];
+  const isComparing = series.length > 1;
+
+  const chartData = useMemo(() => buildSensorChartData(series, sensorType), [series, sensorType]);
+  const pointCount = chartData.pointsBySeries.reduce((max, points) => Math.max(max, points.length), 0);
+  const bands = useMemo(() => getRiskFactorBands(config.sensorId), [config]);
 
-  const data = {
-    labels: chartData.labels,
-    datasets: [
-      {
-        label: config.label,
-        data: chartData.values,
-        borderColor: config.color,
-        backgroundColor: config.bgColor,
-        fill: true,
+  const markers = useMemo(() => {
+    const namePrefix = (item) => (isComparing ? `${item.name}: ` : "");
+    const alerts = series.flatMap((item, index) =>
+      (item.alertTriggers || [])
+        .filter((trigger) => trigger.sensorIds.includes(config.sensorId))
+        .map((trigger) => {
+          const point = findPointAt(chartData.rawPointsBySeries[index], trigger.x);
+          return point && { x: point.x, y: point.y, reason: `${namePrefix(item)}${trigger.rule.name}` };
+        })
+        .filter(Boolean)
+    );
+    const anomalies = config.circular
+      ? []
+      : series.flatMap((item, index) =>
+          findAnomalousPoints(chartData.rawPointsBySeries[index], config.unit).map(({ x, y, reason }) => ({
+            x,
+            y,
+            reason: `${namePrefix(item)}${reason}`,
+          }))
+        );
+    return { alerts, anomalies };
+  }, [series, chartData, config, isComparing]);
+
+  const data = useMemo(() => {
+    const datasets = series.flatMap((item, index) => {
+      const points = chartData.pointsBySeries[index];
+      const color = isComparing ? item.color : config.color;
+      const line = {
+        label: isComparing ? item.name : config.label,
+        data: points,
+        borderColor: color,
+        backgroundColor: isComparing ? color : config.bgColor,
+        fill: !isComparing && !chartData.bucket,
+        spanGaps: false,
         tension: 0.4,
-        pointRadius: chartData.values.length > 50 ? 0 : 3,
+        pointRadius: pointCount > 50 ? 0 : 3,
         pointHoverRadius: 5,
-        pointBackgroundColor: config.color,
+        pointBackgroundColor: color,
         pointBorderColor: "#fff",
         pointBorderWidth: 2,
-      },
-    ],
-  };
+      };
+      return chartData.bucket && !isComparing ? [...createBandDatasets(points, config.bgColor), line] : [line];
+    });
+    if (markers.alerts.length > 0) {
+      datasets.push(createMarkerDataset("Disparo de alerta", markers.alerts, ALERT_MARKER_COLOR, "rectRot"));
+    }
+    if (markers.anomalies.length > 0) {
+      datasets.push(createMarkerDataset("Leitura anômala", markers.anomalies, ANOMALY_MARKER_COLOR, "triangle"));
+    }
+    return { datasets };
+  }, [series, chartData, config, isComparing, pointCount, markers]);
+
+  const options = useMemo(
+    () => createSensorLineChartOptions(config, { showLegend: isComparing, forPrint, bands, xRange, onZoom, syncGroup }),
+    [config, isComparing, forPrint, bands, xRange, onZoom, syncGroup]
+  );
 
-  const options = useMemo(() => createSensorLineChartOptions(config), [config]);
+  const statsBySeries = useMemo(() => chartData.rawPointsBySeries.map(getPointStats), [chartData]);
+  const readingCount = chartData.rawPointsBySeries.reduce((sum, points) => sum + points.length, 0);
 
-  if (chartData.values.length === 0) {
+  const header = title && (
+    <div className="flex items-center gap-2 mb-4">
+      <span className="text-lg">{icon}</span>
+      <h4 className="text-sm font-medium text-white">{title}</h4>
+      <span
+        className="ml-auto px-2 py-0.5 text-xs rounded-full chart-sensor-badge"
+        style={{ "--sensor-color": config.color, "--sensor-bg": config.bgColor }}
+      >
+        {readingCount} leituras
+      </span>
+    </div>
+  );
+
+  if (pointCount === 0) {
     return (
-      <div className="h-[200px] flex items-center justify-center text-slate-500 text-sm">
-        Sem dados disponíveis para este período
+      <div>
+        {header}
+        <div className="h-[200px] flex items-center justify-center text-slate-500 text-sm">
+          Sem dados disponíveis para este período
+        </div>
       </div>
     );
   }
 
   return (
-    <div className="h-[200px]">
-      <Line data={data} options={options} />
+    <div>
+      {header}
+      <div className="h-[200px]">
+        <Line data={data} options={options} />
+      </div>
+      <div className="mt-2 space-y-0.5 text-[11px] text-slate-500">
+        {series.map(
+          (item, index) =>
+            statsBySeries[index] && (
+              <p key={item.id} className="flex items-center gap-1.5">
+                {isComparing && (
+                  <span className="w-2 h-2 shrink-0 rounded-full chart-series-dot" style={{ "--series-color": item.color }} />
+                )}
+                <SeriesStats stats={statsBySeries[index]} config={config} />
+              </p>
+            )
+        )}
+        {(chartData.bucket || markers.alerts.length > 0 || markers.anomalies.length > 0) && (
+          <p>
+            {[
+              chartData.bucket && `Média por ${chartData.bucket.label}${isComparing ? "" : ", com faixa de mínimo e máximo"}`,
+              markers.alerts.length > 0 && `◆ ${markers.alerts.length} disparo(s) de alerta`,
+              markers.anomalies.length > 0 && `▲ ${markers.anomalies.length} leitura(s) anômala(s)`,
+            ]
+              .filter(Boolean)
+              .join(" · ")}
+          </p>
+        )}
+      </div>
     </div>
   );
 }
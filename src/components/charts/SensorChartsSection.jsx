@@ -1,11 +1,28 @@
-import { useEffect, useMemo, useState } from "react";
+import { useCallback, useEffect, useMemo, useState } from "react";
 import { fetchReadingsHistory } from "../../api/readingsApi.js";
-import { PERIOD_FILTERS } from "../../constants/config.js";
-import { CHART_SECTION_SENSORS, SENSOR_CHART_CONFIGS } from "../../chart/sensorChartConstants.js";
-import { filterReadingsByPeriod } from "../../utils/readings.js";
+import { CHART_SECTION_SENSORS, COMPARISON_COLORS } from "../../chart/sensorChartConstants.js";
+import { findAlertTriggers } from "../../utils/alertRules.js";
+import { getDeviceCalibration } from "../../utils/calibration.js";
+import {
+  CUSTOM_RANGE_KEY,
+  getDateRangeKey,
+  getPresetRange,
+  readDateRangeFromUrl,
+  writeDateRangeToUrl,
+} from "../../utils/dateRange.js";
+import { exportTable, getExportDateStamp } from "../../utils/exportData.js";
+import { buildReadingsExportTable, filterReadingsByRange, replayReadings } from "../../utils/readings.js";
+import { getSensors } from "../../utils/sensorRegistry.js";
+import { ExportMenu } from "../ExportMenu.jsx";
 import { Spinner } from "../Spinner.jsx";
+import { DateRangePicker } from "./DateRangePicker.jsx";
 import { SensorChart } from "./SensorChart.jsx";
 
+const DEFAULT_PERIOD_KEY = "30d";
+
+/** Grupo da linha vertical sincronizada entre os gráficos da seção */
+const CHART_SYNC_GROUP = "sensor-history";
+
 function createSimulatedReadings(amount = 10) {
   const now = Date.now();
 
@@ -14,75 +31,219 @@ function createSimulatedReadings(amount = 10) {
   return Array.from({ length: amount }, (_, index) => {
     const readAt = new Date(now - (amount - index) * 5 * 60 * 1000).toISOString();
     return {
-      temp: { value: randomInRange(24, 38), readAt },
-      humid: { value: randomInRange(35, 85), readAt },
-      moist: { value: randomInRange(1200, 3800), readAt },
-      sense: { value: randomInRange(26, 44), readAt },
-      smoke: { value: randomInRange(80, 600), readAt },
-      pluvi: { value: randomInRange(0, 45), readAt },
+      ...Object.fromEntries(
+        getSensors().map((sensor) => [sensor.backendKey, { value: randomInRange(...sensor.simulatedRange), readAt }])
+      ),
       createdAt: readAt,
     };
   });
 }
 
-export function SensorChartsSection() {
-  const [readings, setReadings] = useState([]);
-  const [isLoading, setIsLoading] = useState(true);
-  const [selectedPeriod, setSelectedPeriod] = useState("all");
+/**
+ * Histórico dos dispositivos escolhidos (`selectedDeviceIds`), sobrepostos no mesmo gráfico por sensor.
+ * `devices` são os dispositivos cadastrados na API (com `backendId`); `alertRules` marca nos gráficos
+ * onde as regras de limite teriam disparado.
+ * Arrastar sobre um gráfico seleciona uma janela de tempo em todos: ela vira o período personalizado
+ * (exportação e link `?from=&to=`), sem baixar de novo as leituras do período escolhido antes.
+ */
+export function SensorChartsSection({ devices, selectedDeviceIds, onSelectedDeviceIdsChange, alertRules = [] }) {
+  const [historyByDevice, setHistoryByDevice] = useState({});
+  const [isLoading, setIsLoading] = useState(false);
+  const [periodKey, setPeriodKey] = useState(() => (readDateRangeFromUrl() ? CUSTOM_RANGE_KEY : DEFAULT_PERIOD_KEY));
+  const [range, setRange] = useState(() => readDateRangeFromUrl() || getPresetRange(DEFAULT_PERIOD_KEY));
+  // Período escolhido antes da seleção no gráfico (`{ periodKey, range }`): suas leituras continuam carregadas
+  const [zoomBase, setZoomBase] = useState(null);
+  const [isLinkCopied, setIsLinkCopied] = useState(false);
   const [error, setError] = useState(null);
-  const [simulatedReadings, setSimulatedReadings] = useState([]);
+  const [simulatedByDevice, setSimulatedByDevice] = useState({});
+  const rangeKey = getDateRangeKey(range);
+  const loadedRange = zoomBase ? zoomBase.range : range;
+  const loadedRangeKey = getDateRangeKey(loadedRange);
+
+  // Depende só do nome e do perfil de cada dispositivo: `devices` muda a cada leitura recebida
+  const seriesKey = JSON.stringify(
+    selectedDeviceIds.map((id) => {
+      const device = devices.find((d) => d.id === id);
+      return device ? [device.id, device.backendId, device.name, device.calibration, device.group] : null;
+    })
+  );
+  const seriesDevices = useMemo(
+    () =>
+      JSON.parse(seriesKey)
+        .filter(Boolean)
+        .map(([id, backendId, name, calibration, group], index) => ({
+          id,
+          backendId,
+          name,
+          group,
+          color: COMPARISON_COLORS[index % COMPARISON_COLORS.length],
+          calibration: getDeviceCalibration({ calibration }),
+        })),
+    [seriesKey]
+  );
 
   useEffect(() => {
-    async function loadReadings() {
-      setIsLoading(true);
-      setError(null);
-      try {
-        const data = await fetchReadingsHistory();
-        setReadings(data);
-      } catch (err) {
+    let isCancelled = false;
+    setIsLoading(true);
+    setError(null);
+
+    // `fetchReadingsHistory` guarda cada intervalo em cache: trocar de período e voltar não baixa tudo de novo
+    Promise.all(
+      seriesDevices.map(async (device) => [device.backendId, await fetchReadingsHistory(device.backendId, loadedRange)])
+    )
+      .then((entries) => {
+        if (!isCancelled) setHistoryByDevice(Object.fromEntries(entries));
+      })
+      .catch((err) => {
         console.error("Erro ao carregar:", err);
-        setError("Erro ao carregar histórico");
-      } finally {
-        setIsLoading(false);
-      }
+        if (!isCancelled) setError("Erro ao carregar histórico");
+      })
+      .finally(() => {
+        if (!isCancelled) setIsLoading(false);
+      });
+
+    return () => {
+      isCancelled = true;
+    };
+  }, [seriesDevices, loadedRangeKey]);
+
+  useEffect(() => {
+    writeDateRangeToUrl(periodKey === CUSTOM_RANGE_KEY ? range : null);
+    setIsLinkCopied(false);
+  }, [periodKey, rangeKey]);
+
+  /** Janela selecionada ou deslocada num gráfico, limitada ao período carregado */
+  const zoomToWindow = useCallback(
+    ({ from, to }) => {
+      const loadedEnd = loadedRange.to || new Date();
+      const nextRange = {
+        from: loadedRange.from && from < loadedRange.from ? loadedRange.from : from,
+        to: to > loadedEnd ? loadedEnd : to,
+      };
+      if (nextRange.from >= nextRange.to) return;
+      setZoomBase((prev) => prev || { periodKey, range });
+      setPeriodKey(CUSTOM_RANGE_KEY);
+      setRange(nextRange);
+    },
+    [loadedRangeKey, periodKey, rangeKey]
+  );
+
+  function resetZoom() {
+    setPeriodKey(zoomBase.periodKey);
+    setRange(zoomBase.range);
+    setZoomBase(null);
+  }
+
+  async function copyRangeLink() {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      setIsLinkCopied(true);
+    } catch (err) {
+      console.error("Erro ao copiar link:", err);
     }
-    loadReadings();
-  }, []);
+  }
 
-  const isUsingSimulation = simulatedReadings.length > 0;
-  const chartSourceReadings = isUsingSimulation ? simulatedReadings : readings;
+  const isUsingSimulation = Object.keys(simulatedByDevice).length > 0;
+  const sourceByDevice = isUsingSimulation ? simulatedByDevice : historyByDevice;
+  const hasReadings = seriesDevices.some((device) => sourceByDevice[device.backendId]?.length > 0);
 
-  const filteredReadings = useMemo(
-    () => filterReadingsByPeriod(chartSourceReadings, selectedPeriod),
-    [chartSourceReadings, selectedPeriod]
+  const chartSeries = useMemo(
+    () =>
+      seriesDevices.map((device) => {
+        const readings = filterReadingsByRange(sourceByDevice[device.backendId] || [], range);
+        return { ...device, readings, alertTriggers: findAlertTriggers(alertRules, device, replayReadings(readings, device)) };
+      }),
+    [seriesDevices, sourceByDevice, rangeKey, alertRules]
   );
+  const readingCount = chartSeries.reduce((sum, item) => sum + item.readings.length, 0);
+
+  function toggleDevice(deviceId) {
+    if (selectedDeviceIds.includes(deviceId)) {
+      if (selectedDeviceIds.length > 1) onSelectedDeviceIdsChange(selectedDeviceIds.filter((id) => id !== deviceId));
+    } else if (selectedDeviceIds.length < COMPARISON_COLORS.length) {
+      onSelectedDeviceIdsChange([...selectedDeviceIds, deviceId]);
+    }
+  }
+
+  /** Exporta as leituras do período selecionado de cada dispositivo exibido (nunca os dados simulados) */
+  function exportReadings(format) {
+    if (isUsingSimulation) return;
+    const deviceSlug = seriesDevices.length === 1 ? seriesDevices[0].id : "comparacao";
+    exportTable(
+      {
+        fileName: `leituras-${deviceSlug}-${getExportDateStamp()}`,
+        sheetName: "Leituras",
+        ...buildReadingsExportTable(chartSeries),
+      },
+      format
+    );
+  }
+
+  function simulateReadings() {
+    setSimulatedByDevice(Object.fromEntries(seriesDevices.map((device) => [device.backendId, createSimulatedReadings(10)])));
+  }
+
+  const subtitle =
+    seriesDevices.length === 0
+      ? "Nenhum dispositivo com histórico disponível"
+      : seriesDevices.length === 1
+        ? `Histórico do ${seriesDevices[0].name}`
+        : `Comparando ${seriesDevices.length} dispositivos`;
 
   return (
     <div className="bg-white/5 backdrop-blur-xl rounded-2xl border border-white/10 p-6">
-      <div className="flex flex-col md:flex-row md:items-center justify-between gap-4 mb-6">
+      <div className="flex flex-col md:flex-row md:items-center justify-between gap-4 mb-4">
         <div>
           <h3 className="text-lg font-semibold text-white">Evolução das Leituras</h3>
-          <p className="text-sm text-slate-400">Histórico do dispositivo de teste</p>
+          <p className="text-sm text-slate-400">{subtitle}</p>
+          <div className="mt-2 flex items-center gap-2">
+            <ExportMenu onExport={exportReadings} disabled={isLoading || readingCount === 0 || isUsingSimulation} />
+            {isUsingSimulation && (
+              <span className="text-xs text-amber-300">Dados simulados não são exportados</span>
+            )}
+          </div>
         </div>
 
-        <div className="flex flex-wrap gap-2">
-          {PERIOD_FILTERS.map((filter) => (
-            <button
-              key={filter.key}
-              type="button"
-              onClick={() => setSelectedPeriod(filter.key)}
-              className={`px-3 py-1.5 text-xs font-medium rounded-lg transition-all ${
-                selectedPeriod === filter.key
-                  ? "bg-indigo-500 text-white"
-                  : "bg-white/5 text-slate-400 hover:bg-white/10 hover:text-white border border-white/10"
-              }`}
-            >
-              {filter.label}
-            </button>
-          ))}
-        </div>
+        <DateRangePicker
+          key={rangeKey}
+          periodKey={periodKey}
+          range={range}
+          onChange={(key, nextRange) => {
+            setZoomBase(null);
+            setPeriodKey(key);
+            setRange(nextRange);
+          }}
+        />
       </div>
 
+      {devices.length > 1 && (
+        <div className="flex flex-wrap items-center gap-2 mb-6">
+          <span className="text-xs text-slate-400">Dispositivos (até {COMPARISON_COLORS.length}):</span>
+          {devices.map((device) => {
+            const index = seriesDevices.findIndex((item) => item.id === device.id);
+            const isSelected = index !== -1;
+            return (
+              <button
+                key={device.id}
+                type="button"
+                onClick={() => toggleDevice(device.id)}
+                aria-pressed={isSelected}
+                className={`inline-flex items-center gap-1.5 px-3 py-1 text-xs rounded-full border transition-all ${
+                  isSelected
+                    ? "bg-white/10 text-white border-white/20"
+                    : "bg-transparent text-slate-400 border-white/10 hover:text-white"
+                }`}
+              >
+                {isSelected && seriesDevices.length > 1 && (
+                  <span className="w-2 h-2 rounded-full chart-series-dot" style={{ "--series-color": seriesDevices[index].color }} />
+                )}
+                {device.name}
+              </button>
+            );
+          })}
+        </div>
+      )}
+
       {isLoading ? (
         <div className="flex items-center justify-center h-[400px]">
           <div className="flex flex-col items-center gap-3">
@@ -94,32 +255,58 @@ export function SensorChartsSection() {
         <div className="flex items-center justify-center h-[200px]">
           <p className="text-red-400 text-sm">{error}</p>
         </div>
-      ) : readings.length === 0 && !isUsingSimulation ? (
+      ) : !hasReadings ? (
         <div className="flex flex-col items-center justify-center h-[200px] gap-4">
           <p className="text-slate-400 text-sm">Nenhuma leitura encontrada</p>
-          <button
-            type="button"
-            onClick={() => setSimulatedReadings(createSimulatedReadings(10))}
-            className="px-4 py-2 rounded-lg bg-indigo-500 hover:bg-indigo-400 text-white text-sm font-medium transition-all"
-          >
-            Simular dados
-          </button>
+          {seriesDevices.length > 0 && (
+            <button
+              type="button"
+              onClick={simulateReadings}
+              className="px-4 py-2 rounded-lg bg-indigo-500 hover:bg-indigo-400 text-white text-sm font-medium transition-all"
+            >
+              Simular dados
+            </button>
+          )}
         </div>
       ) : (
-        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
-          {CHART_SECTION_SENSORS.map(({ key, title, icon }) => (
-            <div key={key} className="bg-slate-800/30 rounded-xl p-4 border border-white/5">
-              <div className="flex items-center gap-2 mb-4">
-                <span className="text-lg">{icon}</span>
-                <h4 className="text-sm font-medium text-white">{title}</h4>
-                <span className={`ml-auto px-2 py-0.5 text-xs rounded-full ${SENSOR_CHART_CONFIGS[key].badgeClass}`}>
-                  {filteredReadings.length} leituras
-                </span>
+        <>
+          <div className="flex flex-wrap items-center gap-3 mb-4 text-xs text-slate-400">
+            <span>Arraste sobre um gráfico para ampliar um trecho em todos · Shift + arrastar para deslocar</span>
+            {zoomBase && (
+              <button
+                type="button"
+                onClick={resetZoom}
+                className="px-3 py-1 rounded-lg bg-indigo-500/20 text-indigo-300 hover:bg-indigo-500/30 border border-indigo-500/30 font-medium"
+              >
+                Redefinir zoom
+              </button>
+            )}
+            {periodKey === CUSTOM_RANGE_KEY && (
+              <button
+                type="button"
+                onClick={copyRangeLink}
+                className="px-3 py-1 rounded-lg bg-white/5 text-slate-300 hover:bg-white/10 border border-white/10 font-medium"
+              >
+                {isLinkCopied ? "Link copiado" : "Copiar link do período"}
+              </button>
+            )}
+          </div>
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            {CHART_SECTION_SENSORS.map(({ key, title, icon }) => (
+              <div key={key} className="bg-slate-800/30 rounded-xl p-4 border border-white/5">
+                <SensorChart
+                  series={chartSeries}
+                  sensorType={key}
+                  title={title}
+                  icon={icon}
+                  xRange={zoomBase ? range : null}
+                  onZoom={zoomToWindow}
+                  syncGroup={CHART_SYNC_GROUP}
+                />
               </div>
-              <SensorChart readings={filteredReadings} sensorType={key} />
-            </div>
-          ))}
-        </div>
+            ))}
+          </div>
+        </>
       )}
     </div>
   );
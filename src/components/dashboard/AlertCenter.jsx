@@ -0,0 +1,121 @@
+import { ALERT_SNOOZE_MINUTES } from "../../constants/config.js";
+import { describeAlertValue, getAlertSeverityLabel } from "../../utils/alertRules.js";
+import { DRILL_LABEL } from "../../utils/drills.js";
+
+const SEVERITY_PILL_CLASSES = {
+  critical: "bg-red-500/20 text-red-400 border-red-500/30",
+  high: "bg-orange-500/20 text-orange-400 border-orange-500/30",
+  moderate: "bg-amber-500/20 text-amber-400 border-amber-500/30",
+};
+
+function formatTime(date) {
+  return date ? date.toLocaleTimeString("pt-BR", { hour: "2-digit", minute: "2-digit" }) : "—";
+}
+
+function getAlertStatusText(incident, snoozedUntil) {
+  if (incident?.acknowledgedAt) {
+    return `Confirmado${incident.acknowledgedBy?.name ? ` por ${incident.acknowledgedBy.name}` : ""} às ${formatTime(incident.acknowledgedAt)}`;
+  }
+  if (snoozedUntil) return `Adiado até ${formatTime(new Date(snoozedUntil))}`;
+  return "Aguardando confirmação";
+}
+
+/**
+ * Central com todos os alertas ativos (`alerts: [{ key, device, rule, startedAt }]`),
+ * cada um com suas ações de confirmar, adiar e encerrar.
+ */
+export function AlertCenter({ alerts, incidents, snoozedUntil, now, canAcknowledge, onAcknowledge, onSnooze, onResolve, onFocusDevice }) {
+  if (alerts.length === 0) return null;
+
+  const pendingCount = alerts.filter(({ key }) => !incidents[key]?.acknowledgedAt).length;
+
+  return (
+    <div className="mb-8 bg-red-500/5 backdrop-blur-xl rounded-2xl border border-red-500/20 p-4">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-lg font-semibold text-white">Central de alertas</h3>
+        <span className="text-xs text-slate-400">
+          {alerts.length} ativo(s) · {pendingCount} sem confirmação
+        </span>
+      </div>
+
+      <ul className="divide-y divide-white/5">
+        {alerts.map((alert) => {
+          const incident = incidents[alert.key];
+          const isAcknowledged = Boolean(incident?.acknowledgedAt);
+          const activeSnooze = snoozedUntil[alert.key] > now ? snoozedUntil[alert.key] : null;
+
+          return (
+            <li key={alert.key} className="flex flex-col md:flex-row md:items-center gap-3 py-3">
+              <span
+                className={`self-start md:self-center px-2 py-0.5 rounded-full text-xs border ${SEVERITY_PILL_CLASSES[alert.rule.severity] || ""}`}
+              >
+                {getAlertSeverityLabel(alert.rule.severity)}
+              </span>
+              {alert.isDrill && (
+                <span className="self-start md:self-center px-2 py-0.5 rounded-full text-xs font-bold border bg-amber-500/20 text-amber-300 border-amber-500/40">
+                  {DRILL_LABEL}
+                </span>
+              )}
+              <div className="flex-1 min-w-0">
+                <button
+                  type="button"
+                  onClick={() => onFocusDevice(alert.device.id)}
+                  className="text-sm font-medium text-white hover:text-indigo-300 truncate"
+                >
+                  {alert.device.name}
+                </button>
+                <p className="text-xs text-slate-400 truncate">
+                  {alert.rule.name} · desde {formatTime(incident?.startedAt || alert.startedAt)} ·{" "}
+                  <span className="text-slate-200 tabular-nums">{describeAlertValue(alert, now)}</span>
+                </p>
+                <p className={`text-xs ${isAcknowledged ? "text-emerald-400" : activeSnooze ? "text-slate-500" : "text-red-400"}`}>
+                  {getAlertStatusText(incident, activeSnooze)}
+                </p>
+              </div>
+
+              <div className="flex flex-wrap items-center gap-2">
+                {!isAcknowledged && (
+                  <select
+                    value=""
+                    onChange={(e) => onSnooze(alert.key, Number(e.target.value))}
+                    className="px-2 py-1.5 rounded-lg border border-white/10 bg-white/5 text-xs text-slate-200"
+                    aria-label="Adiar alerta"
+                  >
+                    <option value="" disabled className="bg-slate-800">
+                      Adiar...
+                    </option>
+                    {ALERT_SNOOZE_MINUTES.map((minutes) => (
+                      <option key={minutes} value={minutes} className="bg-slate-800">
+                        {minutes} min
+                      </option>
+                    ))}
+                  </select>
+                )}
+                {canAcknowledge && !isAcknowledged && (
+                  <button
+                    type="button"
+                    onClick={() => onAcknowledge(alert.key)}
+                    className="px-3 py-1.5 text-xs font-medium rounded-lg bg-red-600 hover:bg-red-700 text-white transition-all"
+                  >
+                    Confirmar
+                  </button>
+                )}
+                {canAcknowledge && (
+                  <button
+                    type="button"
+                    onClick={() => {
+                      if (window.confirm(`Encerrar o alerta "${alert.rule.name}" de ${alert.device.name}?`)) onResolve(alert.key);
+                    }}
+                    className="px-3 py-1.5 text-xs font-medium rounded-lg bg-white/10 hover:bg-white/20 text-white border border-white/10 transition-all"
+                  >
+                    Encerrar
+                  </button>
+                )}
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+}
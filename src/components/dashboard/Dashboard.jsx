@@ -1,36 +1,200 @@
 import { useCallback, useEffect, useMemo, useRef, useState } from "react";
-import { fetchAdafruitData } from "../../api/adafruit.js";
-import { FIRE_SMOKE_THRESHOLD, INITIAL_DEVICES } from "../../constants/config.js";
-import { calculateRiskFromSensors, getDeviceSmokeRawValue } from "../../utils/sensors.js";
+import { buildSensorData, fetchAdafruitData } from "../../api/adafruit.js";
+import { fetchDevices } from "../../api/devicesApi.js";
+import { fetchAlertRules } from "../../api/alertRulesApi.js";
+import { savePushSubscription } from "../../api/pushApi.js";
+import { createReadingsTransport } from "../../api/readingsStream.js";
+import {
+  CONNECTIVITY_CHECK_INTERVAL_MS,
+  DEFAULT_ALERT_RULES,
+  POLLING_INTERVAL_MS,
+  PUSH_PUBLIC_KEY,
+} from "../../constants/config.js";
+import { useAlertNotifications } from "../../hooks/useAlertNotifications.js";
+import { useAlertRules } from "../../hooks/useAlertRules.js";
+import { useFireIncidents } from "../../hooks/useFireIncidents.js";
+import { useRainfall } from "../../hooks/useRainfall.js";
+import { getAlertSeverityRank, isFireAlert } from "../../utils/alertRules.js";
+import { getDeviceCalibration } from "../../utils/calibration.js";
+import {
+  consumeDeviceFromUrl,
+  getNotificationPermission,
+  requestNotificationPermission,
+  subscribeToPush,
+} from "../../utils/browserNotifications.js";
+import {
+  applyAdafruitData,
+  applyRainfall,
+  averageDeviceField,
+  getDeviceConnectivity,
+  isDeviceMonitored,
+} from "../../utils/devices.js";
+import { DRILL_LABEL, buildDrillAlert, getDrillScenario } from "../../utils/drills.js";
 import { getRoleName } from "../../utils/masks.js";
+import { can } from "../../utils/permissions.js";
+import { formatSensorValue, getSensors } from "../../utils/sensorRegistry.js";
 import { FireAlertModal } from "../FireAlertModal.jsx";
+import { SensorIcon } from "../SensorIcon.jsx";
 import { Spinner } from "../Spinner.jsx";
 import { SensorChartsSection } from "../charts/SensorChartsSection.jsx";
 import { DeviceMap } from "../map/DeviceMap.jsx";
+import { ReportDialog } from "../report/ReportDialog.jsx";
+import { SituationReport } from "../report/SituationReport.jsx";
+import { AlertCenter } from "./AlertCenter.jsx";
+import { DrillDialog } from "./DrillDialog.jsx";
+import { RainfallPanel } from "./RainfallPanel.jsx";
 
-export function Dashboard({ user, onLogout, onOpenProfile, isLoadingProfile }) {
+const STREAM_STATUS_LABELS = {
+  connecting: "Conectando...",
+  live: "Tempo real",
+  polling: `Atualização a cada ${POLLING_INTERVAL_MS / 1000} s`,
+};
+
+/** Sensores com cartão de média no topo do dashboard */
+const AVERAGE_SENSORS = getSensors().filter((sensor) => !sensor.hideAverage);
+
+export function Dashboard({
+  user,
+  onLogout,
+  onOpenProfile,
+  onOpenDeviceAdmin,
+  onOpenUserAdmin,
+  onOpenIncidents,
+  onOpenAlertRules,
+  isLoadingProfile,
+}) {
   const [isLoading, setIsLoading] = useState(false);
-  const [devices, setDevices] = useState(INITIAL_DEVICES);
-  const [, setLastUpdate] = useState(new Date().toLocaleString("pt-BR"));
-  const [isFireAlertVisible, setIsFireAlertVisible] = useState(false);
-  const [isFireAlertAcknowledged, setIsFireAlertAcknowledged] = useState(false);
-  const [isShortcutAlertActive, setIsShortcutAlertActive] = useState(false);
+  const [devices, setDevices] = useState([]);
+  const [isLoadingDevices, setIsLoadingDevices] = useState(true);
+  const [devicesError, setDevicesError] = useState("");
+  const [lastUpdate, setLastUpdate] = useState(null);
+  const [alertRules, setAlertRules] = useState(DEFAULT_ALERT_RULES);
+  const [areAlertRulesLoaded, setAreAlertRulesLoaded] = useState(false);
+  const [dismissedAlertKeys, setDismissedAlertKeys] = useState([]);
+  const [snoozedUntil, setSnoozedUntil] = useState({});
+  const [drill, setDrill] = useState(null);
+  const [isDrillDialogOpen, setIsDrillDialogOpen] = useState(false);
+  const [isReportDialogOpen, setIsReportDialogOpen] = useState(false);
+  const [report, setReport] = useState(null);
+  const [streamStatus, setStreamStatus] = useState("connecting");
+  const [clock, setClock] = useState(() => Date.now());
+  const [notificationPermission, setNotificationPermission] = useState(getNotificationPermission);
+  const [isAudioBlocked, setIsAudioBlocked] = useState(false);
+  const [focusRequest, setFocusRequest] = useState(null);
+  const [historyDeviceIds, setHistoryDeviceIds] = useState([]);
+  const historySectionRef = useRef(null);
+  const pendingFocusDeviceIdRef = useRef(consumeDeviceFromUrl());
   const fireAudioRef = useRef(null);
   const isUpdatingRef = useRef(false);
-  const shortcutAlertRef = useRef(false);
+  const devicesRef = useRef(devices);
+
+  useEffect(() => {
+    devicesRef.current = devices;
+  }, [devices]);
+
+  useEffect(() => {
+    fetchAlertRules()
+      .then(setAlertRules)
+      .catch((error) => console.error("Erro ao carregar regras de alerta:", error))
+      .finally(() => setAreAlertRulesLoaded(true));
+  }, []);
+
+  // Sem novas leituras nada muda em `devices`; o relógio atualiza o estado de comunicação exibido
+  useEffect(() => {
+    const interval = setInterval(() => setClock(Date.now()), CONNECTIVITY_CHECK_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, []);
+
+  const {
+    alerts: ruleAlerts,
+    isUpToDate: areAlertsUpToDate,
+    restoreIncidents,
+  } = useAlertRules({ rules: alertRules, devices });
+
+  const drillAlert = useMemo(() => {
+    const drillDevice = drill && devices.find((device) => device.id === drill.deviceId);
+    return drillDevice ? buildDrillAlert(drill, drillDevice) : null;
+  }, [devices, drill]);
+
+  const activeAlerts = useMemo(() => (drillAlert ? [drillAlert, ...ruleAlerts] : ruleAlerts), [drillAlert, ruleAlerts]);
 
-  const device001 = useMemo(() => devices.find((device) => device.id === "001") || null, [devices]);
+  const { incidents, acknowledge, resolve } = useFireIncidents({
+    alerts: activeAlerts,
+    user,
+    // Só encerra ocorrências depois que as regras carregadas avaliaram as leituras atuais
+    isReady: lastUpdate !== null && areAlertRulesLoaded && areAlertsUpToDate,
+    onRestore: restoreIncidents,
+  });
 
-  const isDevice001InFireRisk = useMemo(
-    () => (device001 ? getDeviceSmokeRawValue(device001) > FIRE_SMOKE_THRESHOLD : false),
-    [device001]
+  // Alertas encerrados manualmente saem da central até a condição sumir
+  const openAlerts = useMemo(
+    () => activeAlerts.filter(({ key }) => !incidents[key]?.resolvedAt),
+    [activeAlerts, incidents]
+  );
+
+  const pendingAlerts = useMemo(
+    () => openAlerts.filter(({ key }) => !incidents[key]?.acknowledgedAt && !(snoozedUntil[key] > clock)),
+    [openAlerts, incidents, snoozedUntil, clock]
+  );
+
+  // O modal em tela cheia (e a sirene) fica só com o alerta de fogo pendente mais grave; os demais,
+  // inclusive dispositivos sem comunicação, aparecem na central
+  const alertModalAlert = useMemo(
+    () =>
+      pendingAlerts
+        .filter((alert) => isFireAlert(alert) && !dismissedAlertKeys.includes(alert.key))
+        .sort((a, b) => getAlertSeverityRank(a.rule.severity) - getAlertSeverityRank(b.rule.severity))[0] || null,
+    [pendingAlerts, dismissedAlertKeys]
   );
 
-  const isFireActive = isShortcutAlertActive || isDevice001InFireRisk;
+  const isFireAlertVisible = Boolean(alertModalAlert);
 
+  useAlertNotifications({ alerts: pendingAlerts, isAudioBlocked });
+
+  const focusDevice = useCallback((deviceId) => {
+    if (deviceId) setFocusRequest({ deviceId, at: Date.now() });
+  }, []);
+
+  useEffect(() => {
+    if (!("serviceWorker" in navigator)) return undefined;
+    function onMessage(event) {
+      if (event.data?.type === "focus-device") focusDevice(event.data.deviceId);
+    }
+    navigator.serviceWorker.addEventListener("message", onMessage);
+    return () => navigator.serviceWorker.removeEventListener("message", onMessage);
+  }, [focusDevice]);
+
+  // Aba aberta por uma notificação (`/?device=<id>`): foca o dispositivo assim que a lista carregar
   useEffect(() => {
-    shortcutAlertRef.current = isShortcutAlertActive;
-  }, [isShortcutAlertActive]);
+    const deviceId = pendingFocusDeviceIdRef.current;
+    if (!deviceId || !devices.some((device) => device.id === deviceId)) return;
+    pendingFocusDeviceIdRef.current = null;
+    focusDevice(deviceId);
+  }, [devices, focusDevice]);
+
+  const enableNotifications = useCallback(async () => {
+    const permission = await requestNotificationPermission();
+    setNotificationPermission(permission);
+    if (permission !== "granted" || !PUSH_PUBLIC_KEY) return;
+    try {
+      const subscription = await subscribeToPush(PUSH_PUBLIC_KEY);
+      if (subscription) await savePushSubscription(subscription);
+    } catch (error) {
+      console.error("Erro ao ativar notificações push:", error);
+    }
+  }, []);
+
+  useEffect(() => {
+    const activeKeys = activeAlerts.map((alert) => alert.key);
+    setDismissedAlertKeys((prev) => {
+      const next = prev.filter((key) => activeKeys.includes(key));
+      return next.length === prev.length ? prev : next;
+    });
+    setSnoozedUntil((prev) => {
+      const keys = Object.keys(prev).filter((key) => activeKeys.includes(key));
+      return keys.length === Object.keys(prev).length ? prev : Object.fromEntries(keys.map((key) => [key, prev[key]]));
+    });
+  }, [activeAlerts]);
 
   const updateDeviceData = useCallback(async () => {
     if (isUpdatingRef.current) return;
@@ -38,40 +202,13 @@ export function Dashboard({ user, onLogout, onOpenProfile, isLoadingProfile }) {
     isUpdatingRef.current = true;
     setIsLoading(true);
     try {
-      const adafruitData = await fetchAdafruitData();
-      if (adafruitData) {
-        const latestSmokeRaw = adafruitData.rawValues?.smoke ?? 0;
-        const isApiFireRisk = latestSmokeRaw > FIRE_SMOKE_THRESHOLD;
-
-        setDevices((prevDevices) =>
-          prevDevices.map((device) => {
-            if (device.id === "001") {
-              const updatedDevice = {
-                ...device,
-                temperature: adafruitData.temperature || device.temperature,
-                airHumidity: adafruitData.airHumidity || device.airHumidity,
-                soilHumidity: adafruitData.soilHumidity || device.soilHumidity,
-                heatIndex: adafruitData.heatIndex || device.heatIndex,
-                smokePercent: parseFloat(adafruitData.smokePercent) || device.smokePercent,
-                pluvi:
-                  typeof adafruitData.pluvi === "number" && !Number.isNaN(adafruitData.pluvi)
-                    ? adafruitData.pluvi
-                    : device.pluvi,
-                rawValues: adafruitData.rawValues || {},
-              };
-              const { riskLevel, riskPercent } = calculateRiskFromSensors(updatedDevice);
-              return { ...updatedDevice, riskLevel, riskPercent };
-            }
-            const { riskLevel, riskPercent } = calculateRiskFromSensors(device);
-            return { ...device, riskLevel, riskPercent };
-          })
-        );
-        setLastUpdate(new Date().toLocaleString("pt-BR"));
-
-        if (!isApiFireRisk && !shortcutAlertRef.current) {
-          setIsFireAlertAcknowledged(false);
-        }
-      }
+      const results = await Promise.all(
+        devicesRef.current.map(async (device) => [device.id, await fetchAdafruitData(device)])
+      );
+      const dataByDevice = Object.fromEntries(results);
+
+      setDevices((prevDevices) => prevDevices.map((device) => applyAdafruitData(device, dataByDevice[device.id])));
+      if (results.length > 0) setLastUpdate(new Date());
     } catch (error) {
       console.error("Erro ao atualizar dados:", error);
     } finally {
@@ -80,31 +217,60 @@ export function Dashboard({ user, onLogout, onOpenProfile, isLoadingProfile }) {
     }
   }, []);
 
-  useEffect(() => {
-    updateDeviceData();
-    const interval = setInterval(updateDeviceData, 5000);
-    return () => clearInterval(interval);
+  const loadDevices = useCallback(async () => {
+    setIsLoadingDevices(true);
+    setDevicesError("");
+    try {
+      const list = (await fetchDevices()).filter(isDeviceMonitored);
+      devicesRef.current = list;
+      setDevices(list);
+      updateDeviceData();
+    } catch (error) {
+      console.error("Erro ao carregar dispositivos:", error);
+      setDevicesError(error.message || "Erro ao carregar dispositivos");
+    } finally {
+      setIsLoadingDevices(false);
+    }
   }, [updateDeviceData]);
 
   useEffect(() => {
-    function onKeyDown(event) {
-      if (event.shiftKey && event.key.toLowerCase() === "a") {
-        setIsShortcutAlertActive(true);
-        setIsFireAlertAcknowledged(false);
-      }
-    }
+    loadDevices();
+  }, [loadDevices]);
 
-    window.addEventListener("keydown", onKeyDown);
-    return () => window.removeEventListener("keydown", onKeyDown);
+  const handleReading = useCallback(({ deviceId, values, readingTimes }) => {
+    setDevices((prevDevices) =>
+      prevDevices.map((device) =>
+        device.id === deviceId
+          ? applyAdafruitData(device, buildSensorData(values, readingTimes, getDeviceCalibration(device)))
+          : device
+      )
+    );
+    setLastUpdate(new Date());
   }, []);
 
+  // Reconecta só quando o conjunto de dispositivos muda, não a cada leitura
+  const deviceIdsKey = devices.map((device) => device.backendId).join(",");
+
   useEffect(() => {
-    if (isFireActive && !isFireAlertAcknowledged) {
-      setIsFireAlertVisible(true);
-    } else {
-      setIsFireAlertVisible(false);
-    }
-  }, [isFireActive, isFireAlertAcknowledged]);
+    if (!deviceIdsKey) return undefined;
+    return createReadingsTransport().connect({
+      devices: devicesRef.current,
+      onReading: handleReading,
+      onStatus: setStreamStatus,
+    });
+  }, [deviceIdsKey, handleReading]);
+
+  const getCurrentDevices = useCallback(() => devicesRef.current, []);
+
+  const handleRainfall = useCallback((rainfallByDevice) => {
+    setDevices((prevDevices) =>
+      prevDevices.map((device) =>
+        device.id in rainfallByDevice ? applyRainfall(device, rainfallByDevice[device.id]) : device
+      )
+    );
+  }, []);
+
+  useRainfall({ devicesKey: deviceIdsKey, getDevices: getCurrentDevices, onRainfall: handleRainfall });
 
   useEffect(() => {
     if (!fireAudioRef.current) {
@@ -114,7 +280,13 @@ export function Dashboard({ user, onLogout, onOpenProfile, isLoadingProfile }) {
     }
 
     if (isFireAlertVisible) {
-      fireAudioRef.current.play().catch((error) => console.warn("Nao foi possivel tocar o alerta sonoro:", error));
+      fireAudioRef.current
+        .play()
+        .then(() => setIsAudioBlocked(false))
+        .catch((error) => {
+          console.warn("Nao foi possivel tocar o alerta sonoro:", error);
+          setIsAudioBlocked(true);
+        });
     } else {
       fireAudioRef.current.pause();
       fireAudioRef.current.currentTime = 0;
@@ -131,39 +303,70 @@ export function Dashboard({ user, onLogout, onOpenProfile, isLoadingProfile }) {
     () =>
       devices.map((device) => ({
         ...device,
-        isAlerting: device.id === "001" && isFireActive,
+        // Só alertas de fogo acendem o marcador; o offline já aparece no próprio marcador
+        isAlerting: activeAlerts.some((alert) => isFireAlert(alert) && alert.device.id === device.id),
+        connectivity: getDeviceConnectivity(device, clock),
       })),
-    [devices, isFireActive]
+    [devices, activeAlerts, clock]
   );
 
-  const acknowledgeAlert = useCallback(() => {
-    setIsFireAlertVisible(false);
-    setIsFireAlertAcknowledged(true);
+  const acknowledgeAlert = useCallback((key, notes = "") => acknowledge(key, notes), [acknowledge]);
+
+  const snoozeAlert = useCallback((key, minutes) => {
+    setSnoozedUntil((prev) => ({ ...prev, [key]: Date.now() + minutes * 60 * 1000 }));
+    setClock(Date.now());
   }, []);
 
+  const resolveAlert = useCallback(
+    (key) => {
+      resolve(key);
+      if (drillAlert?.key === key) setDrill(null);
+    },
+    [resolve, drillAlert]
+  );
+
+  const startDrill = useCallback(({ deviceId, scenarioId, notifyChannels }) => {
+    setDrill({ deviceId, scenarioId, notifyChannels, startedAt: new Date() });
+    setIsDrillDialogOpen(false);
+  }, []);
+
+  // O relatório usa um retrato dos dispositivos: leituras novas não mudam o que vai ser impresso
+  const generateReport = useCallback(
+    ({ range, deviceIds }) => {
+      setReport({
+        range,
+        devices: devicesWithAlertState.filter((device) => deviceIds.includes(device.id)),
+        generatedAt: new Date(),
+      });
+      setIsReportDialogOpen(false);
+    },
+    [devicesWithAlertState]
+  );
+
+  const dismissAlert = useCallback(() => {
+    if (!alertModalAlert) return;
+    setDismissedAlertKeys((prev) => [...prev, alertModalAlert.key]);
+  }, [alertModalAlert]);
+
   const averages = useMemo(() => {
-    const sum = devices.reduce(
-      (acc, d) => ({
-        temperature: acc.temperature + d.temperature,
-        airHumidity: acc.airHumidity + d.airHumidity,
-        soilHumidity: acc.soilHumidity + d.soilHumidity,
-        heatIndex: acc.heatIndex + d.heatIndex,
-        smokePercent: acc.smokePercent + (parseFloat(d.smokePercent) || 0),
-        pluvi: acc.pluvi + (typeof d.pluvi === "number" ? d.pluvi : parseFloat(d.pluvi) || 0),
-      }),
-      { temperature: 0, airHumidity: 0, soilHumidity: 0, heatIndex: 0, smokePercent: 0, pluvi: 0 }
+    const reportingDevices = devices.filter((device) => getDeviceConnectivity(device, clock) !== "offline");
+    return Object.fromEntries(
+      AVERAGE_SENSORS.map((sensor) => [sensor.id, formatSensorValue(sensor, averageDeviceField(reportingDevices, sensor.field))])
     );
+  }, [devices, clock]);
 
-    const count = devices.length;
-    return {
-      temperature: (sum.temperature / count).toFixed(1),
-      airHumidity: Math.round(sum.airHumidity / count),
-      soilHumidity: Math.round(sum.soilHumidity / count),
-      heatIndex: (sum.heatIndex / count).toFixed(1),
-      smokePercent: (sum.smokePercent / count).toFixed(1),
-      pluvi: (sum.pluvi / count).toFixed(1),
-    };
-  }, [devices]);
+  const historyDevices = useMemo(() => devices.filter((device) => device.backendId), [devices]);
+  // Sem escolha, o histórico mostra o primeiro dispositivo cadastrado na API
+  const defaultHistoryDeviceId = historyDevices[0]?.id;
+  const selectedHistoryIds = useMemo(
+    () => (historyDeviceIds.length > 0 ? historyDeviceIds : defaultHistoryDeviceId ? [defaultHistoryDeviceId] : []),
+    [historyDeviceIds, defaultHistoryDeviceId]
+  );
+
+  const showDeviceHistory = useCallback((device) => {
+    setHistoryDeviceIds([device.id]);
+    historySectionRef.current?.scrollIntoView({ behavior: "smooth", block: "start" });
+  }, []);
 
   return (
     <div className="w-full max-w-6xl">
@@ -173,9 +376,18 @@ export function Dashboard({ user, onLogout, onOpenProfile, isLoadingProfile }) {
           <div>
             <h1 className="text-2xl md:text-3xl font-bold text-white">Dashboard Pyro Alert</h1>
             <p className="text-slate-400">Monitoramento de riscos de incêndio</p>
+            {devices.length > 0 && (
+              <p className="flex items-center gap-2 text-xs text-slate-500 mt-1">
+                <span
+                  className={`w-1.5 h-1.5 rounded-full ${streamStatus === "live" ? "bg-emerald-400 animate-pulse" : "bg-slate-500"}`}
+                />
+                {STREAM_STATUS_LABELS[streamStatus]}
+                {lastUpdate && ` · ${lastUpdate.toLocaleTimeString("pt-BR")}`}
+              </p>
+            )}
           </div>
         </div>
-        <div className="flex items-center gap-3">
+        <div className="flex flex-wrap items-center gap-3">
           {user && (
             <button
               type="button"
@@ -195,6 +407,90 @@ export function Dashboard({ user, onLogout, onOpenProfile, isLoadingProfile }) {
               </svg>
             </button>
           )}
+          {notificationPermission === "default" && (
+            <button
+              type="button"
+              onClick={enableNotifications}
+              className="flex items-center gap-2 px-5 py-2.5 bg-amber-500/20 hover:bg-amber-500/30 text-amber-300 rounded-xl font-medium transition-all border border-amber-500/30"
+            >
+              <svg xmlns="http://www.w3.org/2000/svg" className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth="2">
+                <path strokeLinecap="round" strokeLinejoin="round" d="M15 17h5l-1.405-1.405A2.032 2.032 0 0118 14.158V11a6.002 6.002 0 00-4-5.659V5a2 2 0 10-4 0v.341C7.67 6.165 6 8.388 6 11v3.159c0 .538-.214 1.055-.595 1.436L4 17h5m6 0v1a3 3 0 11-6 0v-1m6 0H9" />
+              </svg>
+              Ativar notificações
+            </button>
+          )}
+          <button
+            type="button"
+            onClick={onOpenIncidents}
+            className="flex items-center gap-2 px-5 py-2.5 bg-white/10 hover:bg-white/20 text-white rounded-xl font-medium transition-all border border-white/10"
+          >
+            <svg xmlns="http://www.w3.org/2000/svg" className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth="2">
+              <path strokeLinecap="round" strokeLinejoin="round" d="M9 5H7a2 2 0 00-2 2v12a2 2 0 002 2h10a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2m-3 7h3m-3 4h3m-6-4h.01M9 16h.01" />
+            </svg>
+            Ocorrências
+          </button>
+          <button
+            type="button"
+            onClick={() => setIsReportDialogOpen(true)}
+            disabled={devices.length === 0}
+            className="flex items-center gap-2 px-5 py-2.5 bg-white/10 hover:bg-white/20 text-white rounded-xl font-medium transition-all border border-white/10 disabled:opacity-50"
+          >
+            <svg xmlns="http://www.w3.org/2000/svg" className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth="2">
+              <path strokeLinecap="round" strokeLinejoin="round" d="M17 17h2a2 2 0 002-2v-4a2 2 0 00-2-2H5a2 2 0 00-2 2v4a2 2 0 002 2h2m2 4h6a2 2 0 002-2v-4a2 2 0 00-2-2H9a2 2 0 00-2 2v4a2 2 0 002 2zm8-12V5a2 2 0 00-2-2H9a2 2 0 00-2 2v4h10z" />
+            </svg>
+            Relatório
+          </button>
+          {can(user, "thresholds:manage") && (
+            <button
+              type="button"
+              onClick={onOpenAlertRules}
+              className="flex items-center gap-2 px-5 py-2.5 bg-white/10 hover:bg-white/20 text-white rounded-xl font-medium transition-all border border-white/10"
+            >
+              <svg xmlns="http://www.w3.org/2000/svg" className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth="2">
+                <path strokeLinecap="round" strokeLinejoin="round" d="M12 6V4m0 2a2 2 0 100 4m0-4a2 2 0 110 4m-6 8a2 2 0 100-4m0 4a2 2 0 110-4m0 4v2m0-6V4m6 6v10m6-2a2 2 0 100-4m0 4a2 2 0 110-4m0 4v2m0-6V4" />
+              </svg>
+              Regras
+            </button>
+          )}
+          {can(user, "drills:run") && (
+            <button
+              type="button"
+              onClick={() => setIsDrillDialogOpen(true)}
+              disabled={devices.length === 0 || Boolean(drill)}
+              className="flex items-center gap-2 px-5 py-2.5 bg-amber-500/20 hover:bg-amber-500/30 text-amber-300 rounded-xl font-medium transition-all border border-amber-500/30 disabled:opacity-50"
+            >
+              <svg xmlns="http://www.w3.org/2000/svg" className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth="2">
+                <path strokeLinecap="round" strokeLinejoin="round" d="M14.752 11.168l-3.197-2.132A1 1 0 0010 9.87v4.263a1 1 0 001.555.832l3.197-2.132a1 1 0 000-1.664z" />
+                <path strokeLinecap="round" strokeLinejoin="round" d="M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
+              </svg>
+              Simulação
+            </button>
+          )}
+          {can(user, "users:manage") && (
+            <button
+              type="button"
+              onClick={onOpenUserAdmin}
+              className="flex items-center gap-2 px-5 py-2.5 bg-white/10 hover:bg-white/20 text-white rounded-xl font-medium transition-all border border-white/10"
+            >
+              <svg xmlns="http://www.w3.org/2000/svg" className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth="2">
+                <path strokeLinecap="round" strokeLinejoin="round" d="M17 20h5v-2a3 3 0 00-5.356-1.857M17 20H7m10 0v-2c0-.656-.126-1.283-.356-1.857M7 20H2v-2a3 3 0 015.356-1.857M7 20v-2c0-.656.126-1.283.356-1.857m0 0a5.002 5.002 0 019.288 0M15 7a3 3 0 11-6 0 3 3 0 016 0z" />
+              </svg>
+              Usuários
+            </button>
+          )}
+          {can(user, "devices:manage") && (
+            <button
+              type="button"
+              onClick={() => onOpenDeviceAdmin()}
+              className="flex items-center gap-2 px-5 py-2.5 bg-white/10 hover:bg-white/20 text-white rounded-xl font-medium transition-all border border-white/10"
+            >
+              <svg xmlns="http://www.w3.org/2000/svg" className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth="2">
+                <path strokeLinecap="round" strokeLinejoin="round" d="M17.657 16.657L13.414 20.9a1.998 1.998 0 01-2.827 0l-4.244-4.243a8 8 0 1111.314 0z" />
+                <path strokeLinecap="round" strokeLinejoin="round" d="M15 11a3 3 0 11-6 0 3 3 0 016 0z" />
+              </svg>
+              Dispositivos
+            </button>
+          )}
           <button
             type="button"
             onClick={updateDeviceData}
@@ -215,96 +511,143 @@ export function Dashboard({ user, onLogout, onOpenProfile, isLoadingProfile }) {
         </div>
       </div>
 
-      <div className="grid grid-cols-2 sm:grid-cols-3 xl:grid-cols-6 gap-2 sm:gap-3 mb-8">
-        <div className="bg-gradient-to-br from-orange-500/20 to-red-500/20 backdrop-blur-xl p-3 sm:p-4 rounded-xl border border-orange-500/20 min-w-0">
-          <div className="flex items-center justify-between gap-1 mb-2">
-            <span className="text-[10px] sm:text-xs font-medium text-orange-300 uppercase tracking-wide truncate">Temp.</span>
-            <div className="w-7 h-7 shrink-0 bg-orange-500/20 rounded-lg flex items-center justify-center">
-              <svg xmlns="http://www.w3.org/2000/svg" className="w-3.5 h-3.5 sm:w-4 sm:h-4 text-orange-400" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth="2">
-                <path strokeLinecap="round" strokeLinejoin="round" d="M9 19v-6a2 2 0 00-2-2H5a2 2 0 00-2 2v6a2 2 0 002 2h2a2 2 0 002-2zm0 0V9a2 2 0 012-2h2a2 2 0 012 2v10m-6 0a2 2 0 002 2h2a2 2 0 002-2m0 0V5a2 2 0 012-2h2a2 2 0 012 2v14a2 2 0 01-2 2h-2a2 2 0 01-2-2z" />
-              </svg>
-            </div>
-          </div>
-          <div className="text-xl sm:text-2xl font-bold text-white mb-0.5 tabular-nums">{averages.temperature}°C</div>
-          <p className="text-[10px] sm:text-xs text-slate-400 truncate">Média</p>
+      {drillAlert && (
+        <div className="mb-4 flex flex-col sm:flex-row sm:items-center justify-between gap-3 px-4 py-3 rounded-2xl bg-amber-500/10 border border-amber-500/30 text-sm text-amber-200">
+          <span>
+            <span className="font-bold">{DRILL_LABEL}</span> em andamento: {getDrillScenario(drill.scenarioId).name} em{" "}
+            {drillAlert.device.name}
+            {drillAlert.notifyChannels ? " · enviando aos canais externos" : " · sem envio aos canais externos"}
+          </span>
+          {can(user, "drills:run") && (
+            <button
+              type="button"
+              onClick={() => resolveAlert(drillAlert.key)}
+              className="px-3 py-1.5 text-xs font-medium rounded-lg bg-amber-500 hover:bg-amber-400 text-slate-950 transition-all"
+            >
+              Encerrar simulação
+            </button>
+          )}
         </div>
+      )}
 
-        <div className="bg-gradient-to-br from-blue-500/20 to-cyan-500/20 backdrop-blur-xl p-3 sm:p-4 rounded-xl border border-blue-500/20 min-w-0">
-          <div className="flex items-center justify-between gap-1 mb-2">
-            <span className="text-[10px] sm:text-xs font-medium text-blue-300 uppercase tracking-wide truncate">Umid. ar</span>
-            <div className="w-7 h-7 shrink-0 bg-blue-500/20 rounded-lg flex items-center justify-center">
-              <svg xmlns="http://www.w3.org/2000/svg" className="w-3.5 h-3.5 sm:w-4 sm:h-4 text-blue-400" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth="2">
-                <path strokeLinecap="round" strokeLinejoin="round" d="M3 15a4 4 0 004 4h9a5 5 0 10-.1-9.999 5.002 5.002 0 10-9.78 2.096A4.001 4.001 0 003 15z" />
-              </svg>
-            </div>
-          </div>
-          <div className="text-xl sm:text-2xl font-bold text-white mb-0.5 tabular-nums">{averages.airHumidity}%</div>
-          <p className="text-[10px] sm:text-xs text-slate-400 truncate">Média</p>
-        </div>
+      <AlertCenter
+        alerts={openAlerts}
+        incidents={incidents}
+        snoozedUntil={snoozedUntil}
+        now={clock}
+        canAcknowledge={can(user, "alerts:acknowledge")}
+        onAcknowledge={acknowledgeAlert}
+        onSnooze={snoozeAlert}
+        onResolve={resolveAlert}
+        onFocusDevice={focusDevice}
+      />
 
-        <div className="bg-gradient-to-br from-amber-500/20 to-yellow-500/20 backdrop-blur-xl p-3 sm:p-4 rounded-xl border border-amber-500/20 min-w-0">
-          <div className="flex items-center justify-between gap-1 mb-2">
-            <span className="text-[10px] sm:text-xs font-medium text-amber-300 uppercase tracking-wide truncate">Umid. solo</span>
-            <div className="w-7 h-7 shrink-0 bg-amber-500/20 rounded-lg flex items-center justify-center">
-              <svg xmlns="http://www.w3.org/2000/svg" className="w-3.5 h-3.5 sm:w-4 sm:h-4 text-amber-400" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth="2">
-                <path strokeLinecap="round" strokeLinejoin="round" d="M19 11H5m14 0a2 2 0 012 2v6a2 2 0 01-2 2H5a2 2 0 01-2-2v-6a2 2 0 012-2m14 0V9a2 2 0 00-2-2M5 11V9a2 2 0 012-2m0 0V5a2 2 0 012-2h6a2 2 0 012 2v2M7 7h10" />
-              </svg>
+      <div className="grid grid-cols-2 sm:grid-cols-4 xl:grid-cols-8 gap-2 sm:gap-3 mb-8">
+        {AVERAGE_SENSORS.map((sensor) => (
+          <div
+            key={sensor.id}
+            className={`bg-gradient-to-br ${sensor.cardClasses.card} backdrop-blur-xl p-3 sm:p-4 rounded-xl border min-w-0`}
+          >
+            <div className="flex items-center justify-between gap-1 mb-2">
+              <span className={`text-[10px] sm:text-xs font-medium ${sensor.cardClasses.label} uppercase tracking-wide truncate`}>
+                {sensor.shortLabel}
+              </span>
+              <div className={`w-7 h-7 shrink-0 ${sensor.cardClasses.iconBox} rounded-lg flex items-center justify-center ${sensor.cardClasses.icon}`}>
+                <SensorIcon sensor={sensor} className="w-3.5 h-3.5 sm:w-4 sm:h-4" />
+              </div>
             </div>
-          </div>
-          <div className="text-xl sm:text-2xl font-bold text-white mb-0.5 tabular-nums">{averages.soilHumidity}%</div>
-          <p className="text-[10px] sm:text-xs text-slate-400 truncate">Média</p>
-        </div>
-
-        <div className="bg-gradient-to-br from-rose-500/20 to-pink-500/20 backdrop-blur-xl p-3 sm:p-4 rounded-xl border border-rose-500/20 min-w-0">
-          <div className="flex items-center justify-between gap-1 mb-2">
-            <span className="text-[10px] sm:text-xs font-medium text-rose-300 uppercase tracking-wide truncate">Sens. térm.</span>
-            <div className="w-7 h-7 shrink-0 bg-rose-500/20 rounded-lg flex items-center justify-center">
-              <svg xmlns="http://www.w3.org/2000/svg" className="w-3.5 h-3.5 sm:w-4 sm:h-4 text-rose-400" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth="2">
-                <path strokeLinecap="round" strokeLinejoin="round" d="M12 3v1m0 16v1m9-9h-1M4 12H3m15.364 6.364l-.707-.707M6.343 6.343l-.707-.707m12.728 0l-.707.707M6.343 17.657l-.707.707M16 12a4 4 0 11-8 0 4 4 0 018 0z" />
-              </svg>
+            <div className="text-xl sm:text-2xl font-bold text-white mb-0.5 tabular-nums">
+              {averages[sensor.id]}
+              {sensor.unit}
             </div>
+            <p className="text-[10px] sm:text-xs text-slate-400 truncate">Média</p>
           </div>
-          <div className="text-xl sm:text-2xl font-bold text-white mb-0.5 tabular-nums">{averages.heatIndex}°C</div>
-          <p className="text-[10px] sm:text-xs text-slate-400 truncate">Média</p>
-        </div>
+        ))}
+      </div>
 
-        <div className="bg-gradient-to-br from-emerald-500/20 to-green-500/20 backdrop-blur-xl p-3 sm:p-4 rounded-xl border border-emerald-500/20 min-w-0">
-          <div className="flex items-center justify-between gap-1 mb-2">
-            <span className="text-[10px] sm:text-xs font-medium text-emerald-300 uppercase tracking-wide truncate">Fumaça</span>
-            <div className="w-7 h-7 shrink-0 bg-emerald-500/20 rounded-lg flex items-center justify-center">
-              <svg xmlns="http://www.w3.org/2000/svg" className="w-3.5 h-3.5 sm:w-4 sm:h-4 text-emerald-400" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth="2">
-                <path strokeLinecap="round" strokeLinejoin="round" d="M19.428 15.428a2 2 0 00-1.022-.547l-2.387-.477a6 6 0 00-3.86.517l-.318.158a6 6 0 01-3.86.517L6.05 15.21a2 2 0 00-1.806.547M8 4h8l-1 1v5.172a2 2 0 00.586 1.414l5 5c1.26 1.26.367 3.414-1.415 3.414H4.828c-1.782 0-2.674-2.154-1.414-3.414l5-5A2 2 0 009 10.172V5L8 4z" />
-              </svg>
-            </div>
-          </div>
-          <div className="text-xl sm:text-2xl font-bold text-white mb-0.5 tabular-nums">{averages.smokePercent}%</div>
-          <p className="text-[10px] sm:text-xs text-slate-400 truncate">Média</p>
+      {isLoadingDevices && devices.length === 0 ? (
+        <div className="mb-8 flex items-center justify-center gap-3 h-[200px] bg-white/5 rounded-2xl border border-white/10">
+          <Spinner className="w-6 h-6 text-indigo-400" />
+          <p className="text-slate-400 text-sm">Carregando dispositivos...</p>
+        </div>
+      ) : devicesError ? (
+        <div className="mb-8 flex flex-col items-center justify-center gap-4 h-[200px] bg-red-500/5 rounded-2xl border border-red-500/20">
+          <p className="text-red-400 text-sm">{devicesError}</p>
+          <button
+            type="button"
+            onClick={loadDevices}
+            className="px-4 py-2 rounded-lg bg-white/10 hover:bg-white/20 text-white text-sm font-medium transition-all border border-white/10"
+          >
+            Tentar novamente
+          </button>
+        </div>
+      ) : devices.length === 0 ? (
+        <div className="mb-8 flex items-center justify-center h-[200px] bg-white/5 rounded-2xl border border-white/10">
+          <p className="text-slate-400 text-sm">Nenhum dispositivo cadastrado</p>
         </div>
+      ) : (
+        <>
+          <div className="mb-8">
+            <DeviceMap
+              devices={devicesWithAlertState}
+              focusRequest={focusRequest}
+              onEditDevice={can(user, "devices:manage") ? (device) => onOpenDeviceAdmin(device.backendId) : undefined}
+              onShowHistory={showDeviceHistory}
+            />
+          </div>
 
-        <div className="bg-gradient-to-br from-sky-500/20 to-cyan-600/20 backdrop-blur-xl p-3 sm:p-4 rounded-xl border border-sky-500/25 min-w-0">
-          <div className="flex items-center justify-between gap-1 mb-2">
-            <span className="text-[10px] sm:text-xs font-medium text-sky-300 uppercase tracking-wide truncate">Pluviôm.</span>
-            <div className="w-7 h-7 shrink-0 bg-sky-500/20 rounded-lg flex items-center justify-center text-sm" aria-hidden>
-              🌧️
+          {devices.some((device) => device.rainfall) && (
+            <div className="mb-8">
+              <RainfallPanel devices={devices} />
             </div>
+          )}
+
+          <div ref={historySectionRef} className="mb-8 scroll-mt-4">
+            <SensorChartsSection
+              devices={historyDevices}
+              selectedDeviceIds={selectedHistoryIds}
+              onSelectedDeviceIdsChange={setHistoryDeviceIds}
+              alertRules={alertRules}
+            />
           </div>
-          <div className="text-xl sm:text-2xl font-bold text-white mb-0.5 tabular-nums">{averages.pluvi} mm</div>
-          <p className="text-[10px] sm:text-xs text-slate-400 truncate">Média</p>
-        </div>
-      </div>
+        </>
+      )}
 
-      <div className="mb-8">
-        <DeviceMap devices={devicesWithAlertState} />
-      </div>
+      <p className="text-center text-sm text-slate-500 mt-8">Pyro Alert © 2025</p>
 
-      <div className="mb-8">
-        <SensorChartsSection />
-      </div>
+      {isDrillDialogOpen && (
+        <DrillDialog devices={devices} onStart={startDrill} onClose={() => setIsDrillDialogOpen(false)} />
+      )}
 
-      <p className="text-center text-sm text-slate-500 mt-8">Pyro Alert © 2025</p>
+      {isReportDialogOpen && (
+        <ReportDialog
+          devices={devicesWithAlertState}
+          onGenerate={generateReport}
+          onClose={() => setIsReportDialogOpen(false)}
+        />
+      )}
+
+      {report && (
+        <SituationReport
+          user={user}
+          devices={report.devices}
+          range={report.range}
+          generatedAt={report.generatedAt}
+          onClose={() => setReport(null)}
+        />
+      )}
 
       {isFireAlertVisible && (
-        <FireAlertModal device={device001 || { id: "001", smokePercent: 0 }} onAcknowledge={acknowledgeAlert} />
+        <FireAlertModal
+          key={alertModalAlert.key}
+          device={alertModalAlert.device}
+          rule={alertModalAlert.rule}
+          isDrill={Boolean(alertModalAlert.isDrill)}
+          canAcknowledge={can(user, "alerts:acknowledge")}
+          onAcknowledge={(notes) => acknowledgeAlert(alertModalAlert.key, notes)}
+          onSnooze={(minutes) => snoozeAlert(alertModalAlert.key, minutes)}
+          onDismiss={dismissAlert}
+        />
       )}
     </div>
   );
@@ -0,0 +1,75 @@
+import { useState } from "react";
+import { DRILL_SCENARIOS } from "../../constants/config.js";
+import { getAlertSeverityLabel } from "../../utils/alertRules.js";
+
+const selectClassName = "w-full px-4 py-3 rounded-xl border border-white/10 bg-white/5 text-white";
+
+/** Formulário para iniciar uma simulação de alerta em um dispositivo */
+export function DrillDialog({ devices, onStart, onClose }) {
+  const [deviceId, setDeviceId] = useState(devices[0]?.id || "");
+  const [scenarioId, setScenarioId] = useState(DRILL_SCENARIOS[0].id);
+  const [notifyChannels, setNotifyChannels] = useState(false);
+
+  function handleSubmit(e) {
+    e.preventDefault();
+    if (!deviceId) return;
+    onStart({ deviceId, scenarioId, notifyChannels });
+  }
+
+  return (
+    <div className="fixed inset-0 z-[2000] flex items-center justify-center bg-black/70 p-4 backdrop-blur-sm">
+      <form onSubmit={handleSubmit} className="w-full max-w-md rounded-2xl border border-amber-400/40 bg-slate-950/95 p-6 space-y-4 shadow-2xl">
+        <div>
+          <h2 className="text-xl font-bold text-white">Iniciar simulação</h2>
+          <p className="mt-1 text-sm text-slate-400">
+            Gera um alerta marcado como SIMULAÇÃO, registrado à parte no histórico de ocorrências.
+          </p>
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-slate-300 mb-2">Dispositivo</label>
+          <select value={deviceId} onChange={(e) => setDeviceId(e.target.value)} className={selectClassName}>
+            {devices.map((device) => (
+              <option key={device.id} value={device.id} className="bg-slate-800">
+                {device.name}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-slate-300 mb-2">Cenário</label>
+          <select value={scenarioId} onChange={(e) => setScenarioId(e.target.value)} className={selectClassName}>
+            {DRILL_SCENARIOS.map((scenario) => (
+              <option key={scenario.id} value={scenario.id} className="bg-slate-800">
+                {scenario.name} ({getAlertSeverityLabel(scenario.severity)})
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <label className="flex items-start gap-2 text-sm text-slate-300">
+          <input type="checkbox" checked={notifyChannels} onChange={(e) => setNotifyChannels(e.target.checked)} className="mt-0.5" />
+          Enviar também aos canais externos (webhook, e-mail, SMS/WhatsApp)
+        </label>
+
+        <div className="flex gap-3 pt-2">
+          <button
+            type="button"
+            onClick={onClose}
+            className="flex-1 py-3 bg-white/10 hover:bg-white/20 text-white rounded-xl font-medium border border-white/10"
+          >
+            Cancelar
+          </button>
+          <button
+            type="submit"
+            disabled={!deviceId}
+            className="flex-1 py-3 bg-amber-500 hover:bg-amber-400 text-slate-950 rounded-xl font-semibold disabled:opacity-50"
+          >
+            Iniciar
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
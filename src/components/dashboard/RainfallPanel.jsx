@@ -0,0 +1,131 @@
+import { useMemo, useState } from "react";
+import { Bar } from "react-chartjs-2";
+import { createSensorLineChartOptions } from "../../chart/sensorChartOptions.js";
+import { RAIN_DAY_MIN_MM } from "../../constants/config.js";
+import { formatDrySpell, formatRainMm } from "../../utils/rainfall.js";
+import { getSensor } from "../../utils/sensorRegistry.js";
+
+const PLUVI_SENSOR = getSensor("pluvi");
+const DAILY_CHART_CONFIG = { label: "Chuva diária (mm)", unit: " mm" };
+
+/** Chuva de cada dia (`rainfall.daily`) em barras; dias abaixo de `RAIN_DAY_MIN_MM` ficam mais claros */
+function DailyRainfallChart({ daily }) {
+  const data = useMemo(
+    () => ({
+      datasets: [
+        {
+          label: DAILY_CHART_CONFIG.label,
+          data: daily.map(({ day, mm }) => ({ x: day.getTime(), y: mm })),
+          backgroundColor: daily.map(({ mm }) => (mm >= RAIN_DAY_MIN_MM ? PLUVI_SENSOR.color : PLUVI_SENSOR.bgColor)),
+          borderColor: PLUVI_SENSOR.color,
+          borderWidth: 1,
+        },
+      ],
+    }),
+    [daily]
+  );
+
+  const options = useMemo(() => {
+    const base = createSensorLineChartOptions(DAILY_CHART_CONFIG);
+    return {
+      ...base,
+      // Uma barra por dia: o tooltip mostra só a data
+      scales: {
+        ...base.scales,
+        x: { ...base.scales.x, offset: true, time: { ...base.scales.x.time, unit: "day", tooltipFormat: "dd/MM/yyyy" } },
+        y: { ...base.scales.y, min: 0 },
+      },
+    };
+  }, []);
+
+  return (
+    <div className="h-[200px]">
+      <Bar data={data} options={options} />
+    </div>
+  );
+}
+
+/**
+ * Acumulados do pluviômetro por dispositivo (24h, 7 e 30 dias), dias sem chuva e a chuva diária
+ * do dispositivo selecionado. Só lista dispositivos com histórico (`device.rainfall`).
+ */
+export function RainfallPanel({ devices }) {
+  const [selectedId, setSelectedId] = useState(null);
+  const rows = devices.filter((device) => device.rainfall);
+  if (rows.length === 0) return null;
+
+  const selected = rows.find((device) => device.id === selectedId) || rows[0];
+
+  return (
+    <div className="bg-white/5 backdrop-blur-xl rounded-2xl border border-white/10 p-6">
+      <div className="mb-4">
+        <h3 className="text-lg font-semibold text-white">Chuva e estiagem</h3>
+        <p className="text-sm text-slate-400">
+          Acumulados do pluviômetro; dias com menos de {formatRainMm(RAIN_DAY_MIN_MM)} contam como dias sem chuva
+        </p>
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-xs text-slate-500 border-b border-white/10">
+              <th className="py-2 pr-4 font-medium">Dispositivo</th>
+              <th className="py-2 pr-4 font-medium">24h</th>
+              <th className="py-2 pr-4 font-medium">7 dias</th>
+              <th className="py-2 pr-4 font-medium">30 dias</th>
+              <th className="py-2 pr-4 font-medium">Sem chuva</th>
+              <th className="py-2 pr-4 font-medium">Última chuva</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((device) => {
+              const { rainfall } = device;
+              const isSelected = device.id === selected.id;
+              return (
+                <tr
+                  key={device.id}
+                  onClick={() => setSelectedId(device.id)}
+                  className={`border-b border-white/5 cursor-pointer transition-colors ${
+                    isSelected ? "bg-sky-500/10" : "hover:bg-white/5"
+                  }`}
+                >
+                  <td className="py-2 pr-4 text-white">{device.name}</td>
+                  <td className="py-2 pr-4 text-slate-300">{formatRainMm(rainfall.last24hMm)}</td>
+                  <td className="py-2 pr-4 text-slate-300">{formatRainMm(rainfall.last7dMm)}</td>
+                  <td className="py-2 pr-4 text-slate-300">{formatRainMm(rainfall.last30dMm)}</td>
+                  <td className="py-2 pr-4">
+                    <span
+                      className={`px-2 py-0.5 rounded-full text-xs font-medium border ${
+                        rainfall.daysSinceRain >= 7
+                          ? "bg-amber-500/15 text-amber-300 border-amber-500/30"
+                          : "bg-slate-500/15 text-slate-300 border-slate-500/30"
+                      }`}
+                    >
+                      {formatDrySpell(rainfall)}
+                    </span>
+                  </td>
+                  <td className="py-2 pr-4 text-slate-400">
+                    {rainfall.lastRainAt ? rainfall.lastRainAt.toLocaleString("pt-BR") : "—"}
+                    {rainfall.resets > 0 && (
+                      <span
+                        className="ml-2 text-[11px] text-slate-500"
+                        title="O contador do pluviômetro voltou a zero; a chuva desde o reinício foi contabilizada"
+                      >
+                        ({rainfall.resets} {rainfall.resets === 1 ? "reinício" : "reinícios"} do contador)
+                      </span>
+                    )}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="mt-6 bg-slate-800/30 rounded-xl p-4 border border-white/5">
+        <h4 className="mb-2 text-sm font-medium text-white">Chuva diária · {selected.name}</h4>
+        <DailyRainfallChart daily={selected.rainfall.daily} />
+      </div>
+    </div>
+  );
+}
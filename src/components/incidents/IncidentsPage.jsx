@@ -0,0 +1,327 @@
+import { useCallback, useEffect, useMemo, useState } from "react";
+import { fetchDevices } from "../../api/devicesApi.js";
+import { fetchIncidents, updateIncident } from "../../api/incidentsApi.js";
+import { PERIOD_FILTERS } from "../../constants/config.js";
+import { exportTable, getExportDateStamp } from "../../utils/exportData.js";
+import {
+  INCIDENT_STATUSES,
+  buildIncidentsExportTable,
+  formatDuration,
+  formatIncidentDate,
+  getAverageResponseTime,
+  getIncidentResponseTime,
+  getIncidentStatusLabel,
+} from "../../utils/incidents.js";
+import { getChannelTypeLabel, getDeliveryStatusLabel } from "../../utils/notificationPolicies.js";
+import { DRILL_LABEL } from "../../utils/drills.js";
+import { can } from "../../utils/permissions.js";
+import { ExportMenu } from "../ExportMenu.jsx";
+import { Spinner } from "../Spinner.jsx";
+
+const STATUS_PILL_CLASSES = {
+  open: "bg-red-500/20 text-red-400 border-red-500/30",
+  acknowledged: "bg-amber-500/20 text-amber-400 border-amber-500/30",
+  resolved: "bg-emerald-500/20 text-emerald-400 border-emerald-500/30",
+};
+
+function DeliveriesCell({ deliveries }) {
+  if (deliveries.length === 0) return "—";
+  const sent = deliveries.filter((delivery) => delivery.status === "sent").length;
+  const failed = deliveries.length - sent;
+
+  return (
+    <details>
+      <summary className="cursor-pointer whitespace-nowrap">
+        {sent} ok{failed > 0 && <span className="text-red-400"> · {failed} falha(s)</span>}
+      </summary>
+      <ul className="mt-2 space-y-1 text-xs text-slate-400">
+        {deliveries.map((delivery, index) => (
+          <li key={index}>
+            {formatIncidentDate(delivery.attemptedAt)} · {getChannelTypeLabel(delivery.channelType)} {delivery.target} ·{" "}
+            <span className={delivery.status === "sent" ? "text-emerald-400" : "text-red-400"}>
+              {getDeliveryStatusLabel(delivery.status)}
+            </span>
+            {delivery.attempt > 1 && ` (tentativa ${delivery.attempt})`}
+            {delivery.error && <span className="block text-slate-500">{delivery.error}</span>}
+          </li>
+        ))}
+      </ul>
+    </details>
+  );
+}
+
+const KIND_FILTERS = [
+  { key: "real", label: "Ocorrências reais", test: (incident) => !incident.isDrill },
+  { key: "drill", label: "Simulações", test: (incident) => incident.isDrill },
+  { key: "all", label: "Reais e simulações", test: () => true },
+];
+
+function getPeriodStart(periodKey) {
+  const filter = PERIOD_FILTERS.find((f) => f.key === periodKey);
+  if (!filter || filter.days === null) return null;
+  return new Date(Date.now() - filter.days * 24 * 60 * 60 * 1000);
+}
+
+export function IncidentsPage({ user, onBack }) {
+  const [incidents, setIncidents] = useState([]);
+  const [devices, setDevices] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState("");
+  const [deviceFilter, setDeviceFilter] = useState("");
+  const [statusFilter, setStatusFilter] = useState("");
+  const [periodFilter, setPeriodFilter] = useState("30d");
+  const [kindFilter, setKindFilter] = useState("real");
+  const [editingNotesId, setEditingNotesId] = useState(null);
+  const [notesDraft, setNotesDraft] = useState("");
+  const [isSavingNotes, setIsSavingNotes] = useState(false);
+
+  const canAnnotate = can(user, "incidents:annotate");
+
+  useEffect(() => {
+    fetchDevices()
+      .then(setDevices)
+      .catch((err) => console.error("Erro ao carregar dispositivos:", err));
+  }, []);
+
+  const loadIncidents = useCallback(async () => {
+    setIsLoading(true);
+    setError("");
+    try {
+      const from = getPeriodStart(periodFilter);
+      setIncidents(
+        await fetchIncidents({
+          deviceId: deviceFilter,
+          from: from ? from.toISOString() : undefined,
+        })
+      );
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [deviceFilter, periodFilter]);
+
+  useEffect(() => {
+    loadIncidents();
+  }, [loadIncidents]);
+
+  const filteredIncidents = useMemo(
+    () =>
+      incidents
+        .filter((incident) => !statusFilter || incident.status === statusFilter)
+        .filter(KIND_FILTERS.find((filter) => filter.key === kindFilter).test)
+        .sort((a, b) => (b.startedAt || 0) - (a.startedAt || 0)),
+    [incidents, statusFilter, kindFilter]
+  );
+
+  const averageResponseTime = useMemo(() => getAverageResponseTime(filteredIncidents), [filteredIncidents]);
+
+  function getDeviceName(incident) {
+    return (
+      incident.deviceName || devices.find((device) => device.backendId === incident.deviceId)?.name || incident.deviceId
+    );
+  }
+
+  function exportIncidents(format) {
+    exportTable(
+      {
+        fileName: `ocorrencias-${getExportDateStamp()}`,
+        sheetName: "Ocorrências",
+        ...buildIncidentsExportTable(filteredIncidents, getDeviceName),
+      },
+      format
+    );
+  }
+
+  function startEditingNotes(incident) {
+    setEditingNotesId(incident.id);
+    setNotesDraft(incident.notes);
+  }
+
+  async function saveNotes(incident) {
+    setIsSavingNotes(true);
+    setError("");
+    try {
+      await updateIncident(incident.id, { notes: notesDraft.trim() });
+      setIncidents((prev) => prev.map((i) => (i.id === incident.id ? { ...i, notes: notesDraft.trim() } : i)));
+      setEditingNotesId(null);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsSavingNotes(false);
+    }
+  }
+
+  const selectClassName = "px-3 py-2 rounded-xl border border-white/10 bg-white/5 text-white text-sm";
+
+  return (
+    <div className="w-full max-w-6xl">
+      <div className="flex items-center justify-between mb-8">
+        <button type="button" onClick={onBack} className="flex items-center gap-2 text-slate-400 hover:text-white transition-colors">
+          <svg xmlns="http://www.w3.org/2000/svg" className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth="2">
+            <path strokeLinecap="round" strokeLinejoin="round" d="M10 19l-7-7m0 0l7-7m-7 7h18" />
+          </svg>
+          Voltar
+        </button>
+        <h1 className="text-xl md:text-2xl font-bold text-white">Ocorrências</h1>
+      </div>
+
+      {error && <div className="mb-6 p-3 bg-red-500/10 border border-red-500/20 rounded-xl text-red-400 text-sm">{error}</div>}
+
+      <div className="bg-white/5 backdrop-blur-xl rounded-2xl border border-white/10 p-6">
+        <div className="flex flex-col md:flex-row md:items-center justify-between gap-4 mb-6">
+          <div className="flex flex-wrap gap-2">
+            <select value={deviceFilter} onChange={(e) => setDeviceFilter(e.target.value)} className={selectClassName}>
+              <option value="" className="bg-slate-800">
+                Todos os dispositivos
+              </option>
+              {devices.map((device) => (
+                <option key={device.backendId} value={device.backendId} className="bg-slate-800">
+                  {device.name}
+                </option>
+              ))}
+            </select>
+            <select value={statusFilter} onChange={(e) => setStatusFilter(e.target.value)} className={selectClassName}>
+              <option value="" className="bg-slate-800">
+                Todos os status
+              </option>
+              {INCIDENT_STATUSES.map((status) => (
+                <option key={status} value={status} className="bg-slate-800">
+                  {getIncidentStatusLabel(status)}
+                </option>
+              ))}
+            </select>
+            <select value={kindFilter} onChange={(e) => setKindFilter(e.target.value)} className={selectClassName}>
+              {KIND_FILTERS.map((filter) => (
+                <option key={filter.key} value={filter.key} className="bg-slate-800">
+                  {filter.label}
+                </option>
+              ))}
+            </select>
+            <select value={periodFilter} onChange={(e) => setPeriodFilter(e.target.value)} className={selectClassName}>
+              {PERIOD_FILTERS.map((filter) => (
+                <option key={filter.key} value={filter.key} className="bg-slate-800">
+                  {filter.label}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div className="flex items-center gap-3">
+            <div className="text-sm text-slate-400">
+              {filteredIncidents.length} ocorrência(s) · Tempo médio de resposta:{" "}
+              <span className="font-semibold text-white">{formatDuration(averageResponseTime)}</span>
+            </div>
+            <ExportMenu onExport={exportIncidents} disabled={isLoading || filteredIncidents.length === 0} />
+          </div>
+        </div>
+
+        {isLoading ? (
+          <div className="flex justify-center py-12">
+            <Spinner className="w-8 h-8 text-indigo-400" />
+          </div>
+        ) : filteredIncidents.length === 0 ? (
+          <p className="text-center text-slate-400 text-sm py-12">Nenhuma ocorrência encontrada</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm text-left">
+              <thead className="text-xs uppercase text-slate-500 border-b border-white/10">
+                <tr>
+                  <th className="py-3 pr-4">Dispositivo</th>
+                  <th className="py-3 pr-4">Início</th>
+                  <th className="py-3 pr-4">Pico de fumaça</th>
+                  <th className="py-3 pr-4">Status</th>
+                  <th className="py-3 pr-4">Confirmado por</th>
+                  <th className="py-3 pr-4">Resposta</th>
+                  <th className="py-3 pr-4">Encerrada em</th>
+                  <th className="py-3 pr-4">Envios</th>
+                  <th className="py-3">Observações</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-white/5 text-slate-300">
+                {filteredIncidents.map((incident) => (
+                  <tr key={incident.id} className="align-top">
+                    <td className="py-3 pr-4 text-white">
+                      {getDeviceName(incident)}
+                      {incident.isDrill && (
+                        <span className="ml-2 px-1.5 py-0.5 rounded text-[10px] font-bold bg-amber-500/20 text-amber-300 border border-amber-500/30">
+                          {DRILL_LABEL}
+                        </span>
+                      )}
+                      {incident.ruleName && <p className="text-xs text-slate-500">{incident.ruleName}</p>}
+                    </td>
+                    <td className="py-3 pr-4 whitespace-nowrap">{formatIncidentDate(incident.startedAt)}</td>
+                    <td className="py-3 pr-4 tabular-nums">{incident.peakSmokePercent.toFixed(1)}%</td>
+                    <td className="py-3 pr-4">
+                      <span className={`px-2 py-0.5 rounded-full text-xs border ${STATUS_PILL_CLASSES[incident.status]}`}>
+                        {getIncidentStatusLabel(incident.status)}
+                      </span>
+                    </td>
+                    <td className="py-3 pr-4">
+                      {incident.acknowledgedBy ? (
+                        <>
+                          <p>{incident.acknowledgedBy.name || "—"}</p>
+                          <p className="text-xs text-slate-500">{formatIncidentDate(incident.acknowledgedAt)}</p>
+                        </>
+                      ) : (
+                        "—"
+                      )}
+                    </td>
+                    <td className="py-3 pr-4 tabular-nums">{formatDuration(getIncidentResponseTime(incident))}</td>
+                    <td className="py-3 pr-4 whitespace-nowrap">{formatIncidentDate(incident.resolvedAt)}</td>
+                    <td className="py-3 pr-4">
+                      <DeliveriesCell deliveries={incident.deliveries} />
+                    </td>
+                    <td className="py-3 min-w-[200px]">
+                      {editingNotesId === incident.id ? (
+                        <div className="space-y-2">
+                          <textarea
+                            value={notesDraft}
+                            onChange={(e) => setNotesDraft(e.target.value)}
+                            rows={2}
+                            className="w-full px-3 py-2 rounded-lg border border-white/10 bg-white/5 text-white text-sm"
+                            disabled={isSavingNotes}
+                          />
+                          <div className="flex gap-2">
+                            <button
+                              type="button"
+                              onClick={() => setEditingNotesId(null)}
+                              className="px-3 py-1 rounded-lg bg-white/10 hover:bg-white/20 text-xs text-white"
+                              disabled={isSavingNotes}
+                            >
+                              Cancelar
+                            </button>
+                            <button
+                              type="button"
+                              onClick={() => saveNotes(incident)}
+                              className="px-3 py-1 rounded-lg bg-indigo-500 hover:bg-indigo-400 text-xs text-white disabled:opacity-50"
+                              disabled={isSavingNotes}
+                            >
+                              Salvar
+                            </button>
+                          </div>
+                        </div>
+                      ) : (
+                        <div className="flex items-start justify-between gap-2">
+                          <span className="whitespace-pre-line">{incident.notes || "—"}</span>
+                          {canAnnotate && incident.id && (
+                            <button
+                              type="button"
+                              onClick={() => startEditingNotes(incident)}
+                              className="text-xs text-indigo-300 hover:text-white shrink-0"
+                            >
+                              Editar
+                            </button>
+                          )}
+                        </div>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -1,13 +1,84 @@
-import { useMemo, useState } from "react";
-import { MapContainer, TileLayer, Marker } from "react-leaflet";
+import { useEffect, useMemo, useState } from "react";
+import L from "leaflet";
+import { MapContainer, TileLayer, Marker, useMap, useMapEvents } from "react-leaflet";
 import "leaflet/dist/leaflet.css";
-import { INITIAL_DEVICES } from "../../constants/config.js";
-import { calculateDevicesCenter } from "../../utils/mapHelpers.js";
+import { calculateDevicesCenter, getDevicesBoundsKey } from "../../utils/mapHelpers.js";
 import { DeviceInfoModal } from "../DeviceInfoModal.jsx";
 import { createDeviceIcon } from "./createDeviceIcon.js";
 
-export function DeviceMap({ devices = INITIAL_DEVICES }) {
-  const [selectedDevice, setSelectedDevice] = useState(null);
+/** Recentraliza o mapa quando a lista de dispositivos muda (ex.: após carregar da API) */
+function FitToDevices({ devices }) {
+  const map = useMap();
+  const boundsKey = getDevicesBoundsKey(devices);
+
+  useEffect(() => {
+    if (devices.length === 0) return;
+    if (devices.length === 1) {
+      map.setView([devices[0].lat, devices[0].lng], map.getZoom());
+      return;
+    }
+    map.fitBounds(
+      devices.map((device) => [device.lat, device.lng]),
+      { padding: [60, 60], maxZoom: 18 }
+    );
+  }, [map, boundsKey]);
+
+  return null;
+}
+
+/** Centraliza o mapa no dispositivo pedido (ex.: clique em uma notificação de alerta) */
+function FlyToDevice({ device, requestedAt }) {
+  const map = useMap();
+
+  useEffect(() => {
+    if (!device) return;
+    map.flyTo([device.lat, device.lng], Math.max(map.getZoom(), 18));
+  }, [map, device?.id, requestedAt]);
+
+  return null;
+}
+
+function MapClickHandler({ onMapClick }) {
+  useMapEvents({
+    click: (event) => onMapClick({ lat: event.latlng.lat, lng: event.latlng.lng }),
+  });
+  return null;
+}
+
+const pickedLocationIcon = L.divIcon({
+  className: "custom-device-marker",
+  html: '<div class="location-pick-marker"></div>',
+  iconSize: [18, 18],
+  iconAnchor: [9, 9],
+});
+
+/**
+ * `onMapClick` e `pickedLocation` permitem escolher uma posição clicando no mapa;
+ * `onDeviceClick` substitui o modal de detalhes ao clicar em um marcador;
+ * `onEditDevice` (somente administradores) adiciona o atalho de edição no modal;
+ * `onShowHistory` adiciona no modal o atalho para o histórico do dispositivo;
+ * `focusRequest` (`{ deviceId, at }`) centraliza o mapa no dispositivo e abre seus detalhes;
+ * `interactive={false}` fixa o enquadramento, desativa os cliques e omite o cabeçalho (ex.: mapa do relatório).
+ */
+export function DeviceMap({
+  devices = [],
+  onMapClick,
+  pickedLocation,
+  onDeviceClick,
+  onEditDevice,
+  onShowHistory,
+  focusRequest,
+  interactive = true,
+  hint = "Clique nos dispositivos para ver detalhes",
+}) {
+  const [selectedDeviceId, setSelectedDeviceId] = useState(null);
+  // O modal acompanha as leituras que chegam enquanto está aberto
+  const selectedDevice = devices.find((device) => device.id === selectedDeviceId) || null;
+  const focusedDevice = focusRequest ? devices.find((device) => device.id === focusRequest.deviceId) : null;
+
+  useEffect(() => {
+    if (focusedDevice && !onDeviceClick) setSelectedDeviceId(focusedDevice.id);
+  }, [focusedDevice?.id, focusRequest?.at]);
 
   const center = useMemo(() => calculateDevicesCenter(devices), [devices]);
 
@@ -22,34 +93,48 @@ export function DeviceMap({ devices = INITIAL_DEVICES }) {
   return (
     <>
       <div className="bg-white/5 backdrop-blur-xl rounded-2xl border border-white/10 overflow-hidden">
-        <div className="flex items-center justify-between p-4 border-b border-white/10">
-          <h3 className="text-lg font-semibold text-white">Mapa de Dispositivos</h3>
-          <p className="text-sm text-slate-400">Clique nos dispositivos para ver detalhes</p>
-        </div>
+        {interactive && (
+          <div className="flex items-center justify-between p-4 border-b border-white/10">
+            <h3 className="text-lg font-semibold text-white">Mapa de Dispositivos</h3>
+            <p className="text-sm text-slate-400">{hint}</p>
+          </div>
+        )}
 
         <div className="relative h-[450px]">
           <MapContainer
             center={center}
             zoom={18}
             className="leaflet-map-container"
-            zoomControl={true}
-            scrollWheelZoom={true}
+            zoomControl={interactive}
+            scrollWheelZoom={interactive}
+            dragging={interactive}
+            doubleClickZoom={interactive}
+            touchZoom={interactive}
+            keyboard={interactive}
           >
             <TileLayer
               attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a>'
               url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
             />
+            <FitToDevices devices={devices} />
+            <FlyToDevice device={focusedDevice} requestedAt={focusRequest?.at} />
+            {onMapClick && <MapClickHandler onMapClick={onMapClick} />}
 
             {devices.map((device) => (
               <Marker
                 key={device.id}
                 position={[device.lat, device.lng]}
                 icon={deviceIcons[device.id]}
+                interactive={interactive}
                 eventHandlers={{
-                  click: () => setSelectedDevice(device),
+                  click: () => (onDeviceClick ? onDeviceClick(device) : setSelectedDeviceId(device.id)),
                 }}
               />
             ))}
+
+            {pickedLocation && (
+              <Marker position={[pickedLocation.lat, pickedLocation.lng]} icon={pickedLocationIcon} interactive={false} />
+            )}
           </MapContainer>
 
           <div className="absolute bottom-4 left-4 z-[1000] bg-slate-900/90 backdrop-blur-sm rounded-xl px-4 py-3 border border-white/10 flex items-center gap-3 flex-wrap">
@@ -69,11 +154,27 @@ export function DeviceMap({ devices = INITIAL_DEVICES }) {
               <span className="w-3 h-3 rounded-full bg-emerald-500" />
               <span className="text-xs text-slate-300">Baixo</span>
             </div>
+            <div className="flex items-center gap-2">
+              <span className="w-3 h-3 rounded-full bg-slate-500" />
+              <span className="text-xs text-slate-300">Offline</span>
+            </div>
           </div>
         </div>
       </div>
 
-      <DeviceInfoModal device={selectedDevice} onClose={() => setSelectedDevice(null)} />
+      <DeviceInfoModal
+        device={selectedDevice}
+        onClose={() => setSelectedDeviceId(null)}
+        onEdit={onEditDevice}
+        onShowHistory={
+          onShowHistory
+            ? (device) => {
+                setSelectedDeviceId(null);
+                onShowHistory(device);
+              }
+            : undefined
+        }
+      />
     </>
   );
 }
@@ -1,9 +1,35 @@
 import L from "leaflet";
 import { riskLevelToCssSuffix } from "../../utils/risk.js";
+import { getCompassDirection, getSensor, readSensorValue } from "../../utils/sensorRegistry.js";
+
+const HTML_ESCAPES = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" };
+
+/** Texto seguro para o HTML do `L.divIcon` (nomes vêm da API e são editáveis) */
+function escapeHtml(value) {
+  return String(value ?? "").replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+}
+
+/** Seta apontando para onde o vento sopra (a leitura é a direção de onde ele vem) */
+function createWindArrow(device) {
+  const direction = readSensorValue(device, getSensor("windDirection"));
+  if (direction === null) return "";
+
+  const speed = readSensorValue(device, getSensor("windSpeed"));
+  const title = `Vento de ${getCompassDirection(direction)}${speed === null ? "" : ` a ${speed.toFixed(1)} km/h`}`;
+  return `
+    <div class="marker-wind" style="--wind-rotation: ${(direction + 180) % 360}deg" title="${escapeHtml(title)}">
+      <svg xmlns="http://www.w3.org/2000/svg" width="18" height="18" fill="none" viewBox="0 0 24 24" stroke="currentColor" stroke-width="2.5">
+        <path stroke-linecap="round" stroke-linejoin="round" d="M12 20V4m0 0l-6 6m6-6l6 6" />
+      </svg>
+    </div>
+  `;
+}
 
 export function createDeviceIcon(device) {
   const level = riskLevelToCssSuffix(device.riskLevel);
   const isAlert = Boolean(device.isAlerting);
+  const connectivity = device.connectivity || "unknown";
+  const connectivityClass = ["stale", "offline"].includes(connectivity) ? `device-marker-wrapper--${connectivity}` : "";
 
   const pulseClass = isAlert ? "pulse-ring-bg--alert" : `pulse-ring-bg--${level}`;
   const iconBoxClass = `marker-icon marker-icon--${level}`;
@@ -23,14 +49,15 @@ export function createDeviceIcon(device) {
   return L.divIcon({
     className: "custom-device-marker",
     html: `
-      <div class="device-marker-wrapper ${isAlert ? "device-marker-wrapper-alert" : ""}">
+      <div class="device-marker-wrapper ${isAlert ? "device-marker-wrapper-alert" : ""} ${connectivityClass}">
         <div class="pulse-ring ${isAlert ? "pulse-ring-alert" : ""} ${pulseClass}"></div>
         <div class="pulse-ring pulse-ring-delayed ${isAlert ? "pulse-ring-alert" : ""} ${pulseClass}"></div>
         <div class="${iconBoxClass}">
           ${centerIcon}
         </div>
-        <div class="marker-badge marker-badge--${level}">${device.riskPercent}%</div>
-        <div class="marker-label">${device.name}</div>
+        ${createWindArrow(device)}
+        <div class="marker-badge marker-badge--${level}">${connectivity === "offline" ? "OFFLINE" : `${device.riskPercent}%`}</div>
+        <div class="marker-label">${escapeHtml(device.name)}</div>
       </div>
     `,
     iconSize: [120, 90],
@@ -1,6 +1,7 @@
 import { useState } from "react";
 import { apiRequest } from "../../api/client.js";
 import { formatDocument, getRoleName, maskCNPJ, maskCPF, maskPhone } from "../../utils/masks.js";
+import { getRolePermissionLabels } from "../../utils/permissions.js";
 import { buildProfileEditForm } from "../../utils/profileForm.js";
 import { DarkInput } from "../DarkInput.jsx";
 import { Spinner } from "../Spinner.jsx";
@@ -16,6 +17,7 @@ export function ProfilePage({ user, onBack, onLogout, onUpdateUser, twoFAStatus,
   const [disablePassword, setDisablePassword] = useState("");
 
   const [editForm, setEditForm] = useState(() => buildProfileEditForm(user));
+  const permissionLabels = getRolePermissionLabels(user?.role);
 
   function handleEditChange(e) {
     const { name, value } = e.target;
@@ -188,6 +190,20 @@ export function ProfilePage({ user, onBack, onLogout, onUpdateUser, twoFAStatus,
                   </div>
                 ))}
               </div>
+              <div className="mb-8">
+                <p className="text-slate-400 mb-3">Permissões</p>
+                {permissionLabels.length > 0 ? (
+                  <ul className="flex flex-wrap gap-2">
+                    {permissionLabels.map((label) => (
+                      <li key={label} className="px-3 py-1 bg-indigo-500/15 border border-indigo-500/30 rounded-full text-xs text-indigo-300">
+                        {label}
+                      </li>
+                    ))}
+                  </ul>
+                ) : (
+                  <p className="text-sm text-slate-500">Acesso somente leitura</p>
+                )}
+              </div>
               <div className="space-y-4">
                 <button type="button" onClick={() => setView("edit")} className="w-full py-3.5 bg-gradient-to-r from-indigo-500 to-purple-600 text-white rounded-xl font-semibold hover:from-indigo-600 hover:to-purple-700 transition-all flex items-center justify-center gap-2">
                   <svg xmlns="http://www.w3.org/2000/svg" className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth="2">
@@ -0,0 +1,89 @@
+import { useState } from "react";
+import { getPresetRange } from "../../utils/dateRange.js";
+import { DateRangePicker } from "../charts/DateRangePicker.jsx";
+
+const DEFAULT_PERIOD_KEY = "7d";
+
+/** Escolha do período e dos dispositivos do relatório de situação */
+export function ReportDialog({ devices, onGenerate, onClose }) {
+  const [periodKey, setPeriodKey] = useState(DEFAULT_PERIOD_KEY);
+  const [range, setRange] = useState(() => getPresetRange(DEFAULT_PERIOD_KEY));
+  const [deviceIds, setDeviceIds] = useState(() => devices.map((device) => device.id));
+
+  function toggleDevice(deviceId) {
+    setDeviceIds((prev) => (prev.includes(deviceId) ? prev.filter((id) => id !== deviceId) : [...prev, deviceId]));
+  }
+
+  function handleSubmit(e) {
+    e.preventDefault();
+    if (deviceIds.length === 0) return;
+    onGenerate({ periodKey, range, deviceIds });
+  }
+
+  return (
+    <div className="fixed inset-0 z-[2000] flex items-center justify-center bg-black/70 p-4 backdrop-blur-sm">
+      <form
+        onSubmit={handleSubmit}
+        className="w-full max-w-lg max-h-[90vh] overflow-y-auto rounded-2xl border border-indigo-400/40 bg-slate-950/95 p-6 space-y-5 shadow-2xl"
+      >
+        <div>
+          <h2 className="text-xl font-bold text-white">Relatório de situação</h2>
+          <p className="mt-1 text-sm text-slate-400">
+            Mapa, médias, gráficos por sensor, histórico de risco e ocorrências do período, prontos para imprimir ou salvar
+            em PDF.
+          </p>
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-slate-300 mb-2">Período</label>
+          <DateRangePicker
+            periodKey={periodKey}
+            range={range}
+            onChange={(key, nextRange) => {
+              setPeriodKey(key);
+              setRange(nextRange);
+            }}
+          />
+        </div>
+
+        <div>
+          <div className="flex items-center justify-between mb-2">
+            <label className="text-sm font-medium text-slate-300">Dispositivos</label>
+            <button
+              type="button"
+              onClick={() => setDeviceIds(deviceIds.length === devices.length ? [] : devices.map((device) => device.id))}
+              className="text-xs text-indigo-300 hover:text-white"
+            >
+              {deviceIds.length === devices.length ? "Limpar seleção" : "Selecionar todos"}
+            </button>
+          </div>
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+            {devices.map((device) => (
+              <label key={device.id} className="flex items-center gap-2 text-sm text-slate-300">
+                <input type="checkbox" checked={deviceIds.includes(device.id)} onChange={() => toggleDevice(device.id)} />
+                <span className="truncate">{device.name}</span>
+              </label>
+            ))}
+          </div>
+        </div>
+
+        <div className="flex gap-3 pt-2">
+          <button
+            type="button"
+            onClick={onClose}
+            className="flex-1 py-3 bg-white/10 hover:bg-white/20 text-white rounded-xl font-medium border border-white/10"
+          >
+            Cancelar
+          </button>
+          <button
+            type="submit"
+            disabled={deviceIds.length === 0}
+            className="flex-1 py-3 bg-indigo-500 hover:bg-indigo-400 text-white rounded-xl font-semibold disabled:opacity-50"
+          >
+            Gerar relatório
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,314 @@
+import { useEffect, useMemo, useState } from "react";
+import { createPortal } from "react-dom";
+import { Chart as ChartJS } from "chart.js";
+import { fetchIncidents } from "../../api/incidentsApi.js";
+import { fetchReadingsHistory } from "../../api/readingsApi.js";
+import { CHART_SECTION_SENSORS, COMPARISON_COLORS } from "../../chart/sensorChartConstants.js";
+import { getAlertSeverityLabel } from "../../utils/alertRules.js";
+import { getDeviceCalibration } from "../../utils/calibration.js";
+import { isWithinDateRange } from "../../utils/dateRange.js";
+import {
+  formatDuration,
+  formatIncidentDate,
+  getIncidentResponseTime,
+  getIncidentStatusLabel,
+} from "../../utils/incidents.js";
+import { getRoleName } from "../../utils/masks.js";
+import { averageSeriesReadings, buildRiskHistory, filterReadingsByRange } from "../../utils/readings.js";
+import { getRiskLabel, riskLevelToCssSuffix } from "../../utils/risk.js";
+import { riskLevelFromPercent } from "../../utils/riskModels.js";
+import { formatSensorValue, getSensors } from "../../utils/sensorRegistry.js";
+import { SensorIcon } from "../SensorIcon.jsx";
+import { Spinner } from "../Spinner.jsx";
+import { RiskHistoryChart } from "../charts/RiskHistoryChart.jsx";
+import { SensorChart } from "../charts/SensorChart.jsx";
+import { DeviceMap } from "../map/DeviceMap.jsx";
+
+const AVERAGE_SENSORS = getSensors().filter((sensor) => !sensor.hideAverage);
+
+function formatRangeDate(date, fallback) {
+  return date ? date.toLocaleString("pt-BR") : fallback;
+}
+
+function RiskPill({ percent }) {
+  const level = riskLevelFromPercent(percent);
+  return (
+    <span className={`px-2 py-0.5 rounded-full text-xs font-bold text-white risk-label-pill--${riskLevelToCssSuffix(level)}`}>
+      {getRiskLabel(level)} · {percent}%
+    </span>
+  );
+}
+
+function ReportSection({ title, children }) {
+  return (
+    <section className="print-report__section mt-8">
+      <h2 className="text-base font-semibold text-slate-900 border-b border-slate-200 pb-2 mb-4">{title}</h2>
+      {children}
+    </section>
+  );
+}
+
+/**
+ * Relatório de situação para imprimir ou salvar em PDF (`window.print`).
+ * `devices` é o retrato dos dispositivos no momento em que o relatório foi gerado (`generatedAt`);
+ * o histórico, o risco e as ocorrências são os do intervalo `range`.
+ */
+export function SituationReport({ user, devices, range, generatedAt, onClose }) {
+  const [historyByDevice, setHistoryByDevice] = useState({});
+  const [incidents, setIncidents] = useState([]);
+  const [incidentsError, setIncidentsError] = useState("");
+  const [isLoading, setIsLoading] = useState(true);
+
+  useEffect(() => {
+    let isCancelled = false;
+
+    const loadHistory = Promise.all(
+      devices
+        .filter((device) => device.backendId)
+        .map(async (device) => [device.backendId, await fetchReadingsHistory(device.backendId, range)])
+    );
+    const loadIncidents = fetchIncidents({ from: range.from ? range.from.toISOString() : undefined }).catch((error) => {
+      console.error("Erro ao carregar ocorrências do relatório:", error);
+      if (!isCancelled) setIncidentsError("Não foi possível carregar as ocorrências");
+      return [];
+    });
+
+    Promise.all([loadHistory, loadIncidents]).then(([entries, incidentList]) => {
+      if (isCancelled) return;
+      setHistoryByDevice(Object.fromEntries(entries));
+      setIncidents(incidentList);
+      setIsLoading(false);
+    });
+
+    return () => {
+      isCancelled = true;
+    };
+  }, [devices, range]);
+
+  // O layout de impressão tem outra largura: os gráficos precisam ser redimensionados antes de imprimir
+  useEffect(() => {
+    function resizeCharts() {
+      Object.values(ChartJS.instances).forEach((chart) => chart.resize());
+    }
+    window.addEventListener("beforeprint", resizeCharts);
+    window.addEventListener("afterprint", resizeCharts);
+    return () => {
+      window.removeEventListener("beforeprint", resizeCharts);
+      window.removeEventListener("afterprint", resizeCharts);
+    };
+  }, []);
+
+  const series = useMemo(
+    () =>
+      devices
+        .filter((device) => device.backendId)
+        .map((device, index) => ({
+          id: device.id,
+          backendId: device.backendId,
+          name: device.name,
+          color: COMPARISON_COLORS[index % COMPARISON_COLORS.length],
+          calibration: getDeviceCalibration(device),
+          readings: filterReadingsByRange(historyByDevice[device.backendId] || [], range),
+        })),
+    [devices, historyByDevice, range]
+  );
+
+  const riskSeries = useMemo(
+    () =>
+      series.map((item) => ({
+        ...item,
+        points: buildRiskHistory(item.readings, devices.find((device) => device.id === item.id)),
+      })),
+    [series, devices]
+  );
+
+  const reportIncidents = useMemo(() => {
+    const backendIds = devices.map((device) => device.backendId).filter(Boolean);
+    return incidents
+      .filter((incident) => !incident.isDrill && backendIds.includes(incident.deviceId))
+      .filter((incident) => isWithinDateRange(incident.startedAt, range))
+      .sort((a, b) => (a.startedAt || 0) - (b.startedAt || 0));
+  }, [incidents, devices, range]);
+
+  const readingCount = series.reduce((sum, item) => sum + item.readings.length, 0);
+  const deviceNames = devices.map((device) => device.name).join(", ");
+
+  return createPortal(
+    <div className="print-report fixed inset-0 z-[3000] overflow-y-auto bg-slate-200">
+      <div className="print-report__toolbar sticky top-0 z-[1100] flex items-center justify-between gap-3 px-4 py-3 bg-slate-900 border-b border-white/10">
+        <p className="text-sm text-slate-300">
+          {isLoading ? "Preparando relatório..." : "Use “Salvar como PDF” na janela de impressão para gerar o arquivo"}
+        </p>
+        <div className="flex gap-2">
+          <button
+            type="button"
+            onClick={() => window.print()}
+            disabled={isLoading}
+            className="px-4 py-2 rounded-lg bg-indigo-500 hover:bg-indigo-400 text-white text-sm font-medium transition-all disabled:opacity-50"
+          >
+            Imprimir / PDF
+          </button>
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-4 py-2 rounded-lg bg-white/10 hover:bg-white/20 text-white text-sm font-medium transition-all border border-white/10"
+          >
+            Fechar
+          </button>
+        </div>
+      </div>
+
+      <div className="print-report__page mx-auto my-6 max-w-4xl bg-white text-slate-800 p-8 shadow-xl">
+        <header className="flex items-start justify-between gap-6 border-b-2 border-slate-900 pb-4">
+          <div className="flex items-center gap-3">
+            <img src="/LogoPyro.svg" alt="Pyro Alert" className="w-12 h-12" />
+            <div>
+              <h1 className="text-2xl font-bold text-slate-900">Relatório de situação</h1>
+              <p className="text-sm text-slate-600">
+                Período: {formatRangeDate(range.from, "desde o início")} até{" "}
+                {formatRangeDate(range.to, generatedAt.toLocaleString("pt-BR"))}
+              </p>
+              <p className="text-sm text-slate-600">
+                {devices.length} dispositivo(s): {deviceNames}
+              </p>
+            </div>
+          </div>
+          <div className="text-right text-sm text-slate-600 shrink-0">
+            <p>
+              Gerado por <span className="font-semibold text-slate-900">{user?.name || user?.email || "Usuário"}</span>
+            </p>
+            {user?.role && <p>{getRoleName(user.role)}</p>}
+            <p>em {generatedAt.toLocaleString("pt-BR")}</p>
+          </div>
+        </header>
+
+        {isLoading ? (
+          <div className="flex items-center justify-center gap-3 h-[300px]">
+            <Spinner className="w-6 h-6 text-indigo-500" />
+            <p className="text-slate-500 text-sm">Carregando histórico e ocorrências...</p>
+          </div>
+        ) : (
+          <>
+            <ReportSection title="Mapa dos dispositivos">
+              <DeviceMap devices={devices} interactive={false} />
+              <p className="mt-2 text-xs text-slate-500">Situação no momento da geração do relatório</p>
+            </ReportSection>
+
+            <ReportSection title={`Médias no período (${readingCount} leituras)`}>
+              <div className="grid grid-cols-4 gap-2">
+                {AVERAGE_SENSORS.map((sensor) => (
+                  <div key={sensor.id} className="rounded-lg border border-slate-200 p-3">
+                    <div className="flex items-center gap-1.5 text-[11px] font-medium uppercase tracking-wide text-slate-500">
+                      <SensorIcon sensor={sensor} className="w-3.5 h-3.5" />
+                      <span className="truncate">{sensor.shortLabel}</span>
+                    </div>
+                    <p className="mt-1 text-lg font-bold text-slate-900 tabular-nums">
+                      {formatSensorValue(sensor, averageSeriesReadings(series, sensor))}
+                      {sensor.unit}
+                    </p>
+                  </div>
+                ))}
+              </div>
+            </ReportSection>
+
+            <ReportSection title="Risco de incêndio">
+              <RiskHistoryChart series={riskSeries} forPrint />
+              <table className="mt-4 w-full text-sm">
+                <thead>
+                  <tr className="text-left text-xs text-slate-500 border-b border-slate-200">
+                    <th className="py-2 pr-4 font-medium">Dispositivo</th>
+                    <th className="py-2 pr-4 font-medium">Risco atual</th>
+                    <th className="py-2 pr-4 font-medium">Maior risco no período</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {devices.map((device) => {
+                    const points = riskSeries.find((item) => item.id === device.id)?.points || [];
+                    const peak = points.reduce((max, point) => (!max || point.y > max.y ? point : max), null);
+                    return (
+                      <tr key={device.id} className="border-b border-slate-100">
+                        <td className="py-2 pr-4 text-slate-900">{device.name}</td>
+                        <td className="py-2 pr-4">
+                          <RiskPill percent={device.riskPercent} />
+                        </td>
+                        <td className="py-2 pr-4">
+                          {peak ? (
+                            <>
+                              <RiskPill percent={peak.y} />{" "}
+                              <span className="text-xs text-slate-500">em {new Date(peak.x).toLocaleString("pt-BR")}</span>
+                            </>
+                          ) : (
+                            <span className="text-slate-400">sem leituras</span>
+                          )}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </ReportSection>
+
+            <ReportSection title="Leituras por sensor">
+              <div className="grid grid-cols-2 gap-4">
+                {CHART_SECTION_SENSORS.map(({ key, title, icon }) => (
+                  <div key={key} className="print-report__section rounded-lg border border-slate-200 p-3">
+                    <h3 className="flex items-center gap-2 mb-2 text-sm font-medium text-slate-900">
+                      <span>{icon}</span>
+                      {title}
+                    </h3>
+                    <SensorChart series={series} sensorType={key} forPrint />
+                  </div>
+                ))}
+              </div>
+            </ReportSection>
+
+            <ReportSection title={`Ocorrências (${reportIncidents.length})`}>
+              {incidentsError ? (
+                <p className="text-sm text-red-600">{incidentsError}</p>
+              ) : reportIncidents.length === 0 ? (
+                <p className="text-sm text-slate-500">Nenhuma ocorrência no período</p>
+              ) : (
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-xs text-slate-500 border-b border-slate-200">
+                      <th className="py-2 pr-3 font-medium">Início</th>
+                      <th className="py-2 pr-3 font-medium">Dispositivo</th>
+                      <th className="py-2 pr-3 font-medium">Regra</th>
+                      <th className="py-2 pr-3 font-medium">Severidade</th>
+                      <th className="py-2 pr-3 font-medium">Pico de fumaça</th>
+                      <th className="py-2 pr-3 font-medium">Resposta</th>
+                      <th className="py-2 pr-3 font-medium">Status</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {reportIncidents.map((incident) => (
+                      <tr key={incident.id} className="border-b border-slate-100 align-top">
+                        <td className="py-2 pr-3 whitespace-nowrap">{formatIncidentDate(incident.startedAt)}</td>
+                        <td className="py-2 pr-3 text-slate-900">
+                          {incident.deviceName ||
+                            devices.find((device) => device.backendId === incident.deviceId)?.name ||
+                            incident.deviceId}
+                        </td>
+                        <td className="py-2 pr-3">{incident.ruleName || "—"}</td>
+                        <td className="py-2 pr-3">{getAlertSeverityLabel(incident.severity)}</td>
+                        <td className="py-2 pr-3 tabular-nums">{incident.peakSmokePercent.toFixed(1)}%</td>
+                        <td className="py-2 pr-3 whitespace-nowrap">{formatDuration(getIncidentResponseTime(incident))}</td>
+                        <td className="py-2 pr-3">
+                          {getIncidentStatusLabel(incident.status)}
+                          {incident.notes && <span className="block text-xs text-slate-500">{incident.notes}</span>}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </ReportSection>
+          </>
+        )}
+
+        <p className="mt-10 text-center text-xs text-slate-400">Pyro Alert · Monitoramento de riscos de incêndio</p>
+      </div>
+    </div>,
+    document.body
+  );
+}
@@ -1,10 +1,77 @@
 export const API_BASE = "https://pyroalert-mongodb.onrender.com";
 export const ADAFRUIT_API = "https://io.adafruit.com/api/v2/pyroalert/feeds";
-export const TEST_DEVICE_ID = "693306c876c035b62570fee6";
 export const FIRE_SMOKE_THRESHOLD = 0.7;
 /** Escala bruta do sensor de fumaça (0–4.8 corresponde a 0–100% na UI) */
 export const SMOKE_SENSOR_MAX = 4.8;
 
+/** Stream SSE de leituras do backend (pode apontar para um servidor local de testes) */
+export const READINGS_STREAM_URL =
+  import.meta.env.VITE_READINGS_STREAM_URL || `${API_BASE}/api/v1/readings/stream`;
+/** Intervalo do polling usado enquanto o stream estiver indisponível */
+export const POLLING_INTERVAL_MS = 5000;
+export const STREAM_RECONNECT_BASE_DELAY_MS = 1000;
+export const STREAM_RECONNECT_MAX_DELAY_MS = 30000;
+
+/** Chave pública VAPID para Web Push (vazia = apenas notificações geradas pelo próprio dashboard) */
+export const PUSH_PUBLIC_KEY = import.meta.env.VITE_PUSH_PUBLIC_KEY || "";
+
+/** Minutos sem novas leituras até o dispositivo ser marcado como "sem dados recentes" / "offline" */
+export const DEVICE_STALE_AFTER_MINUTES = 5;
+export const DEVICE_OFFLINE_AFTER_MINUTES = 30;
+/** Intervalo em que o dashboard reavalia o estado de comunicação dos dispositivos */
+export const CONNECTIVITY_CHECK_INTERVAL_MS = 30000;
+
+/** Regras usadas enquanto nenhuma regra foi configurada na API */
+export const DEFAULT_ALERT_RULES = [
+  {
+    id: "default-smoke",
+    name: "Fumaça acima do limite",
+    enabled: true,
+    severity: "critical",
+    scope: { deviceIds: [], groups: [] },
+    condition: { type: "threshold", field: "smoke", operator: ">", value: FIRE_SMOKE_THRESHOLD, consecutive: 1 },
+    clearCondition: null,
+    cooldownMinutes: 0,
+  },
+  {
+    id: "default-offline",
+    name: "Dispositivo offline",
+    enabled: true,
+    severity: "moderate",
+    scope: { deviceIds: [], groups: [] },
+    condition: { type: "offline" },
+    clearCondition: null,
+    cooldownMinutes: 0,
+  },
+];
+
+/** Opções de adiamento de um alerta na central de alertas (minutos) */
+export const ALERT_SNOOZE_MINUTES = [5, 15, 60];
+
+/**
+ * Cenários do modo simulação. `values` sobrescreve as leituras do dispositivo só no alerta
+ * simulado; `field` é o valor exibido na central de alertas.
+ */
+export const DRILL_SCENARIOS = [
+  { id: "smoke", name: "Fumaça crítica", severity: "critical", field: "smokePercent", values: { smokePercent: "85.0" } },
+  { id: "risk", name: "Risco alto de incêndio", severity: "high", field: "riskPercent", values: { riskPercent: 75, riskLevel: "high" } },
+  { id: "offline", name: "Dispositivo sem comunicação", severity: "moderate", type: "offline", field: null, values: {} },
+];
+
+/** Modelo de risco usado quando o dispositivo não define `riskModel` */
+export const DEFAULT_RISK_MODEL = "default";
+
+/** Pesos por bioma do modelo "biome" (1 = mesmo peso do modelo padrão) */
+export const BIOME_RISK_WEIGHTS = {
+  mataAtlantica: { temperature: 1, airHumidity: 1, soilHumidity: 1, smoke: 1, heatIndex: 1, rain: 1 },
+  caatinga: { temperature: 1, airHumidity: 1.5, soilHumidity: 1.5, smoke: 1, heatIndex: 1.2, rain: 0.5 },
+  cerrado: { temperature: 1.2, airHumidity: 1.5, soilHumidity: 1, smoke: 1, heatIndex: 1, rain: 1 },
+  amazonia: { temperature: 1, airHumidity: 1.2, soilHumidity: 1.2, smoke: 1.5, heatIndex: 1, rain: 1.5 },
+  pantanal: { temperature: 1.2, airHumidity: 1.2, soilHumidity: 1.5, smoke: 1.2, heatIndex: 1, rain: 1.2 },
+};
+
+export const DEFAULT_BIOME = "mataAtlantica";
+
 export const PERIOD_FILTERS = [
   { key: "all", label: "Desde o início", days: null },
   { key: "1y", label: "Último ano", days: 365 },
@@ -14,73 +81,18 @@ export const PERIOD_FILTERS = [
   { key: "7d", label: "Última semana", days: 7 },
 ];
 
-export const INITIAL_DEVICES = [
-  {
-    id: "001",
-    name: "Dispositivo 001",
-    lat: -8.05250294245876,
-    lng: -34.885167228331994,
-    status: "active",
-    riskLevel: "moderate",
-    riskPercent: 75,
-    airHumidity: 15,
-    soilHumidity: 8,
-    temperature: 32,
-    heatIndex: 35,
-    smokePercent: 9.5,
-    pluvi: 0,
-    isRealData: true,
-    rawValues: {},
-  },
-  {
-    id: "002",
-    name: "Dispositivo 002",
-    lat: -8.052295054820497,
-    lng: -34.885848827371845,
-    status: "active",
-    riskLevel: "moderate",
-    riskPercent: 40,
-    airHumidity: 45,
-    soilHumidity: 22,
-    temperature: 28,
-    heatIndex: 30,
-    smokePercent: 3.8,
-    pluvi: 2.8,
-    isRealData: false,
-  },
-  {
-    id: "003",
-    name: "Dispositivo 003",
-    lat: -8.053875417301851,
-    lng: -34.884462003473075,
-    status: "active",
-    riskLevel: "high",
-    riskPercent: 85,
-    airHumidity: 10,
-    soilHumidity: 5,
-    temperature: 38,
-    heatIndex: 42,
-    smokePercent: 12.9,
-    pluvi: 1.4,
-    isRealData: false,
-  },
-  {
-    id: "004",
-    name: "Dispositivo 004",
-    lat: -8.054121070740555,
-    lng: -34.88502135754518,
-    status: "active",
-    riskLevel: "low",
-    riskPercent: 25,
-    airHumidity: 65,
-    soilHumidity: 40,
-    temperature: 24,
-    heatIndex: 25,
-    smokePercent: 2.5,
-    pluvi: 4.5,
-    isRealData: false,
-  },
-];
+/** Paginação do histórico de leituras (`limit` por página e limite de páginas por consulta) */
+export const READINGS_PAGE_SIZE = 1000;
+export const READINGS_MAX_PAGES = 50;
+/** Validade do cache de históricos que terminam "agora"; intervalos fechados ficam em cache até recarregar a página */
+export const READINGS_CACHE_TTL_MS = 60000;
+export const READINGS_CACHE_MAX_ENTRIES = 30;
+
+/** Dias de histórico do pluviômetro usados nos acumulados de chuva e na contagem de dias sem chuva */
+export const RAINFALL_HISTORY_DAYS = 30;
+/** Chuva diária a partir da qual o dia conta como chuvoso (abaixo disso a Fórmula de Monte Alegre não reduz o índice) */
+export const RAIN_DAY_MIN_MM = 2.5;
+export const RAINFALL_REFRESH_INTERVAL_MS = 10 * 60 * 1000;
 
 export const DEFAULT_SIGNUP = {
   name: "",
@@ -0,0 +1,28 @@
+import { useEffect, useRef } from "react";
+import { showAlertNotification } from "../utils/browserNotifications.js";
+
+/**
+ * Envia uma notificação do sistema para cada alerta pendente (`alerts: [{ key, device, rule }]`)
+ * quando a aba não está em foco ou o som do alerta foi bloqueado pelo navegador.
+ * Cada alerta notifica uma única vez enquanto estiver ativo.
+ */
+export function useAlertNotifications({ alerts, isAudioBlocked }) {
+  const notifiedKeysRef = useRef(new Set());
+
+  useEffect(() => {
+    const activeKeys = new Set(alerts.map((alert) => alert.key));
+    notifiedKeysRef.current.forEach((key) => {
+      if (!activeKeys.has(key)) notifiedKeysRef.current.delete(key);
+    });
+
+    const isUnattended = document.visibilityState !== "visible" || !document.hasFocus();
+    if (!isUnattended && !isAudioBlocked) return;
+
+    alerts
+      .filter((alert) => !notifiedKeysRef.current.has(alert.key))
+      .forEach((alert) => {
+        notifiedKeysRef.current.add(alert.key);
+        showAlertNotification(alert).catch((error) => console.error("Erro ao exibir notificação:", error));
+      });
+  }, [alerts, isAudioBlocked]);
+}
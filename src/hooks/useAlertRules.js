@@ -0,0 +1,60 @@
+import { useCallback, useEffect, useReducer } from "react";
+import { CONNECTIVITY_CHECK_INTERVAL_MS } from "../constants/config.js";
+import { evaluateAlertRules, getAlertKey, restoreActiveRuleState } from "../utils/alertRules.js";
+
+const INITIAL_EVALUATION = { rules: null, devices: null, ruleState: {}, restoredState: {}, alerts: [] };
+
+function evaluate(evaluation, rules, devices, now) {
+  if (!rules || !devices) return { ...evaluation, rules, devices };
+  // Estados restaurados valem até a regra correspondente ser avaliada pela primeira vez
+  const previousState = { ...evaluation.restoredState, ...evaluation.ruleState };
+  const { state, activeAlerts } = evaluateAlertRules(rules, devices, previousState, now);
+  const restoredState = Object.fromEntries(
+    Object.entries(evaluation.restoredState).filter(([key]) => !(key in state))
+  );
+  return { rules, devices, ruleState: state, restoredState, alerts: activeAlerts };
+}
+
+function evaluationReducer(evaluation, action) {
+  if (action.type === "evaluate") return evaluate(evaluation, action.rules, action.devices, action.now);
+  if (action.type === "tick") return evaluate(evaluation, evaluation.rules, evaluation.devices, action.now);
+
+  if (action.type === "restore") {
+    const restoredState = { ...evaluation.restoredState };
+    action.incidents.forEach((incident) => {
+      if (!incident.deviceId || !incident.ruleId || incident.isDrill) return;
+      const key = getAlertKey(incident.deviceId, incident.ruleId);
+      if (!evaluation.ruleState[key]?.isActive) restoredState[key] = restoreActiveRuleState(incident.startedAt || action.now);
+    });
+    return evaluate({ ...evaluation, restoredState }, evaluation.rules, evaluation.devices, action.now);
+  }
+
+  return evaluation;
+}
+
+/**
+ * Alertas ativos das regras (`alerts: [{ key, device, rule, startedAt }]`). A avaliação roda a cada
+ * mudança de regras ou dispositivos e a cada `CONNECTIVITY_CHECK_INTERVAL_MS` (regra offline, sem leituras novas).
+ * `restoreIncidents` retoma as ocorrências abertas vindas da API como alertas ativos;
+ * `isUpToDate` indica que `alerts` já reflete `rules` e `devices`.
+ */
+export function useAlertRules({ rules, devices }) {
+  const [evaluation, dispatch] = useReducer(evaluationReducer, INITIAL_EVALUATION);
+
+  useEffect(() => {
+    dispatch({ type: "evaluate", rules, devices, now: Date.now() });
+  }, [rules, devices]);
+
+  useEffect(() => {
+    const interval = setInterval(() => dispatch({ type: "tick", now: Date.now() }), CONNECTIVITY_CHECK_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, []);
+
+  const restoreIncidents = useCallback((incidents) => dispatch({ type: "restore", incidents, now: Date.now() }), []);
+
+  return {
+    alerts: evaluation.alerts,
+    isUpToDate: evaluation.rules === rules && evaluation.devices === devices,
+    restoreIncidents,
+  };
+}
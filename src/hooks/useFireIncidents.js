@@ -0,0 +1,177 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { createIncident, fetchIncidents, updateIncident } from "../api/incidentsApi.js";
+import { getAlertKey } from "../utils/alertRules.js";
+import { getIncidentStatus } from "../utils/incidents.js";
+
+/**
+ * Mantém uma ocorrência persistida para cada alerta ativo (`alerts: [{ key, device, rule }]`).
+ * Nada é aberto antes de as ocorrências abertas serem restauradas da API (`onRestore` recebe a lista,
+ * para quem avalia as regras retomar esses alertas), e nada é encerrado antes de `isReady` indicar
+ * que as leituras já foram avaliadas. Só são encerradas automaticamente as ocorrências que já foram
+ * alertas nesta aba; as restauradas de simulações ou regras que ela não avalia ficam com quem as abriu.
+ * Uma ocorrência encerrada manualmente continua no mapa até a condição do alerta sumir,
+ * para não ser reaberta na leitura seguinte. O envio aos canais externos e o escalonamento ficam
+ * com o backend, a partir da ocorrência criada aqui; as tentativas voltam em `incident.deliveries`.
+ */
+export function useFireIncidents({ alerts, user, isReady, onRestore }) {
+  const [incidents, setIncidents] = useState({});
+  const [isRestored, setIsRestored] = useState(false);
+  const onRestoreRef = useRef(onRestore);
+  onRestoreRef.current = onRestore;
+  const incidentsRef = useRef(incidents);
+  const creationRef = useRef({});
+  // Chaves que já foram alertas nesta aba: só essas podem ser encerradas automaticamente
+  const ownedKeysRef = useRef(new Set());
+
+  const commit = useCallback((updater) => {
+    incidentsRef.current = updater(incidentsRef.current);
+    setIncidents(incidentsRef.current);
+  }, []);
+
+  const patchIncident = useCallback(
+    (key, changes) => {
+      commit((prev) => {
+        if (!prev[key]) return prev;
+        const incident = { ...prev[key], ...changes };
+        return { ...prev, [key]: { ...incident, status: getIncidentStatus(incident) } };
+      });
+
+      const creation = creationRef.current[key] || Promise.resolve(null);
+      creation.then((incidentId) => {
+        if (!incidentId) return;
+        updateIncident(incidentId, changes).catch((error) => console.error("Erro ao atualizar ocorrência:", error));
+      });
+    },
+    [commit]
+  );
+
+  useEffect(() => {
+    let isCancelled = false;
+    fetchIncidents({ resolved: false })
+      .then((list) => {
+        if (isCancelled) return;
+        onRestoreRef.current?.(list);
+        commit((prev) => {
+          const next = { ...prev };
+          list.forEach((incident) => {
+            if (!incident.deviceId || !incident.ruleId) return;
+            const key = getAlertKey(incident.deviceId, incident.ruleId);
+            if (next[key]) return;
+            next[key] = incident;
+            creationRef.current[key] = Promise.resolve(incident.id);
+          });
+          return next;
+        });
+      })
+      .catch((error) => console.error("Erro ao carregar ocorrências abertas:", error))
+      .finally(() => {
+        if (!isCancelled) setIsRestored(true);
+      });
+    return () => {
+      isCancelled = true;
+    };
+  }, [commit]);
+
+  useEffect(() => {
+    if (!isRestored) return;
+
+    alerts.forEach(({ key, device, rule, isDrill = false, notifyChannels = false }) => {
+      ownedKeysRef.current.add(key);
+      const smokePercent = parseFloat(device.smokePercent) || 0;
+      const current = incidentsRef.current[key];
+
+      if (!current) {
+        const startedAt = new Date();
+        commit((prev) => ({
+          ...prev,
+          [key]: {
+            id: null,
+            deviceId: device.backendId,
+            deviceName: device.name,
+            ruleId: rule.id,
+            ruleName: rule.name,
+            severity: rule.severity,
+            startedAt,
+            peakSmokePercent: smokePercent,
+            acknowledgedAt: null,
+            acknowledgedBy: null,
+            notes: "",
+            resolvedAt: null,
+            isDrill,
+            deliveries: [],
+            status: "open",
+          },
+        }));
+        creationRef.current[key] = createIncident({
+          deviceId: device.backendId,
+          deviceName: device.name,
+          ruleId: rule.id,
+          ruleName: rule.name,
+          severity: rule.severity,
+          startedAt,
+          peakSmokePercent: smokePercent,
+          isDrill,
+          // Simulações só saem para os canais externos quando quem iniciou pediu
+          ...(isDrill && { notifyChannels }),
+        })
+          .then((created) => {
+            if (created?.id) commit((prev) => (prev[key] ? { ...prev, [key]: { ...prev[key], id: created.id } } : prev));
+            return created?.id || null;
+          })
+          .catch((error) => {
+            console.error("Erro ao registrar ocorrência:", error);
+            return null;
+          });
+      } else if (!current.resolvedAt && smokePercent > current.peakSmokePercent) {
+        patchIncident(key, { peakSmokePercent: smokePercent });
+      }
+    });
+
+    if (!isReady) return;
+
+    const activeKeys = new Set(alerts.map((alert) => alert.key));
+    // Ocorrências restauradas que esta aba não avalia (simulação de outro usuário, regra que ela não
+    // conhece) ficam como estão: quem as abriu é quem encerra
+    Object.keys(incidentsRef.current)
+      .filter((key) => !activeKeys.has(key) && ownedKeysRef.current.has(key))
+      .forEach((key) => {
+        ownedKeysRef.current.delete(key);
+        if (!incidentsRef.current[key].resolvedAt) patchIncident(key, { resolvedAt: new Date() });
+        commit((prev) => {
+          const next = { ...prev };
+          delete next[key];
+          return next;
+        });
+        delete creationRef.current[key];
+      });
+  }, [alerts, isReady, isRestored, commit, patchIncident]);
+
+  const acknowledge = useCallback(
+    (key, notes = "") => {
+      patchIncident(key, {
+        acknowledgedAt: new Date(),
+        acknowledgedBy: { id: user?._id || user?.id || null, name: user?.name || user?.email || "" },
+        notes,
+      });
+    },
+    [patchIncident, user]
+  );
+
+  /** Encerramento manual; conta também como confirmação se ninguém tinha confirmado */
+  const resolve = useCallback(
+    (key) => {
+      const current = incidentsRef.current[key];
+      if (!current || current.resolvedAt) return;
+      const now = new Date();
+      patchIncident(key, {
+        resolvedAt: now,
+        ...(current.acknowledgedAt
+          ? {}
+          : { acknowledgedAt: now, acknowledgedBy: { id: user?._id || user?.id || null, name: user?.name || user?.email || "" } }),
+      });
+    },
+    [patchIncident, user]
+  );
+
+  return { incidents, acknowledge, resolve };
+}
@@ -0,0 +1,37 @@
+import { useEffect } from "react";
+import { fetchReadingsHistory } from "../api/readingsApi.js";
+import { RAINFALL_HISTORY_DAYS, RAINFALL_REFRESH_INTERVAL_MS } from "../constants/config.js";
+import { summarizeRainfall } from "../utils/rainfall.js";
+
+/**
+ * Calcula o resumo de chuva (`summarizeRainfall`) de cada dispositivo a partir dos últimos
+ * `RAINFALL_HISTORY_DAYS` dias do pluviômetro e entrega `{ [device.id]: rainfall }` em `onRainfall`.
+ * Recalcula quando o conjunto de dispositivos (`devicesKey`) muda e a cada `RAINFALL_REFRESH_INTERVAL_MS`.
+ */
+export function useRainfall({ devicesKey, getDevices, onRainfall }) {
+  useEffect(() => {
+    if (!devicesKey) return undefined;
+    let isCancelled = false;
+
+    const refresh = async () => {
+      const now = Date.now();
+      const range = { from: new Date(now - RAINFALL_HISTORY_DAYS * 24 * 60 * 60 * 1000), to: null };
+      const entries = await Promise.all(
+        getDevices()
+          .filter((device) => device.backendId)
+          .map(async (device) => [
+            device.id,
+            summarizeRainfall(await fetchReadingsHistory(device.backendId, range), device, now),
+          ])
+      );
+      if (!isCancelled) onRainfall(Object.fromEntries(entries));
+    };
+
+    refresh();
+    const interval = setInterval(refresh, RAINFALL_REFRESH_INTERVAL_MS);
+    return () => {
+      isCancelled = true;
+      clearInterval(interval);
+    };
+  }, [devicesKey, getDevices, onRainfall]);
+}
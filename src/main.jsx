@@ -3,6 +3,9 @@ import ReactDOM from "react-dom/client";
 import "./chart/registerChartJs.js";
 import App from "./App.jsx";
 import "./index.css";
+import { registerServiceWorker } from "./utils/browserNotifications.js";
+
+registerServiceWorker();
 
 ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
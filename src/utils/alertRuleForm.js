@@ -0,0 +1,104 @@
+const DEFAULT_COMPARISON = { field: "temperature", operator: ">", value: "" };
+
+export function buildAlertRuleForm(rule) {
+  const condition = rule?.condition || {};
+  const clear = rule?.clearCondition || null;
+  return {
+    name: rule?.name || "",
+    severity: rule?.severity || "high",
+    enabled: rule?.enabled !== false,
+    type: condition.type || "threshold",
+    field: condition.field || "smoke",
+    operator: condition.operator || ">",
+    value: condition.value !== undefined ? String(condition.value) : "",
+    consecutive: String(condition.consecutive || 1),
+    comparisons:
+      condition.type === "combined" && Array.isArray(condition.conditions)
+        ? condition.conditions.map((c) => ({ ...c, value: String(c.value) }))
+        : [{ ...DEFAULT_COMPARISON }, { field: "airHumidity", operator: "<", value: "" }],
+    delta: condition.delta !== undefined ? String(condition.delta) : "",
+    windowMinutes: String(condition.windowMinutes || 5),
+    level: condition.level || "critical",
+    hasClearCondition: Boolean(clear),
+    clearField: clear?.field || condition.field || "smoke",
+    clearOperator: clear?.operator || "<",
+    clearValue: clear?.value !== undefined ? String(clear.value) : "",
+    clearConsecutive: String(clear?.consecutive || 1),
+    cooldownMinutes: String(rule?.cooldownMinutes || 0),
+    deviceIds: rule?.scope?.deviceIds || [],
+    groups: (rule?.scope?.groups || []).join(", "),
+  };
+}
+
+export function createEmptyComparison() {
+  return { ...DEFAULT_COMPARISON };
+}
+
+function isNumber(value) {
+  return value !== "" && !Number.isNaN(parseFloat(value));
+}
+
+export function validateAlertRuleForm(form) {
+  if (!form.name.trim()) return "Informe o nome da regra";
+  if (form.type === "threshold" && !isNumber(form.value)) return "Informe o valor limite";
+  if (form.type === "combined" && !form.comparisons.every((c) => isNumber(c.value))) {
+    return "Informe o valor de todas as condições";
+  }
+  if (form.type === "rateOfRise" && (!isNumber(form.delta) || !isNumber(form.windowMinutes))) {
+    return "Informe a variação e a janela de tempo";
+  }
+  if (form.hasClearCondition && !isNumber(form.clearValue)) return "Informe o valor de encerramento";
+  return "";
+}
+
+function buildCondition(form) {
+  if (form.type === "combined") {
+    return {
+      type: "combined",
+      conditions: form.comparisons.map((c) => ({ field: c.field, operator: c.operator, value: parseFloat(c.value) })),
+    };
+  }
+  if (form.type === "rateOfRise") {
+    return {
+      type: "rateOfRise",
+      field: form.field,
+      delta: parseFloat(form.delta),
+      windowMinutes: parseFloat(form.windowMinutes),
+    };
+  }
+  if (form.type === "riskLevel") return { type: "riskLevel", level: form.level };
+  if (form.type === "offline") return { type: "offline" };
+  return {
+    type: "threshold",
+    field: form.field,
+    operator: form.operator,
+    value: parseFloat(form.value),
+    consecutive: Math.max(1, parseInt(form.consecutive, 10) || 1),
+  };
+}
+
+export function alertRuleFormToPayload(form) {
+  return {
+    name: form.name.trim(),
+    severity: form.severity,
+    enabled: form.enabled,
+    condition: buildCondition(form),
+    clearCondition: form.hasClearCondition
+      ? {
+          type: "threshold",
+          field: form.clearField,
+          operator: form.clearOperator,
+          value: parseFloat(form.clearValue),
+          consecutive: Math.max(1, parseInt(form.clearConsecutive, 10) || 1),
+        }
+      : null,
+    cooldownMinutes: Math.max(0, parseFloat(form.cooldownMinutes) || 0),
+    scope: {
+      deviceIds: form.deviceIds,
+      groups: form.groups
+        .split(",")
+        .map((group) => group.trim())
+        .filter(Boolean),
+    },
+  };
+}
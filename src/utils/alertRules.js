@@ -0,0 +1,303 @@
+import { formatLastSeen, getDeviceConnectivity } from "./devices.js";
+import { getRiskLabel } from "./risk.js";
+import { getSensors, readSensorValue } from "./sensorRegistry.js";
+import { getDeviceSmokeRawValue } from "./sensors.js";
+
+export const ALERT_SEVERITIES = ["critical", "high", "moderate"];
+
+export const ALERT_RULE_TYPES = ["threshold", "combined", "rateOfRise", "riskLevel", "offline"];
+
+/** Campos do dispositivo que podem ser usados nas condições das regras (um por sensor do registro) */
+export const ALERT_RULE_FIELDS = {
+  smoke: { label: "Fumaça (bruto)", unit: "", read: (device) => getDeviceSmokeRawValue(device) },
+  ...Object.fromEntries(
+    getSensors().map((sensor) => [
+      sensor.field,
+      { label: sensor.label, unit: sensor.unit, read: (device) => readSensorValue(device, sensor) },
+    ])
+  ),
+  riskPercent: { label: "Risco", unit: "%", read: (device) => device.riskPercent },
+};
+
+const RISK_ORDER = ["low", "moderate", "high", "critical"];
+
+export function getAlertSeverityLabel(severity) {
+  return (
+    {
+      critical: "Crítica",
+      high: "Alta",
+      moderate: "Moderada",
+    }[severity] || severity
+  );
+}
+
+export function getAlertRuleTypeLabel(type) {
+  return (
+    {
+      threshold: "Limite",
+      combined: "Condições combinadas",
+      rateOfRise: "Taxa de subida",
+      riskLevel: "Nível de risco",
+      offline: "Dispositivo offline",
+    }[type] || type
+  );
+}
+
+/** Ordem decrescente de gravidade (0 = mais grave) */
+export function getAlertSeverityRank(severity) {
+  const index = ALERT_SEVERITIES.indexOf(severity);
+  return index === -1 ? ALERT_SEVERITIES.length : index;
+}
+
+/** Converte a regra vinda da API, preenchendo os campos opcionais */
+export function normalizeAlertRule(raw) {
+  if (!raw) return null;
+  return {
+    id: raw._id || raw.id,
+    name: raw.name || "Regra sem nome",
+    enabled: raw.enabled !== false,
+    severity: ALERT_SEVERITIES.includes(raw.severity) ? raw.severity : "high",
+    scope: { deviceIds: raw.scope?.deviceIds || [], groups: raw.scope?.groups || [] },
+    condition: raw.condition || null,
+    clearCondition: raw.clearCondition || null,
+    cooldownMinutes: Number(raw.cooldownMinutes) || 0,
+  };
+}
+
+export function readDeviceField(device, field) {
+  const value = ALERT_RULE_FIELDS[field]?.read(device);
+  const n = typeof value === "number" ? value : parseFloat(value);
+  return Number.isNaN(n) ? null : n;
+}
+
+function compare(value, operator, target) {
+  if (value === null) return false;
+  if (operator === "<") return value < target;
+  if (operator === "<=") return value <= target;
+  if (operator === ">=") return value >= target;
+  return value > target;
+}
+
+function testComparison(device, { field, operator, value }) {
+  return compare(readDeviceField(device, field), operator, value);
+}
+
+/** Avalia a condição da regra; `history` guarda as leituras recentes usadas pela taxa de subida */
+function testCondition(condition, device, history, now) {
+  if (!condition) return false;
+
+  if (condition.type === "threshold") return testComparison(device, condition);
+
+  if (condition.type === "combined") {
+    return Array.isArray(condition.conditions) && condition.conditions.length > 0
+      ? condition.conditions.every((c) => testComparison(device, c))
+      : false;
+  }
+
+  if (condition.type === "rateOfRise") {
+    const windowStart = now - (condition.windowMinutes || 5) * 60 * 1000;
+    const inWindow = history.filter((point) => point.at >= windowStart);
+    if (inWindow.length < 2) return false;
+    return inWindow[inWindow.length - 1].value - inWindow[0].value >= condition.delta;
+  }
+
+  if (condition.type === "riskLevel") {
+    return RISK_ORDER.indexOf(device.riskLevel) >= RISK_ORDER.indexOf(condition.level || "critical");
+  }
+
+  if (condition.type === "offline") return getDeviceConnectivity(device, now) === "offline";
+
+  return false;
+}
+
+export function ruleAppliesToDevice(rule, device) {
+  const deviceIds = rule.scope?.deviceIds || [];
+  const groups = rule.scope?.groups || [];
+  if (deviceIds.length === 0 && groups.length === 0) return true;
+  return deviceIds.includes(device.backendId) || (Boolean(device.group) && groups.includes(device.group));
+}
+
+export function getAlertKey(deviceId, ruleId) {
+  return `${deviceId}:${ruleId}`;
+}
+
+function createRuleState() {
+  return {
+    isActive: false,
+    triggerStreak: 0,
+    clearStreak: 0,
+    activatedAt: null,
+    clearedAt: null,
+    lastReadingAt: null,
+    history: [],
+  };
+}
+
+/**
+ * As sequências de leituras (`consecutive`) só avançam quando o dispositivo recebe uma leitura nova
+ * (`lastSeenAt` mudou); reavaliar a mesma leitura (relógio, adiamento, chuva) não conta de novo.
+ * A regra offline depende só do tempo: o próprio limite de offline do dispositivo é a espera, então ela
+ * dispara na primeira avaliação em que o dispositivo passou do limite, sem contar sequência.
+ */
+function nextRuleState(rule, device, previous, now) {
+  const state = previous || createRuleState();
+  const condition = rule.condition || {};
+  const readingAt = device.lastSeenAt ?? null;
+  const isNewReading = readingAt !== null && readingAt !== state.lastReadingAt;
+  const isTimeBased = condition.type === "offline";
+  const countsAsStep = isNewReading || isTimeBased;
+
+  let history = state.history;
+  if (condition.type === "rateOfRise" && isNewReading) {
+    const value = readDeviceField(device, condition.field);
+    const windowStart = now - (condition.windowMinutes || 5) * 60 * 1000;
+    history = [...history.filter((point) => point.at >= windowStart), ...(value === null ? [] : [{ at: now, value }])];
+  }
+
+  const isTriggered = testCondition(condition, device, history, now);
+  const base = { ...state, history, lastReadingAt: readingAt ?? state.lastReadingAt };
+
+  if (!state.isActive) {
+    // Sem leitura nova a sequência não avança, mas zera se a condição deixou de valer
+    const triggerStreak = !isTriggered ? 0 : countsAsStep ? state.triggerStreak + 1 : state.triggerStreak;
+    const isCoolingDown = state.clearedAt !== null && now - state.clearedAt < (rule.cooldownMinutes || 0) * 60 * 1000;
+    const shouldActivate =
+      triggerStreak > 0 && (isTimeBased || triggerStreak >= Math.max(1, condition.consecutive || 1)) && !isCoolingDown;
+    return {
+      ...base,
+      triggerStreak,
+      isActive: shouldActivate,
+      activatedAt: shouldActivate ? now : null,
+      clearStreak: 0,
+    };
+  }
+
+  // Histerese: com `clearCondition` o alerta só encerra quando ela for satisfeita;
+  // sem ela, encerra quando a condição de disparo deixa de valer.
+  const isCleared = rule.clearCondition ? testCondition(rule.clearCondition, device, history, now) : !isTriggered;
+  const clearStreak = !isCleared ? 0 : countsAsStep ? state.clearStreak + 1 : state.clearStreak;
+  const shouldClear = clearStreak > 0 && clearStreak >= Math.max(1, rule.clearCondition?.consecutive || 1);
+
+  return {
+    ...base,
+    clearStreak,
+    triggerStreak: shouldClear ? 0 : state.triggerStreak,
+    isActive: !shouldClear,
+    clearedAt: shouldClear ? now : state.clearedAt,
+  };
+}
+
+/**
+ * Estado de regra já disparada, para as ocorrências abertas restauradas da API: a regra continua
+ * ativa (com a histerese normal) em vez de recomeçar a contagem de leituras seguidas.
+ */
+export function restoreActiveRuleState(activatedAt) {
+  return { ...createRuleState(), isActive: true, activatedAt: new Date(activatedAt).getTime() };
+}
+
+/**
+ * Avalia todas as regras habilitadas para todos os dispositivos.
+ * Retorna o novo estado (a ser passado na próxima avaliação) e a lista de alertas ativos.
+ */
+export function evaluateAlertRules(rules, devices, previousState = {}, now = Date.now()) {
+  const state = {};
+  const activeAlerts = [];
+
+  rules
+    .filter((rule) => rule.enabled !== false)
+    .forEach((rule) => {
+      devices
+        .filter((device) => ruleAppliesToDevice(rule, device))
+        .forEach((device) => {
+          const key = getAlertKey(device.backendId, rule.id);
+          state[key] = nextRuleState(rule, device, previousState[key], now);
+          if (state[key].isActive) {
+            activeAlerts.push({
+              key,
+              device,
+              rule: {
+                id: rule.id,
+                name: rule.name,
+                severity: rule.severity,
+                type: rule.condition?.type || null,
+                field: getConditionField(rule.condition),
+              },
+              startedAt: new Date(state[key].activatedAt),
+            });
+          }
+        });
+    });
+
+  activeAlerts.sort((a, b) => getAlertSeverityRank(a.rule.severity) - getAlertSeverityRank(b.rule.severity));
+  return { state, activeAlerts };
+}
+
+/** Alerta de fogo (modal em tela cheia e sirene); dispositivo sem comunicação fica só na central de alertas */
+export function isFireAlert(alert) {
+  return alert.rule.type !== "offline";
+}
+
+/** Campo que melhor representa a condição, exibido como valor atual do alerta */
+export function getConditionField(condition) {
+  if (!condition) return "smokePercent";
+  if (condition.type === "combined") return condition.conditions?.[0]?.field || null;
+  if (condition.type === "riskLevel") return "riskPercent";
+  if (condition.type === "offline") return null;
+  return condition.field === "smoke" ? "smokePercent" : condition.field || null;
+}
+
+/**
+ * Disparos das regras de limite e combinadas ao longo do histórico (`snapshots` de `replayReadings`):
+ * `[{ x, rule, sensorIds }]`, no ponto em que a condição completa as leituras consecutivas exigidas.
+ * Regras que dependem de estado (taxa de subida, offline) ou do risco ficam de fora.
+ */
+export function findAlertTriggers(rules, device, snapshots) {
+  return rules
+    .filter((rule) => rule.enabled !== false && ["threshold", "combined"].includes(rule.condition?.type))
+    .filter((rule) => ruleAppliesToDevice(rule, device))
+    .flatMap((rule) => {
+      const comparisons = rule.condition.type === "combined" ? rule.condition.conditions || [] : [rule.condition];
+      const sensorIds = getSensors()
+        .filter((sensor) => comparisons.some(({ field }) => field === sensor.field || field === sensor.id))
+        .map((sensor) => sensor.id);
+      const required = Math.max(1, rule.condition.consecutive || 1);
+      const triggers = [];
+      let streak = 0;
+
+      snapshots.forEach(({ x, device: snapshot }) => {
+        streak = testCondition(rule.condition, snapshot, [], x) ? streak + 1 : 0;
+        if (streak === required) triggers.push({ x, rule: { name: rule.name, severity: rule.severity }, sensorIds });
+      });
+      return triggers;
+    });
+}
+
+/** Valor atual do alerta (`"Fumaça: 42.0%"`), ou a última leitura quando a regra não tem campo */
+export function describeAlertValue(alert, now = Date.now()) {
+  if (alert.rule.type === "offline") return `Sem comunicação · última leitura ${formatLastSeen(alert.device.lastSeenAt, now)}`;
+  const field = alert.rule.field === undefined ? "smokePercent" : alert.rule.field;
+  if (!ALERT_RULE_FIELDS[field]) return `Última leitura ${formatLastSeen(alert.device.lastSeenAt, now)}`;
+  const value = readDeviceField(alert.device, field);
+  const { label, unit } = ALERT_RULE_FIELDS[field];
+  return `${label}: ${value === null ? "—" : `${value.toFixed(1)}${unit}`}`;
+}
+
+/** Texto curto da condição, usado na listagem de regras */
+export function describeAlertCondition(condition) {
+  if (!condition) return "—";
+  const describeComparison = ({ field, operator, value }) =>
+    `${ALERT_RULE_FIELDS[field]?.label || field} ${operator} ${value}${ALERT_RULE_FIELDS[field]?.unit || ""}`;
+
+  if (condition.type === "threshold") {
+    const streak = condition.consecutive > 1 ? ` por ${condition.consecutive} leituras seguidas` : "";
+    return `${describeComparison(condition)}${streak}`;
+  }
+  if (condition.type === "combined") return (condition.conditions || []).map(describeComparison).join(" e ");
+  if (condition.type === "rateOfRise") {
+    const field = ALERT_RULE_FIELDS[condition.field];
+    return `${field?.label || condition.field} sobe ${condition.delta}${field?.unit || ""} em ${condition.windowMinutes} min`;
+  }
+  if (condition.type === "riskLevel") return `Risco calculado ≥ ${getRiskLabel(condition.level || "critical")}`;
+  if (condition.type === "offline") return "Sem leituras além do limite de offline do dispositivo";
+  return "—";
+}
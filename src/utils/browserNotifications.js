@@ -0,0 +1,82 @@
+import { describeAlertValue, getAlertSeverityLabel, isFireAlert } from "./alertRules.js";
+
+export function isNotificationSupported() {
+  return typeof window !== "undefined" && "Notification" in window && "serviceWorker" in navigator;
+}
+
+export function getNotificationPermission() {
+  return isNotificationSupported() ? Notification.permission : "unsupported";
+}
+
+export async function requestNotificationPermission() {
+  if (!isNotificationSupported()) return "unsupported";
+  return Notification.requestPermission();
+}
+
+export async function registerServiceWorker() {
+  if (!("serviceWorker" in navigator)) return null;
+  try {
+    return await navigator.serviceWorker.register("/sw.js");
+  } catch (error) {
+    console.error("Erro ao registrar o service worker:", error);
+    return null;
+  }
+}
+
+/** Notificação do sistema para um alerta; a mesma `tag` substitui a notificação anterior do alerta */
+export async function showAlertNotification(alert) {
+  if (getNotificationPermission() !== "granted") return;
+
+  const registration = await navigator.serviceWorker.ready;
+  const isCritical = alert.rule.severity === "critical";
+  const isOffline = !isFireAlert(alert);
+  const smokePercent = parseFloat(alert.device.smokePercent);
+  const icon = isOffline ? "📡" : isCritical ? "🔥" : "⚠️";
+
+  await registration.showNotification(`${icon} ${alert.rule.name} — ${alert.device.name}`, {
+    body: [
+      `Severidade: ${getAlertSeverityLabel(alert.rule.severity)}`,
+      isOffline ? describeAlertValue(alert) : Number.isNaN(smokePercent) ? null : `Fumaça: ${smokePercent.toFixed(1)}%`,
+      "Clique para ver o dispositivo no mapa.",
+    ]
+      .filter(Boolean)
+      .join("\n"),
+    tag: alert.key,
+    icon: "/LogoPyro.svg",
+    badge: "/LogoPyro.svg",
+    renotify: true,
+    requireInteraction: isCritical,
+    data: { deviceId: alert.device.id },
+  });
+}
+
+/** Dispositivo pedido pela notificação que abriu a aba (`/?device=<id>`), removido da URL em seguida */
+export function consumeDeviceFromUrl() {
+  const params = new URLSearchParams(window.location.search);
+  const deviceId = params.get("device");
+  if (!deviceId) return null;
+  params.delete("device");
+  const query = params.toString();
+  window.history.replaceState(null, "", `${window.location.pathname}${query ? `?${query}` : ""}`);
+  return deviceId;
+}
+
+function urlBase64ToUint8Array(base64) {
+  const padding = "=".repeat((4 - (base64.length % 4)) % 4);
+  const raw = atob((base64 + padding).replace(/-/g, "+").replace(/_/g, "/"));
+  return Uint8Array.from(raw, (char) => char.charCodeAt(0));
+}
+
+/** Inscrição de Web Push; sem chave pública configurada, só as notificações locais são usadas */
+export async function subscribeToPush(publicKey) {
+  if (!publicKey || getNotificationPermission() !== "granted") return null;
+  const registration = await navigator.serviceWorker.ready;
+  if (!registration.pushManager) return null;
+
+  const existing = await registration.pushManager.getSubscription();
+  if (existing) return existing;
+  return registration.pushManager.subscribe({
+    userVisibleOnly: true,
+    applicationServerKey: urlBase64ToUint8Array(publicKey),
+  });
+}
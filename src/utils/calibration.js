@@ -0,0 +1,105 @@
+import { getSensor, getSensors } from "./sensorRegistry.js";
+
+/**
+ * Calibração padrão de cada sensor (`calibration` no registro de sensores):
+ * `y = c0 + c1·x + c2·x² + ... + offset`, limitado a `[min, max]` (`null` = sem limite).
+ * Cada dispositivo pode sobrescrever qualquer campo em `device.calibration`.
+ */
+export const DEFAULT_SENSOR_CALIBRATION = Object.fromEntries(
+  getSensors()
+    .filter((sensor) => sensor.calibration)
+    .map((sensor) => [sensor.id, sensor.calibration])
+);
+
+export const CALIBRATED_FIELDS = Object.keys(DEFAULT_SENSOR_CALIBRATION);
+
+export function getCalibrationFieldLabel(field) {
+  return getSensor(field)?.label || field;
+}
+
+/** Unidade do valor calibrado (a leitura bruta não tem unidade) */
+export function getCalibrationFieldUnit(field) {
+  return getSensor(field)?.unit.trim() || "";
+}
+
+/** Pontos de referência sugeridos na calibração em dois pontos (ex.: solo seco = 0%, encharcado = 100%) */
+export function getTwoPointHints(field) {
+  return (
+    {
+      soilHumidity: [
+        { label: "Seco", value: 0 },
+        { label: "Encharcado", value: 100 },
+      ],
+      smoke: [
+        { label: "Ar limpo", value: 0 },
+        { label: "Saturado", value: 100 },
+      ],
+      pluvi: [
+        { label: "Sem chuva", value: 0 },
+        { label: "Volume medido", value: null },
+      ],
+    }[field] || [
+      { label: "Ponto 1", value: null },
+      { label: "Ponto 2", value: null },
+    ]
+  );
+}
+
+function toNumberOrNull(value) {
+  if (value === null || value === undefined || value === "") return null;
+  const n = typeof value === "number" ? value : parseFloat(value);
+  return Number.isNaN(n) ? null : n;
+}
+
+function normalizeProfile(raw, fallback) {
+  const coefficients = Array.isArray(raw?.coefficients) ? raw.coefficients.map(toNumberOrNull) : null;
+  return {
+    coefficients: coefficients?.length && coefficients.every((c) => c !== null) ? coefficients : fallback.coefficients,
+    offset: toNumberOrNull(raw?.offset) ?? 0,
+    min: raw && "min" in raw ? toNumberOrNull(raw.min) : fallback.min,
+    max: raw && "max" in raw ? toNumberOrNull(raw.max) : fallback.max,
+  };
+}
+
+/** Só os campos enviados pela API; os demais usam a calibração padrão */
+export function normalizeCalibration(raw) {
+  if (!raw || typeof raw !== "object") return {};
+  return Object.fromEntries(
+    CALIBRATED_FIELDS.filter((field) => raw[field]).map((field) => [
+      field,
+      normalizeProfile(raw[field], DEFAULT_SENSOR_CALIBRATION[field]),
+    ])
+  );
+}
+
+/** Perfis completos do dispositivo (padrão + sobrescritas) */
+export function getDeviceCalibration(device) {
+  return { ...DEFAULT_SENSOR_CALIBRATION, ...(device?.calibration || {}) };
+}
+
+/** Leitura bruta → valor calibrado, ou null se a leitura não for numérica */
+export function applyCalibration(profile, raw) {
+  const x = toNumberOrNull(raw);
+  if (x === null) return null;
+  if (!profile) return x;
+
+  let value = profile.coefficients.reduce((sum, c, power) => sum + c * x ** power, 0) + (profile.offset || 0);
+  if (profile.min !== null && profile.min !== undefined) value = Math.max(profile.min, value);
+  if (profile.max !== null && profile.max !== undefined) value = Math.min(profile.max, value);
+  return value;
+}
+
+/** Valor calibrado → leitura bruta, possível apenas para perfis lineares */
+export function invertCalibration(profile, value) {
+  const [c0 = 0, c1 = 0, ...higher] = profile.coefficients;
+  if (c1 === 0 || higher.some((c) => c !== 0)) return null;
+  return (value - (profile.offset || 0) - c0) / c1;
+}
+
+/** Coeficientes `[c0, c1]` da reta que passa pelos dois pontos `{ raw, value }` */
+export function computeTwoPointCoefficients(first, second) {
+  const dx = second.raw - first.raw;
+  if (dx === 0) return null;
+  const slope = (second.value - first.value) / dx;
+  return [first.value - slope * first.raw, slope];
+}
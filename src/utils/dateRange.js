@@ -0,0 +1,72 @@
+import { PERIOD_FILTERS } from "../constants/config.js";
+
+/**
+ * Intervalos de datas do histórico: `{ from, to }` com `Date` ou `null` (sem limite).
+ * `to: null` significa "até agora". Os campos de data do navegador usam o fuso local.
+ */
+
+export const CUSTOM_RANGE_KEY = "custom";
+
+export function getLocalTimeZone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone || "local";
+}
+
+/** Intervalo de um dos `PERIOD_FILTERS` terminando em `now` */
+export function getPresetRange(periodKey, now = Date.now()) {
+  const filter = PERIOD_FILTERS.find((f) => f.key === periodKey);
+  if (!filter || filter.days === null) return { from: null, to: null };
+  return { from: new Date(now - filter.days * 24 * 60 * 60 * 1000), to: null };
+}
+
+/** `Date` → valor de `<input type="datetime-local">` no fuso local (`YYYY-MM-DDTHH:mm`) */
+export function toDateTimeLocalValue(date) {
+  if (!date) return "";
+  const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+  return local.toISOString().slice(0, 16);
+}
+
+/** Valor de `<input type="datetime-local">` (fuso local) → `Date`, ou null se vazio/inválido */
+export function parseDateTimeLocalValue(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+export function validateDateRange({ from, to }) {
+  if (from && to && from >= to) return "A data inicial deve ser anterior à final";
+  return null;
+}
+
+/** Chave estável do intervalo, usada em dependências de efeitos */
+export function getDateRangeKey({ from, to }) {
+  return `${from ? from.getTime() : ""}|${to ? to.getTime() : ""}`;
+}
+
+export function isWithinDateRange(date, { from, to }) {
+  if (!date) return false;
+  return (!from || date >= from) && (!to || date <= to);
+}
+
+/** Intervalo compartilhado pela URL (`?from=<ISO>&to=<ISO>`), ou null se não houver um válido */
+export function readDateRangeFromUrl() {
+  const params = new URLSearchParams(window.location.search);
+  const parse = (value) => {
+    const date = value ? new Date(value) : null;
+    return date && !Number.isNaN(date.getTime()) ? date : null;
+  };
+  const range = { from: parse(params.get("from")), to: parse(params.get("to")) };
+  if (!range.from && !range.to) return null;
+  return validateDateRange(range) ? null : range;
+}
+
+/** Grava o intervalo em `from`/`to` na URL, sem recarregar nem mexer nos outros parâmetros; `null` remove */
+export function writeDateRangeToUrl(range) {
+  const params = new URLSearchParams(window.location.search);
+  ["from", "to"].forEach((key) => {
+    const date = range?.[key];
+    if (date) params.set(key, date.toISOString());
+    else params.delete(key);
+  });
+  const query = params.toString();
+  window.history.replaceState(null, "", `${window.location.pathname}${query ? `?${query}` : ""}`);
+}
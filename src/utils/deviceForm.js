@@ -0,0 +1,108 @@
+import { DEFAULT_BIOME, DEFAULT_RISK_MODEL } from "../constants/config.js";
+import { CALIBRATED_FIELDS, DEFAULT_SENSOR_CALIBRATION } from "./calibration.js";
+
+function formatOptionalNumber(value) {
+  return value === null || value === undefined ? "" : String(value);
+}
+
+export function buildCalibrationFieldForm(profile, isCustom) {
+  return {
+    isCustom,
+    coefficients: profile.coefficients.map((c) => String(parseFloat(c.toPrecision(6)))).join(", "),
+    offset: formatOptionalNumber(profile.offset),
+    min: formatOptionalNumber(profile.min),
+    max: formatOptionalNumber(profile.max),
+  };
+}
+
+function parseCoefficients(text) {
+  const parts = text.split(",").map((part) => part.trim());
+  if (parts.length === 0 || parts.some((part) => part === "" || Number.isNaN(parseFloat(part)))) return null;
+  return parts.map(parseFloat);
+}
+
+function parseOptionalNumber(text) {
+  return text.trim() === "" ? null : parseFloat(text);
+}
+
+export function buildDeviceForm(device) {
+  return {
+    name: device?.name || "",
+    code: device?.id && device.id !== device.backendId ? device.id : "",
+    group: device?.group || "",
+    feedGroup: device?.feedGroup || "",
+    lat: typeof device?.lat === "number" ? String(device.lat) : "",
+    lng: typeof device?.lng === "number" ? String(device.lng) : "",
+    status: device?.status || "active",
+    riskModel: device?.riskModel || DEFAULT_RISK_MODEL,
+    biome: device?.biome || DEFAULT_BIOME,
+    staleAfterMinutes: device?.staleAfterMinutes ? String(device.staleAfterMinutes) : "",
+    offlineAfterMinutes: device?.offlineAfterMinutes ? String(device.offlineAfterMinutes) : "",
+    calibration: Object.fromEntries(
+      CALIBRATED_FIELDS.map((field) => {
+        const custom = device?.calibration?.[field];
+        return [field, buildCalibrationFieldForm(custom || DEFAULT_SENSOR_CALIBRATION[field], Boolean(custom))];
+      })
+    ),
+  };
+}
+
+function validateCalibrationForm(calibration) {
+  for (const field of CALIBRATED_FIELDS) {
+    const profile = calibration[field];
+    if (!profile.isCustom) continue;
+    if (!parseCoefficients(profile.coefficients)) return "Coeficientes de calibração inválidos";
+    const [offset, min, max] = [profile.offset, profile.min, profile.max].map(parseOptionalNumber);
+    if ([offset, min, max].some((n) => Number.isNaN(n))) return "Valores de calibração inválidos";
+    if (min !== null && max !== null && min >= max) return "O limite mínimo da calibração deve ser menor que o máximo";
+  }
+  return "";
+}
+
+export function validateDeviceForm(form) {
+  if (!form.name.trim()) return "Informe o nome do dispositivo";
+  if (!form.feedGroup.trim()) return "Informe o grupo de feeds do Adafruit IO";
+  const lat = parseFloat(form.lat);
+  const lng = parseFloat(form.lng);
+  if (Number.isNaN(lat) || lat < -90 || lat > 90) return "Latitude inválida";
+  if (Number.isNaN(lng) || lng < -180 || lng > 180) return "Longitude inválida";
+  const stale = form.staleAfterMinutes ? parseFloat(form.staleAfterMinutes) : null;
+  const offline = form.offlineAfterMinutes ? parseFloat(form.offlineAfterMinutes) : null;
+  if (stale !== null && !(stale > 0)) return "Tempo para \"sem dados recentes\" inválido";
+  if (offline !== null && !(offline > 0)) return "Tempo para offline inválido";
+  if (stale !== null && offline !== null && stale >= offline) {
+    return "O tempo para offline deve ser maior que o de \"sem dados recentes\"";
+  }
+  return validateCalibrationForm(form.calibration);
+}
+
+export function deviceFormToPayload(form) {
+  const lat = parseFloat(form.lat);
+  const lng = parseFloat(form.lng);
+  return {
+    name: form.name.trim(),
+    code: form.code.trim() || undefined,
+    group: form.group.trim() || null,
+    feedGroup: form.feedGroup.trim(),
+    status: form.status,
+    riskModel: form.riskModel,
+    biome: form.biome,
+    staleAfterMinutes: form.staleAfterMinutes ? parseFloat(form.staleAfterMinutes) : null,
+    offlineAfterMinutes: form.offlineAfterMinutes ? parseFloat(form.offlineAfterMinutes) : null,
+    calibration: Object.fromEntries(
+      CALIBRATED_FIELDS.filter((field) => form.calibration[field].isCustom).map((field) => {
+        const profile = form.calibration[field];
+        return [
+          field,
+          {
+            coefficients: parseCoefficients(profile.coefficients),
+            offset: parseOptionalNumber(profile.offset) ?? 0,
+            min: parseOptionalNumber(profile.min),
+            max: parseOptionalNumber(profile.max),
+          },
+        ];
+      })
+    ),
+    location: { type: "Point", coordinates: [lng, lat] },
+  };
+}
@@ -0,0 +1,183 @@
+import { DEVICE_OFFLINE_AFTER_MINUTES, DEVICE_STALE_AFTER_MINUTES } from "../constants/config.js";
+import { normalizeCalibration } from "./calibration.js";
+import { getSensors } from "./sensorRegistry.js";
+import { calculateRiskFromSensors } from "./sensors.js";
+
+/**
+ * Lista de feeds do Adafruit IO de um dispositivo.
+ * `device.feeds` (chaves completas) tem prioridade sobre `device.feedGroup` + `feedKey` de cada sensor.
+ * Feeds `optional` (sensores opcionais do registro) podem não existir no grupo.
+ */
+export function getDeviceFeeds(device) {
+  if (device?.status && device.status !== "active") return [];
+
+  if (device?.feeds && typeof device.feeds === "object") {
+    return Object.entries(device.feeds)
+      .filter(([, key]) => Boolean(key))
+      .map(([field, key]) => ({ key, field }));
+  }
+
+  if (!device?.feedGroup) return [];
+
+  return getSensors().map((sensor) => ({
+    key: `${device.feedGroup}.${sensor.feedKey}`,
+    field: sensor.id,
+    optional: Boolean(sensor.optional),
+  }));
+}
+
+export const DEVICE_STATUSES = ["active", "inactive", "decommissioned"];
+
+export function getDeviceStatusLabel(status) {
+  return (
+    {
+      active: "Ativo",
+      inactive: "Inativo",
+      decommissioned: "Desativado",
+    }[status] || status
+  );
+}
+
+/** Sufixo de classe CSS do badge de status (status desconhecido cai em "inactive") */
+export function deviceStatusToCssSuffix(status) {
+  return DEVICE_STATUSES.includes(status) ? status : "inactive";
+}
+
+/** Dispositivos desativados saem do monitoramento; inativos continuam no mapa sem consulta aos feeds */
+export function isDeviceMonitored(device) {
+  return device?.status !== "decommissioned";
+}
+
+const EMPTY_READINGS = Object.fromEntries(getSensors().map((sensor) => [sensor.field, null]));
+
+function toPositiveNumber(value) {
+  const n = parseFloat(value);
+  return Number.isNaN(n) || n <= 0 ? null : n;
+}
+
+function toCoordinate(value) {
+  const n = parseFloat(value);
+  return Number.isNaN(n) ? null : n;
+}
+
+/** Extrai lat/lng dos formatos aceitos pela API (campos soltos, `location` ou GeoJSON) */
+function extractCoordinates(raw) {
+  const coordinates = raw.location?.coordinates;
+  if (Array.isArray(coordinates) && coordinates.length >= 2) {
+    return { lat: toCoordinate(coordinates[1]), lng: toCoordinate(coordinates[0]) };
+  }
+  return {
+    lat: toCoordinate(raw.lat ?? raw.latitude ?? raw.location?.lat ?? raw.location?.latitude),
+    lng: toCoordinate(raw.lng ?? raw.longitude ?? raw.location?.lng ?? raw.location?.longitude),
+  };
+}
+
+/** Converte o documento de dispositivo da API no formato usado pelo dashboard */
+export function normalizeDevice(raw) {
+  if (!raw) return null;
+
+  const backendId = raw._id || raw.id;
+  const { lat, lng } = extractCoordinates(raw);
+  if (!backendId || lat === null || lng === null) return null;
+
+  const device = {
+    ...EMPTY_READINGS,
+    id: raw.code || raw.id || raw._id,
+    backendId,
+    name: raw.name || `Dispositivo ${raw.code || backendId}`,
+    lat,
+    lng,
+    status: raw.status || "active",
+    group: raw.group || null,
+    feedGroup: raw.feedGroup || raw.feed_group || null,
+    feeds: raw.feeds || null,
+    riskModel: raw.riskModel || null,
+    biome: raw.biome || null,
+    staleAfterMinutes: toPositiveNumber(raw.staleAfterMinutes),
+    offlineAfterMinutes: toPositiveNumber(raw.offlineAfterMinutes),
+    calibration: normalizeCalibration(raw.calibration),
+    isRealData: false,
+    rawValues: {},
+    readingTimes: {},
+    lastSeenAt: null,
+    rainfall: null,
+  };
+
+  return { ...device, ...calculateRiskFromSensors(device) };
+}
+
+/** Média de um campo numérico entre os dispositivos que já possuem leitura */
+export function averageDeviceField(devices, field) {
+  const values = devices
+    .map((device) => (typeof device[field] === "number" ? device[field] : parseFloat(device[field])))
+    .filter((value) => !Number.isNaN(value));
+
+  if (values.length === 0) return null;
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+const READING_FIELDS = Object.keys(EMPTY_READINGS);
+
+/**
+ * Aplica os dados do Adafruit (ou do stream) ao dispositivo e recalcula o risco.
+ * Só os campos presentes em `adafruitData` são substituídos; cada um guarda o horário da leitura.
+ */
+export function applyAdafruitData(device, adafruitData) {
+  if (!adafruitData) {
+    return { ...device, ...calculateRiskFromSensors(device) };
+  }
+
+  const updatedDevice = {
+    ...device,
+    rawValues: { ...device.rawValues, ...adafruitData.rawValues },
+    readingTimes: { ...device.readingTimes, ...adafruitData.readingTimes },
+    isRealData: true,
+  };
+
+  READING_FIELDS.forEach((field) => {
+    if (adafruitData[field] === undefined) return;
+    updatedDevice[field] = adafruitData[field];
+  });
+
+  const times = Object.values(updatedDevice.readingTimes).filter(Boolean);
+  updatedDevice.lastSeenAt = times.length > 0 ? Math.max(...times) : device.lastSeenAt;
+
+  return { ...updatedDevice, ...calculateRiskFromSensors(updatedDevice) };
+}
+
+/** Guarda o resumo de chuva do pluviômetro (`summarizeRainfall`) no dispositivo e recalcula o risco */
+export function applyRainfall(device, rainfall) {
+  const updatedDevice = { ...device, rainfall };
+  return { ...updatedDevice, ...calculateRiskFromSensors(updatedDevice) };
+}
+
+/** Estado de comunicação pelo tempo desde a última leitura: "online", "stale", "offline" ou "unknown" (limites por dispositivo ou os padrões) */
+export function getDeviceConnectivity(device, now = Date.now()) {
+  if (!device?.lastSeenAt) return "unknown";
+  const silenceMinutes = (now - device.lastSeenAt) / 60000;
+  if (silenceMinutes >= (device.offlineAfterMinutes ?? DEVICE_OFFLINE_AFTER_MINUTES)) return "offline";
+  if (silenceMinutes >= (device.staleAfterMinutes ?? DEVICE_STALE_AFTER_MINUTES)) return "stale";
+  return "online";
+}
+
+export function getDeviceConnectivityLabel(connectivity) {
+  return (
+    {
+      online: "Online",
+      stale: "Sem dados recentes",
+      offline: "Offline",
+      unknown: "Aguardando leituras",
+    }[connectivity] || connectivity
+  );
+}
+
+/** Tempo desde a última leitura em texto curto (ex.: "há 12 min") */
+export function formatLastSeen(lastSeenAt, now = Date.now()) {
+  if (!lastSeenAt) return "sem leituras";
+  const minutes = Math.floor((now - lastSeenAt) / 60000);
+  if (minutes < 1) return "agora";
+  if (minutes < 60) return `há ${minutes} min`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `há ${hours} h`;
+  return `há ${Math.floor(hours / 24)} d`;
+}
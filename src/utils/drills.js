@@ -0,0 +1,31 @@
+import { DRILL_SCENARIOS } from "../constants/config.js";
+import { getAlertKey } from "./alertRules.js";
+
+export const DRILL_LABEL = "SIMULAÇÃO";
+
+export function getDrillScenario(scenarioId) {
+  return DRILL_SCENARIOS.find((scenario) => scenario.id === scenarioId) || DRILL_SCENARIOS[0];
+}
+
+/**
+ * Alerta sintético de uma simulação (`drill: { deviceId, scenarioId, notifyChannels, startedAt }`).
+ * As leituras do cenário valem só para o alerta; o dispositivo real não é alterado.
+ */
+export function buildDrillAlert(drill, device) {
+  const scenario = getDrillScenario(drill.scenarioId);
+  const ruleId = `drill-${scenario.id}`;
+  return {
+    key: getAlertKey(device.backendId, ruleId),
+    device: { ...device, ...scenario.values },
+    rule: {
+      id: ruleId,
+      name: `${DRILL_LABEL}: ${scenario.name}`,
+      severity: scenario.severity,
+      type: scenario.type || null,
+      field: scenario.field,
+    },
+    startedAt: drill.startedAt,
+    isDrill: true,
+    notifyChannels: drill.notifyChannels,
+  };
+}
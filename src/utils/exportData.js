@@ -0,0 +1,135 @@
+import { strToU8, zipSync } from "fflate";
+
+/**
+ * Exportação de tabelas no navegador (sem passar pelo servidor).
+ * Tabela: `{ fileName, sheetName, columns: [{ key, label }], rows: [{ [key]: número | texto | null }] }`.
+ */
+
+export const EXPORT_FORMATS = [
+  { key: "csv", label: "CSV" },
+  { key: "xlsx", label: "Excel (XLSX)" },
+  { key: "json", label: "JSON" },
+];
+
+/** Separador do Excel em pt-BR (a vírgula é o separador decimal) */
+const CSV_SEPARATOR = ";";
+
+/**
+ * Célula CSV. Números usam vírgula decimal; textos que começam com `=`, `+`, `-`, `@`, tab ou CR
+ * (nomes, observações...) ganham um `'` na frente para o Excel não executá-los como fórmula.
+ */
+function toCsvCell(value) {
+  if (value === null || value === undefined) return "";
+  if (typeof value === "number") return String(value).replace(".", ",");
+  const text = /^[=+\-@\t\r]/.test(String(value)) ? `'${value}` : String(value);
+  return /[";\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv({ columns, rows }) {
+  const lines = [
+    columns.map((column) => toCsvCell(column.label)).join(CSV_SEPARATOR),
+    ...rows.map((row) => columns.map((column) => toCsvCell(row[column.key])).join(CSV_SEPARATOR)),
+  ];
+  // BOM para o Excel reconhecer o UTF-8 (acentos)
+  return `\uFEFF${lines.join("\r\n")}`;
+}
+
+function toJson({ columns, rows }) {
+  return JSON.stringify(
+    rows.map((row) => Object.fromEntries(columns.map((column) => [column.key, row[column.key] ?? null]))),
+    null,
+    2
+  );
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function getColumnLetter(index) {
+  let letter = "";
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letter = String.fromCharCode(65 + ((n - 1) % 26)) + letter;
+  }
+  return letter;
+}
+
+function toXlsxCell(value, ref) {
+  if (value === null || value === undefined || value === "") return "";
+  if (typeof value === "number" && Number.isFinite(value)) return `<c r="${ref}"><v>${value}</v></c>`;
+  return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+}
+
+/** Planilha XLSX mínima (uma aba, textos inline), montada como zip do formato Office Open XML */
+function toXlsx({ sheetName, columns, rows }) {
+  const sheetRows = [Object.fromEntries(columns.map((column) => [column.key, column.label])), ...rows].map(
+    (row, rowIndex) =>
+      `<row r="${rowIndex + 1}">${columns
+        .map((column, columnIndex) => toXlsxCell(row[column.key], `${getColumnLetter(columnIndex)}${rowIndex + 1}`))
+        .join("")}</row>`
+  );
+
+  const xml = (body) => strToU8(`<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n${body}`);
+  return zipSync({
+    "[Content_Types].xml": xml(
+      '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+        '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+        "</Types>"
+    ),
+    "_rels/.rels": xml(
+      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+        "</Relationships>"
+    ),
+    "xl/workbook.xml": xml(
+      '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+        `<sheets><sheet name="${escapeXml(sheetName.slice(0, 31))}" sheetId="1" r:id="rId1"/></sheets>` +
+        "</workbook>"
+    ),
+    "xl/_rels/workbook.xml.rels": xml(
+      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+        "</Relationships>"
+    ),
+    "xl/worksheets/sheet1.xml": xml(
+      `<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>${sheetRows.join("")}</sheetData></worksheet>`
+    ),
+  });
+}
+
+function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/** Gera o arquivo no formato escolhido (`csv`, `xlsx` ou `json`) e inicia o download */
+export function exportTable(table, format) {
+  if (format === "xlsx") {
+    const blob = new Blob([toXlsx(table)], { type: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet" });
+    return downloadBlob(blob, `${table.fileName}.xlsx`);
+  }
+  if (format === "json") {
+    return downloadBlob(new Blob([toJson(table)], { type: "application/json" }), `${table.fileName}.json`);
+  }
+  return downloadBlob(new Blob([toCsv(table)], { type: "text/csv;charset=utf-8" }), `${table.fileName}.csv`);
+}
+
+/** Data local `YYYY-MM-DD` para nomes de arquivo */
+export function getExportDateStamp(date = new Date()) {
+  const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+  return local.toISOString().slice(0, 10);
+}
@@ -0,0 +1,130 @@
+import { normalizeDelivery } from "./notificationPolicies.js";
+
+export const INCIDENT_STATUSES = ["open", "acknowledged", "resolved"];
+
+export function getIncidentStatus(incident) {
+  if (incident?.resolvedAt) return "resolved";
+  if (incident?.acknowledgedAt) return "acknowledged";
+  return "open";
+}
+
+export function getIncidentStatusLabel(status) {
+  return (
+    {
+      open: "Em aberto",
+      acknowledged: "Confirmada",
+      resolved: "Encerrada",
+    }[status] || status
+  );
+}
+
+function toDate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/** Converte o documento de ocorrência da API no formato usado pelo dashboard */
+export function normalizeIncident(raw) {
+  if (!raw) return null;
+
+  const acknowledgedBy = raw.acknowledgedBy || raw.acknowledged_by || null;
+  const incident = {
+    id: raw._id || raw.id || null,
+    deviceId: raw.deviceId || raw.device_id || raw.device?._id || raw.device || null,
+    deviceName: raw.deviceName || raw.device?.name || null,
+    ruleId: raw.ruleId || raw.rule_id || null,
+    ruleName: raw.ruleName || raw.rule_name || null,
+    severity: raw.severity || null,
+    startedAt: toDate(raw.startedAt || raw.started_at || raw.createdAt),
+    peakSmokePercent: parseFloat(raw.peakSmokePercent ?? raw.peak_smoke_percent) || 0,
+    acknowledgedAt: toDate(raw.acknowledgedAt || raw.acknowledged_at),
+    acknowledgedBy:
+      acknowledgedBy && typeof acknowledgedBy === "object"
+        ? { id: acknowledgedBy._id || acknowledgedBy.id || null, name: acknowledgedBy.name || acknowledgedBy.email || "" }
+        : acknowledgedBy
+          ? { id: null, name: String(acknowledgedBy) }
+          : null,
+    notes: raw.notes || "",
+    resolvedAt: toDate(raw.resolvedAt || raw.resolved_at),
+    isDrill: Boolean(raw.isDrill ?? raw.is_drill),
+    deliveries: (Array.isArray(raw.deliveries) ? raw.deliveries : []).map(normalizeDelivery).filter(Boolean),
+  };
+
+  return { ...incident, status: getIncidentStatus(incident) };
+}
+
+/** Tempo entre o início da ocorrência e a confirmação (ms), ou null se não confirmada */
+export function getIncidentResponseTime(incident) {
+  if (!incident?.startedAt || !incident?.acknowledgedAt) return null;
+  return incident.acknowledgedAt - incident.startedAt;
+}
+
+export function formatDuration(ms) {
+  if (ms === null || ms === undefined || Number.isNaN(ms)) return "—";
+  const totalSeconds = Math.max(0, Math.round(ms / 1000));
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  if (hours > 0) return `${hours}h ${String(minutes).padStart(2, "0")}min`;
+  if (minutes > 0) return `${minutes}min ${String(seconds).padStart(2, "0")}s`;
+  return `${seconds}s`;
+}
+
+export function formatIncidentDate(date) {
+  return date ? date.toLocaleString("pt-BR") : "—";
+}
+
+/** Tempo médio de resposta (ms) das ocorrências confirmadas */
+export function getAverageResponseTime(incidents) {
+  const times = incidents.map(getIncidentResponseTime).filter((ms) => ms !== null);
+  if (times.length === 0) return null;
+  return times.reduce((sum, ms) => sum + ms, 0) / times.length;
+}
+
+/** Tabela de exportação das ocorrências; `getDeviceName(incident)` resolve o nome do dispositivo */
+export function buildIncidentsExportTable(incidents, getDeviceName) {
+  const toIso = (date) => (date ? date.toISOString() : null);
+
+  const columns = [
+    { key: "id", label: "ID" },
+    { key: "device", label: "Dispositivo" },
+    { key: "rule", label: "Regra" },
+    { key: "severity", label: "Severidade" },
+    { key: "isDrill", label: "Simulação" },
+    { key: "startedAt", label: "Início (ISO)" },
+    { key: "peakSmokePercent", label: "Pico de fumaça (%)" },
+    { key: "status", label: "Status" },
+    { key: "acknowledgedBy", label: "Confirmado por" },
+    { key: "acknowledgedAt", label: "Confirmado em (ISO)" },
+    { key: "responseSeconds", label: "Tempo de resposta (s)" },
+    { key: "resolvedAt", label: "Encerrada em (ISO)" },
+    { key: "deliveriesSent", label: "Envios ok" },
+    { key: "deliveriesFailed", label: "Envios com falha" },
+    { key: "notes", label: "Observações" },
+  ];
+
+  const rows = incidents.map((incident) => {
+    const responseTime = getIncidentResponseTime(incident);
+    const sent = incident.deliveries.filter((delivery) => delivery.status === "sent").length;
+    return {
+      id: incident.id,
+      device: getDeviceName(incident),
+      rule: incident.ruleName,
+      severity: incident.severity,
+      isDrill: incident.isDrill ? "sim" : "não",
+      startedAt: toIso(incident.startedAt),
+      peakSmokePercent: parseFloat(incident.peakSmokePercent.toFixed(1)),
+      status: getIncidentStatusLabel(incident.status),
+      acknowledgedBy: incident.acknowledgedBy?.name || null,
+      acknowledgedAt: toIso(incident.acknowledgedAt),
+      responseSeconds: responseTime === null ? null : Math.round(responseTime / 1000),
+      resolvedAt: toIso(incident.resolvedAt),
+      deliveriesSent: sent,
+      deliveriesFailed: incident.deliveries.length - sent,
+      notes: incident.notes || null,
+    };
+  });
+
+  return { columns, rows };
+}
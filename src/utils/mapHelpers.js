@@ -6,3 +6,9 @@ export function calculateDevicesCenter(devices) {
 
   return [sumLat / devices.length, sumLng / devices.length];
 }
+
+/** Chave estável das posições, usada para só reajustar o mapa quando elas mudam */
+export function getDevicesBoundsKey(devices) {
+  if (!devices || devices.length === 0) return "";
+  return devices.map((d) => `${d.id}:${d.lat},${d.lng}`).join("|");
+}
@@ -0,0 +1,81 @@
+export const CHANNEL_TYPES = ["webhook", "email", "sms", "whatsapp"];
+
+export function getChannelTypeLabel(type) {
+  return (
+    {
+      webhook: "Webhook",
+      email: "E-mail",
+      sms: "SMS",
+      whatsapp: "WhatsApp",
+    }[type] || type
+  );
+}
+
+export function getChannelTargetPlaceholder(type) {
+  return (
+    {
+      webhook: "https://exemplo.com/alertas",
+      email: "brigada@exemplo.com",
+      sms: "+5581999999999",
+      whatsapp: "+5581999999999",
+    }[type] || ""
+  );
+}
+
+function normalizeChannel(raw) {
+  if (!raw?.type || !raw?.target) return null;
+  return { type: raw.type, target: String(raw.target) };
+}
+
+/**
+ * Política de envio de um grupo de dispositivos.
+ * `steps[0]` é o envio imediato; os demais são escalonamentos após `afterMinutes` sem confirmação.
+ */
+export function normalizeNotificationPolicy(raw) {
+  if (!raw) return null;
+  const steps = (Array.isArray(raw.steps) ? raw.steps : [])
+    .map((step) => ({
+      afterMinutes: Math.max(0, Number(step.afterMinutes) || 0),
+      channels: (Array.isArray(step.channels) ? step.channels : []).map(normalizeChannel).filter(Boolean),
+    }))
+    .sort((a, b) => a.afterMinutes - b.afterMinutes);
+
+  return {
+    id: raw._id || raw.id,
+    name: raw.name || "Política sem nome",
+    enabled: raw.enabled !== false,
+    groups: Array.isArray(raw.groups) ? raw.groups : [],
+    steps,
+  };
+}
+
+export const DELIVERY_STATUSES = ["sent", "failed"];
+
+export function getDeliveryStatusLabel(status) {
+  return (
+    {
+      sent: "Enviado",
+      failed: "Falhou",
+    }[status] || status
+  );
+}
+
+function toDate(value) {
+  if (!value) return null;
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/** Registro de uma tentativa de envio: `{ stepId, channelType, target, attempt, status, error, attemptedAt }` */
+export function normalizeDelivery(raw) {
+  if (!raw) return null;
+  return {
+    stepId: raw.stepId || raw.step_id || null,
+    channelType: raw.channelType || raw.channel_type || raw.type || null,
+    target: raw.target || "",
+    attempt: Number(raw.attempt) || 1,
+    status: DELIVERY_STATUSES.includes(raw.status) ? raw.status : "failed",
+    error: raw.error || null,
+    attemptedAt: toDate(raw.attemptedAt || raw.attempted_at || raw.createdAt),
+  };
+}
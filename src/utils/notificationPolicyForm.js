@@ -0,0 +1,60 @@
+import { CHANNEL_TYPES } from "./notificationPolicies.js";
+
+export function createEmptyChannel() {
+  return { type: CHANNEL_TYPES[0], target: "" };
+}
+
+export function createEmptyStep(afterMinutes = 0) {
+  return { afterMinutes: String(afterMinutes), channels: [createEmptyChannel()] };
+}
+
+export function buildNotificationPolicyForm(policy) {
+  return {
+    name: policy?.name || "",
+    enabled: policy?.enabled !== false,
+    groups: (policy?.groups || []).join(", "),
+    steps: policy?.steps?.length
+      ? policy.steps.map((step) => ({
+          afterMinutes: String(step.afterMinutes),
+          channels: step.channels.map((channel) => ({ ...channel })),
+        }))
+      : [createEmptyStep()],
+  };
+}
+
+function isValidTarget(type, target) {
+  if (type === "webhook") return /^https?:\/\/\S+$/.test(target);
+  if (type === "email") return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(target);
+  return /^\+?\d{10,15}$/.test(target.replace(/[\s()-]/g, ""));
+}
+
+export function validateNotificationPolicyForm(form) {
+  if (!form.name.trim()) return "Informe o nome da política";
+  if (form.steps.length === 0) return "Adicione ao menos uma etapa de envio";
+
+  for (const step of form.steps) {
+    const afterMinutes = parseFloat(step.afterMinutes);
+    if (Number.isNaN(afterMinutes) || afterMinutes < 0) return "Informe os minutos de cada etapa";
+    if (step.channels.length === 0) return "Cada etapa precisa de ao menos um canal";
+    const invalid = step.channels.find((channel) => !isValidTarget(channel.type, channel.target.trim()));
+    if (invalid) return `Destino inválido para ${invalid.type}: "${invalid.target}"`;
+  }
+  return "";
+}
+
+export function notificationPolicyFormToPayload(form) {
+  return {
+    name: form.name.trim(),
+    enabled: form.enabled,
+    groups: form.groups
+      .split(",")
+      .map((group) => group.trim())
+      .filter(Boolean),
+    steps: form.steps
+      .map((step) => ({
+        afterMinutes: parseFloat(step.afterMinutes),
+        channels: step.channels.map((channel) => ({ type: channel.type, target: channel.target.trim() })),
+      }))
+      .sort((a, b) => a.afterMinutes - b.afterMinutes),
+  };
+}
@@ -0,0 +1,32 @@
+/** Perfis autorizados por ação; perfis ausentes (ou desconhecidos) ficam somente leitura */
+const PERMISSIONS = {
+  "alerts:acknowledge": ["admin", "operator"],
+  "incidents:annotate": ["admin", "operator"],
+  "devices:manage": ["admin"],
+  "users:manage": ["admin"],
+  "thresholds:manage": ["admin"],
+  "notifications:manage": ["admin"],
+  "drills:run": ["admin"],
+};
+
+const PERMISSION_LABELS = {
+  "alerts:acknowledge": "Confirmar alertas de incêndio",
+  "incidents:annotate": "Registrar observações em ocorrências",
+  "devices:manage": "Gerenciar dispositivos",
+  "users:manage": "Gerenciar usuários",
+  "thresholds:manage": "Configurar limites de alerta",
+  "notifications:manage": "Configurar canais de envio de alertas",
+  "drills:run": "Iniciar simulações de alerta",
+};
+
+export const USER_ROLES = ["admin", "operator", "viewer"];
+
+export function can(user, permission) {
+  return Boolean(user?.role && PERMISSIONS[permission]?.includes(user.role));
+}
+
+export function getRolePermissionLabels(role) {
+  return Object.keys(PERMISSIONS)
+    .filter((permission) => PERMISSIONS[permission].includes(role))
+    .map((permission) => PERMISSION_LABELS[permission]);
+}
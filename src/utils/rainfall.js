@@ -0,0 +1,110 @@
+import { RAIN_DAY_MIN_MM } from "../constants/config.js";
+import { applyCalibration, getDeviceCalibration } from "./calibration.js";
+import { getSensor } from "./sensorRegistry.js";
+
+/*
+ * O pluviômetro publica um contador acumulado de basculadas. A chuva de cada intervalo é a
+ * diferença entre leituras consecutivas; quando o contador volta a um valor menor (reinício do
+ * firmware ou troca de bateria), a leitura nova é tratada como a chuva desde o reinício.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function startOfLocalDay(time) {
+  const date = new Date(time);
+  date.setHours(0, 0, 0, 0);
+  return date;
+}
+
+/** Meia-noite local do dia seguinte (vale também para os dias de 23h/25h do horário de verão) */
+function nextLocalDay(day) {
+  return startOfLocalDay(day.getTime() + DAY_MS + 2 * 60 * 60 * 1000);
+}
+
+/** Leituras do contador convertidas em mm (`[{ x, mm }]`, em ordem de horário) */
+function getGaugeSamples(readings, device) {
+  const sensor = getSensor("pluvi");
+  const profile = getDeviceCalibration(device)[sensor.id];
+
+  return readings
+    .map((reading) => {
+      const data = reading[sensor.backendKey];
+      if (!data || data.value === undefined || data.value === null) return null;
+      const x = new Date(data.readAt || reading.createdAt).getTime();
+      const mm = applyCalibration(profile, data.value);
+      return Number.isNaN(x) || mm === null ? null : { x, mm };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.x - b.x);
+}
+
+/** Chuva de cada intervalo entre leituras (`[{ x, mm }]`) e quantos reinícios do contador foram detectados */
+export function getRainIncrements(readings, device) {
+  const samples = getGaugeSamples(readings, device);
+  let resets = 0;
+
+  const increments = samples.slice(1).map((sample, index) => {
+    const delta = sample.mm - samples[index].mm;
+    if (delta >= 0) return { x: sample.x, mm: delta };
+    resets += 1;
+    return { x: sample.x, mm: sample.mm };
+  });
+
+  return { increments, resets, firstReadingAt: samples[0]?.x ?? null };
+}
+
+/**
+ * Resumo da chuva do dispositivo a partir do histórico do pluviômetro:
+ * `{ last24hMm, last7dMm, last30dMm, daysSinceRain, isDrySpellOpenEnded, lastRainAt, resets, daily }`.
+ * `daily` traz o total de cada dia (fuso local) até hoje; `daysSinceRain` conta os dias desde o último
+ * dia com pelo menos `RAIN_DAY_MIN_MM` (0 se choveu hoje). Quando o histórico inteiro é de
+ * estiagem, `isDrySpellOpenEnded` indica que a contagem é no mínimo esse valor. Sem leituras, retorna null.
+ */
+export function summarizeRainfall(readings, device, now = Date.now()) {
+  const { increments, resets, firstReadingAt } = getRainIncrements(readings || [], device);
+  if (firstReadingAt === null) return null;
+
+  const sumSince = (start) =>
+    increments.filter(({ x }) => x > start && x <= now).reduce((sum, { mm }) => sum + mm, 0);
+
+  const today = startOfLocalDay(now);
+  const totalsByDay = new Map();
+  increments.forEach(({ x, mm }) => {
+    const day = startOfLocalDay(x).getTime();
+    totalsByDay.set(day, (totalsByDay.get(day) || 0) + mm);
+  });
+
+  const daily = [];
+  for (let day = startOfLocalDay(firstReadingAt); day <= today; day = nextLocalDay(day)) {
+    daily.push({ day, mm: parseFloat((totalsByDay.get(day.getTime()) || 0).toFixed(2)) });
+  }
+
+  // Sem dia chuvoso no histórico, a estiagem conta todos os dias disponíveis
+  const lastRainyIndex = daily.findLastIndex(({ mm }) => mm >= RAIN_DAY_MIN_MM);
+  const lastRain = increments.findLast(({ mm }) => mm > 0);
+
+  return {
+    last24hMm: parseFloat(sumSince(now - DAY_MS).toFixed(2)),
+    last7dMm: parseFloat(sumSince(now - 7 * DAY_MS).toFixed(2)),
+    last30dMm: parseFloat(sumSince(now - 30 * DAY_MS).toFixed(2)),
+    daysSinceRain: daily.length - 1 - lastRainyIndex,
+    isDrySpellOpenEnded: lastRainyIndex === -1,
+    lastRainAt: lastRain ? new Date(lastRain.x) : null,
+    resets,
+    daily,
+  };
+}
+
+/** Texto da contagem de dias sem chuva (ex.: "12 dias", "≥ 30 dias") */
+export function formatDrySpell(rainfall) {
+  if (!rainfall) return "—";
+  const days = rainfall.daysSinceRain;
+  const text = `${days} ${days === 1 ? "dia" : "dias"}`;
+  return rainfall.isDrySpellOpenEnded ? `≥ ${text}` : text;
+}
+
+/** Milímetros de chuva com uma casa decimal (ex.: "12,4 mm") */
+export function formatRainMm(mm) {
+  if (mm === null || mm === undefined) return "—";
+  return `${mm.toLocaleString("pt-BR", { minimumFractionDigits: 1, maximumFractionDigits: 1 })} mm`;
+}
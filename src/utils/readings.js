@@ -1,14 +1,11 @@
-import { PERIOD_FILTERS } from "../constants/config.js";
-import { pluviRawToMm, smokeRawToPercentUncapped, soilHumidityPercentFromRaw } from "./sensors.js";
+import { applyCalibration, getDeviceCalibration } from "./calibration.js";
+import { isWithinDateRange } from "./dateRange.js";
+import { getSensorByBackendKey, getSensors } from "./sensorRegistry.js";
+import { calculateRiskFromSensors } from "./sensors.js";
 
 export function getReadingDate(reading) {
   const possibleDates = [
-    reading.smoke?.readAt,
-    reading.temp?.readAt,
-    reading.humid?.readAt,
-    reading.moist?.readAt,
-    reading.sense?.readAt,
-    reading.pluvi?.readAt,
+    ...getSensors().map((sensor) => reading[sensor.backendKey]?.readAt),
     reading.createdAt,
     reading.updatedAt,
   ].filter(Boolean);
@@ -17,63 +14,118 @@ export function getReadingDate(reading) {
   return new Date(possibleDates[0]);
 }
 
-export function filterReadingsByPeriod(readings, periodKey) {
+/**
+ * Mantém só as leituras dentro do intervalo. A API já filtra por `from`/`to`;
+ * aqui garante o recorte exato (ex.: início arredondado no cache) e vale para os dados simulados.
+ */
+export function filterReadingsByRange(readings, range) {
   if (!Array.isArray(readings)) return [];
+  if (!range.from && !range.to) return readings;
+  return readings.filter((reading) => isWithinDateRange(getReadingDate(reading), range));
+}
 
-  const filter = PERIOD_FILTERS.find((f) => f.key === periodKey);
+/**
+ * Pontos `{ x, y }` do gráfico (x = horário em ms), com os valores brutos do histórico
+ * convertidos pela calibração do dispositivo. Leituras sem valor numérico são descartadas.
+ */
+export function processReadingsForChart(readings, sensorType, calibration = getDeviceCalibration(null)) {
+  if (!Array.isArray(readings) || readings.length === 0) return [];
 
-  if (!filter || filter.days === null) return readings;
+  const profile = calibration[getSensorByBackendKey(sensorType)?.id];
+  const points = [];
 
-  const now = new Date();
-  const cutoffDate = new Date(now.getTime() - filter.days * 24 * 60 * 60 * 1000);
+  readings.forEach((reading) => {
+    const sensorData = reading[sensorType];
+    if (!sensorData || sensorData.value === undefined || sensorData.value === null) return;
 
-  return readings.filter((reading) => {
-    const readDate = getReadingDate(reading);
-    if (!readDate) return false;
-    return readDate >= cutoffDate;
+    const x = new Date(sensorData.readAt || reading.createdAt).getTime();
+    const y = applyCalibration(profile, sensorData.value);
+    if (Number.isNaN(x) || y === null) return;
+    points.push({ x, y: parseFloat(y.toFixed(2)) });
   });
+
+  return points.sort((a, b) => a.x - b.x);
 }
 
-export function processReadingsForChart(readings, sensorType) {
-  if (!Array.isArray(readings) || readings.length === 0) {
-    return { labels: [], values: [] };
-  }
+/** Média dos valores convertidos de um sensor em todas as séries (`[{ readings, calibration }]`), ou null sem leituras */
+export function averageSeriesReadings(series, sensor) {
+  const values = series.flatMap((item) =>
+    processReadingsForChart(item.readings, sensor.backendKey, item.calibration).map((point) => point.y)
+  );
+  if (values.length === 0) return null;
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
 
-  const sorted = [...readings].sort((a, b) => {
-    const dateA = getReadingDate(a) || new Date(0);
-    const dateB = getReadingDate(b) || new Date(0);
-    return dateA - dateB;
-  });
+/**
+ * Reproduz o histórico como o dispositivo estava a cada leitura: `[{ x, device }]`, em ordem de horário,
+ * com os valores convertidos (`device[field]`) e brutos (`device.rawValues[id]`) de cada sensor.
+ * Sensores ausentes numa leitura mantêm o último valor; as leituras atuais do dispositivo não entram.
+ */
+export function replayReadings(readings, device) {
+  if (!Array.isArray(readings) || readings.length === 0) return [];
 
-  const labels = [];
-  const values = [];
+  const calibration = getDeviceCalibration(device);
+  const values = Object.fromEntries(getSensors().map((sensor) => [sensor.field, null]));
+  const rawValues = {};
 
-  sorted.forEach((reading) => {
-    const sensorData = reading[sensorType];
-    if (sensorData && sensorData.value !== undefined && sensorData.value !== null) {
-      const date = new Date(sensorData.readAt || reading.createdAt);
-      labels.push(
-        date.toLocaleDateString("pt-BR", {
-          day: "2-digit",
-          month: "2-digit",
-          hour: "2-digit",
-          minute: "2-digit",
-        })
-      );
-
-      let value = parseFloat(sensorData.value);
-
-      if (sensorType === "smoke") {
-        value = smokeRawToPercentUncapped(value);
-      } else if (sensorType === "moist") {
-        value = soilHumidityPercentFromRaw(value);
-      } else if (sensorType === "pluvi") {
-        value = pluviRawToMm(value);
-      }
-
-      values.push(parseFloat(value.toFixed(2)));
-    }
-  });
+  return readings
+    .map((reading) => ({ reading, date: getReadingDate(reading) }))
+    .filter(({ date }) => date && !Number.isNaN(date.getTime()))
+    .sort((a, b) => a.date - b.date)
+    .map(({ reading, date }) => {
+      getSensors().forEach((sensor) => {
+        const raw = reading[sensor.backendKey]?.value;
+        const value = applyCalibration(calibration[sensor.id], raw);
+        if (value === null) return;
+        values[sensor.field] = value;
+        rawValues[sensor.id] = raw;
+      });
+      return { x: date.getTime(), device: { ...device, rainfall: null, ...values, rawValues: { ...rawValues } } };
+    });
+}
+
+/** Risco do dispositivo ao longo do histórico: pontos `{ x, y }` (y = `riskPercent`), com o modelo do dispositivo */
+export function buildRiskHistory(readings, device) {
+  return replayReadings(readings, device).map(({ x, device: snapshot }) => ({
+    x,
+    y: calculateRiskFromSensors(snapshot).riskPercent,
+  }));
+}
+
+/**
+ * Tabela de exportação das leituras (`series: [{ id, name, readings, calibration }]`):
+ * horário ISO de `getReadingDate`, valor bruto e valor convertido de cada sensor presente nas leituras.
+ */
+export function buildReadingsExportTable(series) {
+  const sensors = getSensors().filter((sensor) =>
+    series.some((item) => item.readings.some((reading) => reading[sensor.backendKey]?.value != null))
+  );
+
+  const columns = [
+    { key: "device", label: "Dispositivo" },
+    { key: "deviceId", label: "Código" },
+    { key: "timestamp", label: "Data/hora (ISO)" },
+    ...sensors.flatMap((sensor) => [
+      { key: `${sensor.id}Raw`, label: `${sensor.label} (bruto)` },
+      { key: sensor.id, label: `${sensor.label} (${sensor.unit.trim()})` },
+    ]),
+  ];
+
+  const rows = series.flatMap((item) =>
+    item.readings
+      .map((reading) => ({ reading, date: getReadingDate(reading) }))
+      .sort((a, b) => (a.date || 0) - (b.date || 0))
+      .map(({ reading, date }) => {
+        const row = { device: item.name, deviceId: item.id, timestamp: date ? date.toISOString() : null };
+        sensors.forEach((sensor) => {
+          const raw = reading[sensor.backendKey]?.value;
+          const value = raw == null ? null : applyCalibration(item.calibration[sensor.id], raw);
+          row[`${sensor.id}Raw`] = raw ?? null;
+          row[sensor.id] = value === null ? null : parseFloat(value.toFixed(2));
+        });
+        return row;
+      })
+  );
 
-  return { labels, values };
+  return { columns, rows };
 }
@@ -0,0 +1,347 @@
+import { BIOME_RISK_WEIGHTS, DEFAULT_BIOME, DEFAULT_RISK_MODEL } from "../constants/config.js";
+import { getSensor, readSensorValue } from "./sensorRegistry.js";
+
+/**
+ * Um modelo de risco recebe o dispositivo e devolve:
+ * `{ riskLevel, riskPercent, riskScore, riskMaxScore, riskFactors }`,
+ * onde `riskFactors` explica quanto cada entrada contribuiu para o resultado:
+ * `{ key, label, unit, value, points, maxPoints, bucket, nextThreshold, nextPoints }`.
+ */
+
+function toNumber(value) {
+  const n = typeof value === "number" ? value : parseFloat(value);
+  return Number.isNaN(n) ? null : n;
+}
+
+export function riskLevelFromPercent(riskPercent) {
+  if (riskPercent <= 25) return "low";
+  if (riskPercent <= 50) return "moderate";
+  if (riskPercent <= 75) return "high";
+  return "critical";
+}
+
+/**
+ * Fator de risco de um sensor do registro (rótulo, unidade e leitura vêm da definição do sensor).
+ * Fatores `optional` só entram no cálculo dos dispositivos que já enviaram leitura do sensor.
+ */
+function sensorFactor(id, buckets, { optional = false } = {}) {
+  const sensor = getSensor(id);
+  return {
+    key: id,
+    label: sensor.label,
+    unit: sensor.unit,
+    read: (device) => readSensorValue(device, sensor),
+    buckets,
+    optional,
+  };
+}
+
+/**
+ * Faixas do modelo padrão; a última faixa (sem `test`) vale para o restante dos valores.
+ * `entry` descreve a partir de quando o valor cai na faixa, usado como "próximo limite".
+ */
+export const DEFAULT_RISK_FACTORS = [
+  sensorFactor("temperature", [
+    { points: 0, label: "< 28°C", test: (v) => v < 28 },
+    { points: 1, label: "28–33°C", entry: { operator: ">=", value: 28 }, test: (v) => v <= 33 },
+    { points: 2, label: "33–38°C", entry: { operator: ">", value: 33 }, test: (v) => v <= 38 },
+    { points: 3, label: "> 38°C", entry: { operator: ">", value: 38 } },
+  ]),
+  sensorFactor("airHumidity", [
+    { points: 0, label: "> 45%", test: (v) => v > 45 },
+    { points: 1, label: "30–45%", entry: { operator: "<=", value: 45 }, test: (v) => v >= 30 },
+    { points: 2, label: "20–30%", entry: { operator: "<", value: 30 }, test: (v) => v >= 20 },
+    { points: 3, label: "< 20%", entry: { operator: "<", value: 20 } },
+  ]),
+  sensorFactor("soilHumidity", [
+    { points: 0, label: "> 30%", test: (v) => v > 30 },
+    { points: 1, label: "20–30%", entry: { operator: "<=", value: 30 }, test: (v) => v >= 20 },
+    { points: 2, label: "10–20%", entry: { operator: "<", value: 20 }, test: (v) => v >= 10 },
+    { points: 3, label: "< 10%", entry: { operator: "<", value: 10 } },
+  ]),
+  sensorFactor("smoke", [
+    { points: 0, label: "≤ 3%", test: (v) => v <= 3 },
+    { points: 1, label: "3–6%", entry: { operator: ">", value: 3 }, test: (v) => v <= 6 },
+    { points: 2, label: "6–10%", entry: { operator: ">", value: 6 }, test: (v) => v <= 10 },
+    { points: 3, label: "> 10%", entry: { operator: ">", value: 10 } },
+  ]),
+  sensorFactor("heatIndex", [
+    { points: 0, label: "< 30°C", test: (v) => v < 30 },
+    { points: 1, label: "30–36°C", entry: { operator: ">=", value: 30 }, test: (v) => v <= 36 },
+    { points: 2, label: "36–40°C", entry: { operator: ">", value: 36 }, test: (v) => v <= 40 },
+    { points: 3, label: "> 40°C", entry: { operator: ">", value: 40 } },
+  ]),
+  sensorFactor(
+    "windSpeed",
+    [
+      { points: 0, label: "< 10 km/h", test: (v) => v < 10 },
+      { points: 1, label: "10–20 km/h", entry: { operator: ">=", value: 10 }, test: (v) => v <= 20 },
+      { points: 2, label: "20–30 km/h", entry: { operator: ">", value: 20 }, test: (v) => v <= 30 },
+      { points: 3, label: "> 30 km/h", entry: { operator: ">", value: 30 } },
+    ],
+    { optional: true }
+  ),
+  sensorFactor(
+    "co",
+    [
+      { points: 0, label: "≤ 9 ppm", test: (v) => v <= 9 },
+      { points: 1, label: "9–35 ppm", entry: { operator: ">", value: 9 }, test: (v) => v <= 35 },
+      { points: 2, label: "35–100 ppm", entry: { operator: ">", value: 35 }, test: (v) => v <= 100 },
+      { points: 3, label: "> 100 ppm", entry: { operator: ">", value: 100 } },
+    ],
+    { optional: true }
+  ),
+  sensorFactor(
+    "pm25",
+    [
+      { points: 0, label: "≤ 25 µg/m³", test: (v) => v <= 25 },
+      { points: 1, label: "25–55 µg/m³", entry: { operator: ">", value: 25 }, test: (v) => v <= 55 },
+      { points: 2, label: "55–150 µg/m³", entry: { operator: ">", value: 55 }, test: (v) => v <= 150 },
+      { points: 3, label: "> 150 µg/m³", entry: { operator: ">", value: 150 } },
+    ],
+    { optional: true }
+  ),
+];
+
+/**
+ * Faixas do fator padrão de um sensor no eixo de valores (`[{ yMin, yMax, points, label }]`),
+ * usadas nos gráficos; `null` = faixa aberta. Sensores sem fator de risco não têm faixas.
+ */
+export function getRiskFactorBands(key) {
+  const factor = DEFAULT_RISK_FACTORS.find((item) => item.key === key);
+  if (!factor) return [];
+
+  const limits = factor.buckets.slice(1).map((bucket) => bucket.entry.value);
+  const isAscending = limits.length < 2 || limits[1] > limits[0];
+  return factor.buckets.map((bucket, index) => {
+    const lower = index === 0 ? null : limits[index - 1];
+    const upper = index < limits.length ? limits[index] : null;
+    return {
+      yMin: isAscending ? lower : upper,
+      yMax: isAscending ? upper : lower,
+      points: bucket.points,
+      label: bucket.label,
+    };
+  });
+}
+
+/** Fatores padrão aplicáveis ao dispositivo (sem os opcionais de sensores que ele não possui) */
+function getDeviceRiskFactors(device) {
+  return DEFAULT_RISK_FACTORS.filter((factor) => !factor.optional || factor.read(device) !== null);
+}
+
+/**
+ * Chuva das últimas 24h (`device.rainfall`, do histórico do pluviômetro): quanto menos chuva, mais pontos.
+ * A leitura atual do pluviômetro é o contador acumulado, não a chuva do dia; sem o resumo o fator fica sem dado.
+ */
+const RAIN_RISK_FACTOR = {
+  key: "rain",
+  label: "Chuva",
+  unit: " mm",
+  read: (device) => toNumber(device.rainfall?.last24hMm),
+  buckets: [
+    { points: 0, label: "≥ 10 mm", test: (v) => v >= 10 },
+    { points: 1, label: "5–10 mm", entry: { operator: "<", value: 10 }, test: (v) => v >= 5 },
+    { points: 2, label: "0–5 mm", entry: { operator: "<", value: 5 }, test: (v) => v > 0 },
+    { points: 3, label: "sem chuva", entry: { operator: "<=", value: 0 } },
+  ],
+};
+
+/** Sem leitura o fator não soma pontos */
+function scoreFactor(factor, device) {
+  const value = factor.read(device);
+  const maxPoints = factor.buckets[factor.buckets.length - 1].points;
+  const base = { key: factor.key, label: factor.label, unit: factor.unit, value, maxPoints };
+  if (value === null) return { ...base, points: 0, bucket: null, nextThreshold: null, nextPoints: null };
+
+  const index = factor.buckets.findIndex((b) => !b.test || b.test(value));
+  const next = factor.buckets[index + 1];
+  return {
+    ...base,
+    points: factor.buckets[index].points,
+    bucket: factor.buckets[index].label,
+    nextThreshold: next ? next.entry : null,
+    nextPoints: next ? next.points : null,
+  };
+}
+
+function buildPointsResult(riskFactors) {
+  const riskScore = riskFactors.reduce((sum, factor) => sum + factor.points, 0);
+  const riskMaxScore = riskFactors.reduce((sum, factor) => sum + factor.maxPoints, 0);
+  const riskPercent = riskMaxScore > 0 ? Math.round((riskScore / riskMaxScore) * 100) : 0;
+  return { riskLevel: riskLevelFromPercent(riskPercent), riskPercent, riskScore, riskMaxScore, riskFactors };
+}
+
+const defaultModel = {
+  id: "default",
+  label: "Pontuação padrão",
+  description:
+    "0 a 3 pontos por sensor (temperatura, umidades, fumaça e sensação térmica; vento, CO e PM2.5 quando o dispositivo os possui).",
+  calculate: (device) => buildPointsResult(getDeviceRiskFactors(device).map((factor) => scoreFactor(factor, device))),
+};
+
+export function getBiomeLabel(biome) {
+  return (
+    {
+      mataAtlantica: "Mata Atlântica",
+      caatinga: "Caatinga",
+      cerrado: "Cerrado",
+      amazonia: "Amazônia",
+      pantanal: "Pantanal",
+    }[biome] || biome
+  );
+}
+
+const biomeModel = {
+  id: "biome",
+  label: "Pesos por bioma",
+  description: "Pontuação padrão mais a chuva, com pesos ajustados ao bioma do dispositivo.",
+  calculate: (device) => {
+    const weights = BIOME_RISK_WEIGHTS[device.biome] || BIOME_RISK_WEIGHTS[DEFAULT_BIOME];
+    const riskFactors = [...getDeviceRiskFactors(device), RAIN_RISK_FACTOR].map((factor) => {
+      const scored = scoreFactor(factor, device);
+      const weight = weights[factor.key] ?? 1;
+      return {
+        ...scored,
+        weight,
+        points: scored.points * weight,
+        maxPoints: scored.maxPoints * weight,
+        nextPoints: scored.nextPoints === null ? null : scored.nextPoints * weight,
+      };
+    });
+    return buildPointsResult(riskFactors);
+  },
+};
+
+/** Redução do índice acumulado conforme a chuva do dia (tabela da Fórmula de Monte Alegre) */
+function getMonteAlegreRainReduction(rainMm) {
+  if (rainMm <= 2.4) return 0;
+  if (rainMm <= 4.9) return 0.3;
+  if (rainMm <= 9.9) return 0.6;
+  if (rainMm <= 12.9) return 0.8;
+  return 1;
+}
+
+/** Classes de perigo da FMA (nulo/pequeno → baixo, médio, alto, muito alto) mapeadas em 0–100% */
+const MONTE_ALEGRE_SCALE = [
+  { upTo: 3, percent: 25 },
+  { upTo: 8, percent: 50 },
+  { upTo: 20, percent: 75 },
+  { upTo: 40, percent: 100 },
+];
+
+function monteAlegreToPercent(index) {
+  let previous = { upTo: 0, percent: 0 };
+  for (const step of MONTE_ALEGRE_SCALE) {
+    if (index <= step.upTo) {
+      const ratio = (index - previous.upTo) / (step.upTo - previous.upTo);
+      return Math.round(previous.percent + ratio * (step.percent - previous.percent));
+    }
+    previous = step;
+  }
+  return 100;
+}
+
+/** Umidade mínima usada no divisor: limita o índice diário a 100 (umidade de 0% não divide por zero) */
+const MONTE_ALEGRE_MIN_HUMIDITY = 1;
+
+/**
+ * Fórmula de Monte Alegre: soma 100/H (umidade relativa) para cada dia sem chuva.
+ * Sem histórico diário, considera a umidade atual constante ao longo da estiagem.
+ */
+const monteAlegreModel = {
+  id: "monteAlegre",
+  label: "Fórmula de Monte Alegre",
+  description: "Índice acumulado pela umidade do ar e pelos dias sem chuva, reduzido pela chuva recente.",
+  calculate: (device) => {
+    const humidity = toNumber(device.airHumidity);
+    const days = Math.max(1, toNumber(device.rainfall?.daysSinceRain) ?? 1);
+    // Sem o resumo do pluviômetro não há redução pela chuva
+    const rainMm = toNumber(device.rainfall?.last24hMm) ?? 0;
+
+    // Sem leitura o índice diário fica sem dado; 0% é o ar mais seco e vale o índice máximo
+    const dailyIndex = humidity === null ? 0 : 100 / Math.max(humidity, MONTE_ALEGRE_MIN_HUMIDITY);
+    const accumulated = dailyIndex * days;
+    const reduction = getMonteAlegreRainReduction(rainMm);
+    const riskScore = accumulated * (1 - reduction);
+    const riskPercent = monteAlegreToPercent(riskScore);
+
+    return {
+      riskLevel: riskLevelFromPercent(riskPercent),
+      riskPercent,
+      riskScore,
+      riskMaxScore: null,
+      riskFactors: [
+        {
+          key: "airHumidity",
+          label: "Umidade do ar",
+          unit: "%",
+          value: humidity,
+          points: dailyIndex,
+          maxPoints: null,
+          bucket: humidity === null ? null : humidity < MONTE_ALEGRE_MIN_HUMIDITY ? "índice máximo" : "100 / umidade",
+          nextThreshold: null,
+          nextPoints: null,
+        },
+        {
+          key: "daysSinceRain",
+          label: "Dias sem chuva",
+          unit: " d",
+          value: days,
+          points: accumulated - dailyIndex,
+          maxPoints: null,
+          bucket: `${days} dia(s) acumulado(s)`,
+          nextThreshold: null,
+          nextPoints: null,
+        },
+        {
+          key: "rain",
+          label: "Chuva (24h)",
+          unit: " mm",
+          value: rainMm,
+          points: -accumulated * reduction,
+          maxPoints: null,
+          bucket: reduction > 0 ? `redução de ${Math.round(reduction * 100)}%` : "sem redução",
+          nextThreshold: null,
+          nextPoints: null,
+        },
+      ],
+    };
+  },
+};
+
+const RISK_MODELS = {
+  [defaultModel.id]: defaultModel,
+  [biomeModel.id]: biomeModel,
+  [monteAlegreModel.id]: monteAlegreModel,
+};
+
+/** Permite adicionar novos modelos (ex.: índices do tipo FWI) sem alterar o restante do código */
+export function registerRiskModel(model) {
+  RISK_MODELS[model.id] = model;
+}
+
+export function getRiskModels() {
+  return Object.values(RISK_MODELS);
+}
+
+export function getRiskModel(id) {
+  return RISK_MODELS[id] || RISK_MODELS[DEFAULT_RISK_MODEL] || defaultModel;
+}
+
+export function getRiskModelLabel(id) {
+  return getRiskModel(id).label;
+}
+
+/** Pontos com sinal, sem casas decimais quando inteiros (ex.: "+2", "+1.5", "-3.2") */
+export function formatRiskPoints(points) {
+  const text = Number.isInteger(points) ? String(points) : points.toFixed(1);
+  return points >= 0 ? `+${text}` : text;
+}
+
+/** Limite da próxima faixa em texto (ex.: "≥ 28°C") */
+export function formatRiskThreshold(threshold, unit = "") {
+  if (!threshold) return null;
+  const operator = { ">=": "≥", "<=": "≤" }[threshold.operator] || threshold.operator;
+  return `${operator} ${threshold.value}${unit}`;
+}
@@ -0,0 +1,291 @@
+import { SMOKE_SENSOR_MAX } from "../constants/config.js";
+
+/*
+ * Definição única de cada sensor, usada pelos cartões, gráficos, mapa, calibração, regras e risco.
+ * Um sensor novo só precisa de uma entrada em `SENSOR_DEFINITIONS`:
+ *
+ * - `id`: nome do valor bruto (`device.rawValues[id]`) e da calibração (`device.calibration[id]`)
+ * - `field`: campo do dispositivo com o valor convertido (padrão: `id`)
+ * - `feedKey`: sufixo do feed no Adafruit IO (`<feedGroup>.<feedKey>`)
+ * - `backendKey`: chave da leitura no histórico da API (`reading[backendKey].value`)
+ * - `calibration`: conversão padrão bruto → valor (ver `calibration.js`); `null` = valor já convertido
+ * - `color`/`bgColor`: cores dos gráficos; `cardClasses`: classes do cartão de média no dashboard
+ * - `icon`: `{ path }` (ícone SVG) e/ou `{ emoji }`
+ * - `simulatedRange`: faixa de valores brutos do botão "Simular dados" dos gráficos
+ * - `tone(value)` (opcional): classe e marcador do valor no cartão do dispositivo
+ * - `hideAverage` (opcional): fora dos cartões de média do dashboard (ex.: direção do vento)
+ * - `circular` (opcional): valor em graus que volta a 0 (sem detecção de anomalias nos gráficos)
+ * - `optional` (opcional): feed que nem todo grupo do Adafruit IO tem; se faltar, o sensor fica sem leitura
+ */
+
+const COMPASS_POINTS = ["N", "NE", "L", "SE", "S", "SO", "O", "NO"];
+
+/** Ponto cardeal/colateral de uma direção em graus (0° = norte, sentido horário) */
+export function getCompassDirection(degrees) {
+  const index = Math.round((((degrees % 360) + 360) % 360) / 45) % COMPASS_POINTS.length;
+  return COMPASS_POINTS[index];
+}
+
+const SENSOR_DEFINITIONS = [
+  {
+    id: "temperature",
+    label: "Temperatura",
+    shortLabel: "Temp.",
+    // No firmware, `umi22` publica a temperatura e `temp22` a umidade do ar
+    feedKey: "umi22",
+    backendKey: "temp",
+    unit: "°C",
+    digits: 1,
+    calibration: { coefficients: [0, 1], offset: 0, min: null, max: null },
+    color: "rgb(249, 115, 22)",
+    bgColor: "rgba(249, 115, 22, 0.1)",
+    cardClasses: {
+      card: "from-orange-500/20 to-red-500/20 border-orange-500/20",
+      label: "text-orange-300",
+      iconBox: "bg-orange-500/20",
+      icon: "text-orange-400",
+    },
+    icon: {
+      emoji: "🌡️",
+      path: "M9 19v-6a2 2 0 00-2-2H5a2 2 0 00-2 2v6a2 2 0 002 2h2a2 2 0 002-2zm0 0V9a2 2 0 012-2h2a2 2 0 012 2v10m-6 0a2 2 0 002 2h2a2 2 0 002-2m0 0V5a2 2 0 012-2h2a2 2 0 012 2v14a2 2 0 01-2 2h-2a2 2 0 01-2-2z",
+    },
+    simulatedRange: [24, 38],
+  },
+  {
+    id: "airHumidity",
+    label: "Umidade do ar",
+    shortLabel: "Umid. ar",
+    feedKey: "temp22",
+    backendKey: "humid",
+    unit: "%",
+    digits: 0,
+    calibration: { coefficients: [0, 1], offset: 0, min: 0, max: 100 },
+    color: "rgb(59, 130, 246)",
+    bgColor: "rgba(59, 130, 246, 0.1)",
+    cardClasses: {
+      card: "from-blue-500/20 to-cyan-500/20 border-blue-500/20",
+      label: "text-blue-300",
+      iconBox: "bg-blue-500/20",
+      icon: "text-blue-400",
+    },
+    icon: {
+      emoji: "💧",
+      path: "M3 15a4 4 0 004 4h9a5 5 0 10-.1-9.999 5.002 5.002 0 10-9.78 2.096A4.001 4.001 0 003 15z",
+    },
+    simulatedRange: [35, 85],
+  },
+  {
+    id: "soilHumidity",
+    label: "Umidade do solo",
+    shortLabel: "Umid. solo",
+    feedKey: "umisolo",
+    backendKey: "moist",
+    unit: "%",
+    digits: 1,
+    calibration: { coefficients: [169.08, -65.79], offset: 0, min: 0, max: 100 },
+    color: "rgb(245, 158, 11)",
+    bgColor: "rgba(245, 158, 11, 0.1)",
+    cardClasses: {
+      card: "from-amber-500/20 to-yellow-500/20 border-amber-500/20",
+      label: "text-amber-300",
+      iconBox: "bg-amber-500/20",
+      icon: "text-amber-400",
+    },
+    icon: {
+      emoji: "🌱",
+      path: "M19 11H5m14 0a2 2 0 012 2v6a2 2 0 01-2 2H5a2 2 0 01-2-2v-6a2 2 0 012-2m14 0V9a2 2 0 00-2-2M5 11V9a2 2 0 012-2m0 0V5a2 2 0 012-2h6a2 2 0 012 2v2M7 7h10",
+    },
+    simulatedRange: [1200, 3800],
+  },
+  {
+    id: "heatIndex",
+    label: "Sensação térmica",
+    shortLabel: "Sens. térm.",
+    feedKey: "sense22",
+    backendKey: "sense",
+    unit: "°C",
+    digits: 1,
+    calibration: null,
+    color: "rgb(236, 72, 153)",
+    bgColor: "rgba(236, 72, 153, 0.1)",
+    cardClasses: {
+      card: "from-rose-500/20 to-pink-500/20 border-rose-500/20",
+      label: "text-rose-300",
+      iconBox: "bg-rose-500/20",
+      icon: "text-rose-400",
+    },
+    icon: {
+      emoji: "☀️",
+      path: "M12 3v1m0 16v1m9-9h-1M4 12H3m15.364 6.364l-.707-.707M6.343 6.343l-.707-.707m12.728 0l-.707.707M6.343 17.657l-.707.707M16 12a4 4 0 11-8 0 4 4 0 018 0z",
+    },
+    simulatedRange: [26, 44],
+  },
+  {
+    id: "smoke",
+    field: "smokePercent",
+    label: "Fumaça",
+    shortLabel: "Fumaça",
+    feedKey: "fumo",
+    backendKey: "smoke",
+    unit: "%",
+    digits: 1,
+    calibration: { coefficients: [0, 100 / SMOKE_SENSOR_MAX], offset: 0, min: 0, max: 100 },
+    color: "rgb(34, 197, 94)",
+    bgColor: "rgba(34, 197, 94, 0.1)",
+    cardClasses: {
+      card: "from-emerald-500/20 to-green-500/20 border-emerald-500/20",
+      label: "text-emerald-300",
+      iconBox: "bg-emerald-500/20",
+      icon: "text-emerald-400",
+    },
+    icon: {
+      emoji: "💨",
+      path: "M19.428 15.428a2 2 0 00-1.022-.547l-2.387-.477a6 6 0 00-3.86.517l-.318.158a6 6 0 01-3.86.517L6.05 15.21a2 2 0 00-1.806.547M8 4h8l-1 1v5.172a2 2 0 00.586 1.414l5 5c1.26 1.26.367 3.414-1.415 3.414H4.828c-1.782 0-2.674-2.154-1.414-3.414l5-5A2 2 0 009 10.172V5L8 4z",
+    },
+    /** Destaque do valor no cartão do dispositivo */
+    tone: (value) => {
+      if (value > 10) return { className: "text-red-500", mark: "🔥" };
+      if (value > 6) return { className: "text-orange-500", mark: "⚠️" };
+      if (value > 3) return { className: "text-yellow-500", mark: "✓" };
+      return { className: "text-emerald-400", mark: "✓" };
+    },
+    simulatedRange: [80, 600],
+  },
+  {
+    id: "pluvi",
+    label: "Pluviômetro",
+    shortLabel: "Pluviôm.",
+    feedKey: "countpluvi",
+    backendKey: "pluvi",
+    unit: " mm",
+    digits: 1,
+    calibration: { coefficients: [0, 0.2], offset: 0, min: 0, max: null },
+    color: "rgb(14, 165, 233)",
+    bgColor: "rgba(14, 165, 233, 0.1)",
+    cardClasses: {
+      card: "from-sky-500/20 to-cyan-600/20 border-sky-500/25",
+      label: "text-sky-300",
+      iconBox: "bg-sky-500/20",
+      icon: "text-sky-400",
+    },
+    icon: { emoji: "🌧️" },
+    simulatedRange: [0, 45],
+  },
+  {
+    id: "windSpeed",
+    label: "Velocidade do vento",
+    shortLabel: "Vento",
+    feedKey: "vento",
+    optional: true,
+    backendKey: "wind",
+    unit: " km/h",
+    digits: 1,
+    calibration: { coefficients: [0, 1], offset: 0, min: 0, max: null },
+    color: "rgb(20, 184, 166)",
+    bgColor: "rgba(20, 184, 166, 0.1)",
+    cardClasses: {
+      card: "from-teal-500/20 to-emerald-600/20 border-teal-500/20",
+      label: "text-teal-300",
+      iconBox: "bg-teal-500/20",
+      icon: "text-teal-400",
+    },
+    icon: { emoji: "🌬️" },
+    simulatedRange: [0, 40],
+  },
+  {
+    id: "windDirection",
+    label: "Direção do vento",
+    shortLabel: "Dir. vento",
+    feedKey: "direcaovento",
+    optional: true,
+    backendKey: "windDir",
+    unit: "°",
+    digits: 0,
+    calibration: null,
+    color: "rgb(100, 116, 139)",
+    bgColor: "rgba(100, 116, 139, 0.1)",
+    icon: { emoji: "🧭" },
+    /** Direção de onde o vento sopra, com o ponto cardeal ao lado */
+    tone: (value) => ({ className: "text-white", mark: getCompassDirection(value) }),
+    hideAverage: true,
+    circular: true,
+    simulatedRange: [0, 359],
+  },
+  {
+    id: "co",
+    label: "Monóxido de carbono",
+    shortLabel: "CO",
+    feedKey: "co",
+    optional: true,
+    backendKey: "co",
+    unit: " ppm",
+    digits: 0,
+    calibration: { coefficients: [0, 1], offset: 0, min: 0, max: null },
+    color: "rgb(168, 85, 247)",
+    bgColor: "rgba(168, 85, 247, 0.1)",
+    cardClasses: {
+      card: "from-violet-500/20 to-purple-500/20 border-violet-500/20",
+      label: "text-violet-300",
+      iconBox: "bg-violet-500/20",
+      icon: "text-violet-400",
+    },
+    icon: { emoji: "🧪" },
+    tone: (value) => {
+      if (value > 100) return { className: "text-red-500", mark: "🔥" };
+      if (value > 35) return { className: "text-orange-500", mark: "⚠️" };
+      return { className: "text-white" };
+    },
+    simulatedRange: [0, 60],
+  },
+  {
+    id: "pm25",
+    label: "Partículas PM2.5",
+    shortLabel: "PM2.5",
+    feedKey: "pm25",
+    optional: true,
+    backendKey: "pm25",
+    unit: " µg/m³",
+    digits: 0,
+    calibration: { coefficients: [0, 1], offset: 0, min: 0, max: null },
+    color: "rgb(120, 113, 108)",
+    bgColor: "rgba(120, 113, 108, 0.15)",
+    cardClasses: {
+      card: "from-stone-500/20 to-slate-500/20 border-stone-500/25",
+      label: "text-stone-300",
+      iconBox: "bg-stone-500/20",
+      icon: "text-stone-400",
+    },
+    icon: { emoji: "🌫️" },
+    tone: (value) => {
+      if (value > 150) return { className: "text-red-500", mark: "🔥" };
+      if (value > 55) return { className: "text-orange-500", mark: "⚠️" };
+      return { className: "text-white" };
+    },
+    simulatedRange: [5, 120],
+  },
+];
+
+const SENSORS = SENSOR_DEFINITIONS.map((sensor) => ({ ...sensor, field: sensor.field || sensor.id }));
+
+export function getSensors() {
+  return SENSORS;
+}
+
+export function getSensor(id) {
+  return SENSORS.find((sensor) => sensor.id === id) || null;
+}
+
+export function getSensorByBackendKey(backendKey) {
+  return SENSORS.find((sensor) => sensor.backendKey === backendKey) || null;
+}
+
+/** Valor convertido do sensor no dispositivo, ou null sem leitura */
+export function readSensorValue(device, sensor) {
+  const value = device?.[sensor.field];
+  const n = typeof value === "number" ? value : parseFloat(value);
+  return Number.isNaN(n) ? null : n;
+}
+
+export function formatSensorValue(sensor, value) {
+  return value === null || value === undefined ? "—" : Number(value).toFixed(sensor.digits);
+}